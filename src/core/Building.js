@@ -0,0 +1,305 @@
+/**
+ * Building - Stacked levels (storeys) of the design
+ * Every level has its own group, Room and FurnitureContainer. Level groups
+ * are raised to their elevation, so rooms and furniture inside a level use
+ * level coordinates with the floor at y = 0.
+ * The active level is published on AppState as `activeLevel`; the other
+ * levels are hidden ('isolate') or, below the active one, ghosted ('ghost').
+ * Staircases on a level cut a stairwell into the floor of the level above.
+ */
+
+import * as THREE from 'three';
+import { AppState } from '../state/AppState.js';
+import { History } from '../state/History.js';
+import { Room } from './Room.js';
+import { staircaseFootprint, updateStaircaseModel } from './Staircase.js';
+
+export const LEVEL_SLAB = 0.2; // Floor thickness between a ceiling and the next floor
+
+// How levels other than the active one are shown
+export const LEVEL_VIEWS = {
+  ghost: 'Ghost',
+  isolate: 'Isolate'
+};
+
+// Shared see-through material for ghosted levels
+const GHOST_MATERIAL = new THREE.MeshBasicMaterial({
+  color: 0x9AA4C0,
+  transparent: true,
+  opacity: 0.18,
+  depthWrite: false,
+  side: THREE.DoubleSide
+});
+
+/**
+ * Default display name of a level
+ */
+export function levelName(index) {
+  return index === 0 ? 'Ground Floor' : `Floor ${index}`;
+}
+
+export class Building {
+  constructor(scene) {
+    this.scene = scene;
+    this.levels = [];
+    this.activeIndex = 0;
+    this.view = AppState.get('levelView') || 'ghost';
+    this.viewPosition = null; // Camera position and target, for the wall cutaway
+    this.viewTarget = null;
+
+    this.addLevel();
+    this.setActiveLevel(0);
+
+    // Storey heights follow the active room's height
+    AppState.subscribe('roomConfig', () => this._restack());
+
+    // Staircases cut stairwells; objects added to ghosted levels are ghosted too
+    AppState.subscribe('placedObjects', () => {
+      this._refitStairs();
+      this._applyView();
+    });
+    AppState.subscribe('transformedObject', (obj) => {
+      if (obj?.userData?.stairs) this._updateStairwells();
+    });
+
+    AppState.subscribe('levelView', (view) => this.setView(view));
+  }
+
+  /**
+   * Add a level on top of the building.
+   * Without a config it copies the floor plan (not the finishes) of the level below.
+   */
+  addLevel(config = null) {
+    const index = this.levels.length;
+    const below = this.levels[index - 1];
+    let plan = config || {};
+    if (!config && below) {
+      const { width, depth, height, shape, rooms } = below.room.getConfig();
+      plan = { width, depth, height, shape, rooms };
+    }
+
+    const group = new THREE.Group();
+    group.name = `Level_${index}`;
+
+    const container = new THREE.Group();
+    container.name = 'FurnitureContainer';
+    group.add(container);
+
+    // Only the ground floor starts active; others are switched to explicitly
+    const room = new Room(group, plan, index, index === 0);
+
+    const level = { index, name: levelName(index), elevation: 0, group, room, container };
+    this.levels.push(level);
+    this.scene.add(group);
+
+    this._restack();
+    this._applyView();
+    console.log('🏢 Added level:', level.name);
+    return level;
+  }
+
+  /**
+   * Remove the top level together with everything placed on it
+   * @returns {boolean} - false when only one level is left
+   */
+  removeTopLevel() {
+    if (this.levels.length <= 1) return false;
+
+    const level = this.levels[this.levels.length - 1];
+    if (this.activeIndex === level.index) {
+      this.setActiveLevel(level.index - 1);
+    }
+
+    const objects = (AppState.get('placedObjects') || []).filter(obj => level.room.isOnLevel(obj));
+    objects.forEach((obj) => {
+      level.container.remove(obj);
+      obj.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material && child.material !== GHOST_MATERIAL) {
+          if (Array.isArray(child.material)) {
+            child.material.forEach(m => m.dispose());
+          } else {
+            child.material.dispose();
+          }
+        }
+      });
+      AppState.removePlacedObject(obj);
+    });
+
+    this.levels.pop();
+    level.room.dispose();
+    this.scene.remove(level.group);
+    History.clear(); // Steps may put furniture back on the removed level
+
+    this._updateStairwells();
+    AppState.set('activeLevel', this.getActiveLevel()); // Level list changed
+    console.log('🏢 Removed level:', level.name);
+    return true;
+  }
+
+  /**
+   * Replace all levels with saved ones ([{ name, room }], room being a Room config).
+   * Placed objects must have been cleared first; call setActiveLevel once they
+   * are restored, so that the views of all levels are refreshed.
+   */
+  restoreLevels(levelsData) {
+    while (this.levels.length > 1) {
+      const level = this.levels.pop();
+      level.room.dispose();
+      this.scene.remove(level.group);
+    }
+    this.levels[0].room.active = false; // Publish once, when re-activated below
+
+    levelsData.forEach((data, index) => {
+      const level = this.levels[index] || this.addLevel();
+      if (data.room) level.room.setDimensions(data.room);
+      if (data.name) level.name = data.name;
+    });
+
+    this._restack();
+  }
+
+  /**
+   * Switch the level that is edited and shown
+   */
+  setActiveLevel(index) {
+    const level = this.levels[index];
+    if (!level) return;
+
+    // Selections belong to the previous level
+    if (AppState.get('selectedObject')) AppState.set('selectedObject', null);
+    if (AppState.get('selectedSurface')) AppState.set('selectedSurface', null);
+
+    this.activeIndex = index;
+    this.levels.forEach((l) => {
+      l.room.active = l === level;
+    });
+    this._applyView();
+
+    AppState.set('activeLevel', level);
+    AppState.set('roomConfig', level.room.getConfig());
+    console.log(`🏢 Active level: ${level.name}`);
+  }
+
+  getActiveLevel() {
+    return this.levels[this.activeIndex];
+  }
+
+  getActiveRoom() {
+    return this.getActiveLevel().room;
+  }
+
+  getLevels() {
+    return [...this.levels];
+  }
+
+  /**
+   * Switch how the other levels are shown (key of LEVEL_VIEWS)
+   */
+  setView(view) {
+    if (!LEVEL_VIEWS[view] || view === this.view) return;
+    this.view = view;
+    this._applyView();
+  }
+
+  /**
+   * Pass the camera to every level's room (in level coordinates) for the cutaway
+   */
+  updateView(cameraPosition, target) {
+    this.viewPosition = cameraPosition.clone();
+    this.viewTarget = target.clone();
+
+    this.levels.forEach((level) => {
+      const offset = new THREE.Vector3(0, level.elevation, 0);
+      level.room.updateView(
+        this.viewPosition.clone().sub(offset),
+        this.viewTarget.clone().sub(offset)
+      );
+    });
+  }
+
+  /**
+   * Raise each level to sit on top of the one below it
+   */
+  _restack() {
+    let elevation = 0;
+    this.levels.forEach((level) => {
+      level.elevation = elevation;
+      level.group.position.y = elevation;
+      level.room.elevation = elevation;
+      elevation += level.room.config.height + LEVEL_SLAB;
+    });
+
+    this._refitStairs();
+    if (this.viewPosition) this.updateView(this.viewPosition, this.viewTarget);
+  }
+
+  /**
+   * Rebuild staircases whose storey height changed, then recut stairwells
+   */
+  _refitStairs() {
+    (AppState.get('placedObjects') || []).forEach((obj) => {
+      if (!obj.userData?.stairs) return;
+      const level = this.levels[obj.userData.level || 0];
+      if (!level) return;
+
+      const rise = level.room.config.height + LEVEL_SLAB;
+      if (Math.abs(obj.userData.stairs.rise - rise) > 0.001) {
+        obj.userData.stairs.rise = rise;
+        updateStaircaseModel(obj, rise);
+      }
+    });
+
+    this._updateStairwells();
+  }
+
+  /**
+   * Cut every staircase's footprint out of the ceiling of its level
+   * and the floor of the level above
+   */
+  _updateStairwells() {
+    const stairs = (AppState.get('placedObjects') || []).filter(obj => obj.userData?.stairs);
+
+    this.levels.forEach((level) => {
+      const leaving = stairs.filter(obj => (obj.userData.level || 0) === level.index);
+      const arriving = stairs.filter(obj => (obj.userData.level || 0) === level.index - 1);
+      level.room.setStairwells(arriving.map(staircaseFootprint), leaving.map(staircaseFootprint));
+    });
+
+    this._applyView(); // Rebuilt floors and ceilings start solid
+  }
+
+  /**
+   * Show the active level; hide or ghost the others.
+   * Levels above the active one are always hidden so they don't cover it.
+   */
+  _applyView() {
+    this.levels.forEach((level) => {
+      const isActive = level.index === this.activeIndex;
+      const isGhost = !isActive && this.view === 'ghost' && level.index < this.activeIndex;
+
+      level.group.visible = isActive || isGhost;
+      this._setGhosted(level, isGhost);
+    });
+  }
+
+  /**
+   * Swap every mesh of a level to the ghost material, or back.
+   * The real material is kept in `userData.solidMaterial` meanwhile.
+   */
+  _setGhosted(level, ghosted) {
+    level.group.traverse((child) => {
+      if (!child.isMesh) return;
+
+      if (ghosted && !child.userData.solidMaterial) {
+        child.userData.solidMaterial = child.material;
+        child.material = GHOST_MATERIAL;
+      } else if (!ghosted && child.userData.solidMaterial) {
+        child.material = child.userData.solidMaterial;
+        delete child.userData.solidMaterial;
+      }
+    });
+  }
+}
+
+export default Building;
@@ -45,6 +45,19 @@ export class ControlsManager {
   getTarget() {
     return this.controls.target;
   }
+
+  // Move camera and target up/down together (e.g. to look at another level)
+  setTargetHeight(y) {
+    const delta = y - this.controls.target.y;
+    this.controls.target.y += delta;
+    this.controls.object.position.y += delta;
+    this.controls.update();
+  }
+
+  // Run a callback whenever the camera moves (orbit, zoom, pan, damping)
+  onChange(callback) {
+    this.controls.addEventListener('change', callback);
+  }
 }
 
 export default ControlsManager;
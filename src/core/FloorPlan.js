@@ -0,0 +1,286 @@
+/**
+ * FloorPlan - 2D floor-plan geometry helpers
+ * Outlines are arrays of [x, z] vertices on the floor (y = 0), in order.
+ * A plan is a list of named rooms: [{ name, outline }, ...]
+ */
+
+const EPSILON = 1e-4;
+
+// Preset plans, all centred on the origin
+export const FLOOR_PLAN_SHAPES = {
+  rectangle: 'Rectangle',
+  'l-shape': 'L-Shape',
+  't-shape': 'T-Shape',
+  chamfered: 'Chamfered Corners',
+  'two-rooms': '2-Room Apartment',
+  'three-rooms': '3-Room Apartment',
+  custom: 'Custom'
+};
+
+/**
+ * Build the named rooms of a preset plan from overall width (X) and depth (Z)
+ */
+export function createRooms(shape, width, depth) {
+  const w = width / 2;
+  const d = depth / 2;
+
+  switch (shape) {
+    case 'two-rooms': {
+      const split = -w + width * 0.6;
+      return [
+        { name: 'Living Room', outline: [[-w, -d], [split, -d], [split, d], [-w, d]] },
+        { name: 'Bedroom', outline: [[split, -d], [w, -d], [w, d], [split, d]] }
+      ];
+    }
+    case 'three-rooms': {
+      const front = -d + depth * 0.45;
+      const split = -w + width * 0.6;
+      return [
+        { name: 'Living Room', outline: [[-w, front], [w, front], [w, d], [-w, d]] },
+        { name: 'Bedroom', outline: [[-w, -d], [split, -d], [split, front], [-w, front]] },
+        { name: 'Bathroom', outline: [[split, -d], [w, -d], [w, front], [split, front]] }
+      ];
+    }
+    default:
+      return [{ name: 'Room', outline: createOutline(shape, width, depth) }];
+  }
+}
+
+/**
+ * Build a preset outline from overall width (X) and depth (Z)
+ */
+export function createOutline(shape, width, depth) {
+  const w = width / 2;
+  const d = depth / 2;
+
+  switch (shape) {
+    case 'l-shape': {
+      // Front-right quarter removed
+      const cx = w - width * 0.45;
+      const cz = d - depth * 0.45;
+      return [[-w, -d], [w, -d], [w, cz], [cx, cz], [cx, d], [-w, d]];
+    }
+    case 't-shape': {
+      // Full-width bar at the back, narrower stem towards the front
+      const stem = width * 0.2;
+      const bar = -d + depth * 0.45;
+      return [[-w, -d], [w, -d], [w, bar], [stem, bar], [stem, d], [-stem, d], [-stem, bar], [-w, bar]];
+    }
+    case 'chamfered': {
+      const c = Math.min(width, depth) * 0.2;
+      return [
+        [-w + c, -d], [w - c, -d], [w, -d + c], [w, d - c],
+        [w - c, d], [-w + c, d], [-w, d - c], [-w, -d + c]
+      ];
+    }
+    case 'rectangle':
+    default:
+      return [[-w, -d], [w, -d], [w, d], [-w, d]];
+  }
+}
+
+/**
+ * Signed area (positive when vertices run counter-clockwise in X/Z)
+ */
+export function polygonArea(outline) {
+  let area = 0;
+  for (let i = 0; i < outline.length; i++) {
+    const [x1, z1] = outline[i];
+    const [x2, z2] = outline[(i + 1) % outline.length];
+    area += x1 * z2 - x2 * z1;
+  }
+  return area / 2;
+}
+
+/**
+ * Axis-aligned bounding box of an outline
+ */
+export function outlineBounds(outline) {
+  const xs = outline.map(p => p[0]);
+  const zs = outline.map(p => p[1]);
+  return {
+    minX: Math.min(...xs),
+    maxX: Math.max(...xs),
+    minZ: Math.min(...zs),
+    maxZ: Math.max(...zs)
+  };
+}
+
+/**
+ * Even-odd ray casting point-in-polygon test
+ */
+export function pointInPolygon(x, z, outline) {
+  let inside = false;
+  for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+    const [xi, zi] = outline[i];
+    const [xj, zj] = outline[j];
+    if ((zi > z) !== (zj > z) && x < ((xj - xi) * (z - zi)) / (zj - zi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Shortest distance from a point to segment a-b
+ */
+export function distanceToSegment(x, z, [ax, az], [bx, bz]) {
+  const dx = bx - ax;
+  const dz = bz - az;
+  const lengthSq = dx * dx + dz * dz;
+  let t = lengthSq > 0 ? ((x - ax) * dx + (z - az) * dz) / lengthSq : 0;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(x - (ax + t * dx), z - (az + t * dz));
+}
+
+/**
+ * Edges of an outline with direction, length and outward normal
+ */
+export function outlineEdges(outline) {
+  const ccw = polygonArea(outline) > 0;
+
+  return outline.map((start, i) => {
+    const end = outline[(i + 1) % outline.length];
+    const dx = end[0] - start[0];
+    const dz = end[1] - start[1];
+    const length = Math.hypot(dx, dz);
+    const dir = [dx / length, dz / length];
+    // Interior is on the left of a counter-clockwise outline
+    const normal = ccw ? [dir[1], -dir[0]] : [-dir[1], dir[0]];
+    return { index: i, start, end, length, dir, normal };
+  });
+}
+
+/**
+ * Sub-intervals of `edge` (distances from its start) that lie on edges of other rooms.
+ * @param {Object} edge - Edge from outlineEdges()
+ * @param {Array<{roomIndex: number, edges: Array}>} others - Edges of the other rooms
+ * @returns {Array<{from: number, to: number, roomIndex: number}>} Sorted by `from`
+ */
+export function sharedIntervals(edge, others) {
+  const [ax, az] = edge.start;
+  const [dx, dz] = edge.dir;
+  const intervals = [];
+
+  others.forEach(({ roomIndex, edges }) => {
+    edges.forEach((other) => {
+      // Parallel and on the same line
+      const cross = dx * other.dir[1] - dz * other.dir[0];
+      const offset = (other.start[0] - ax) * dz - (other.start[1] - az) * dx;
+      if (Math.abs(cross) > EPSILON || Math.abs(offset) > EPSILON) return;
+
+      const t1 = (other.start[0] - ax) * dx + (other.start[1] - az) * dz;
+      const t2 = (other.end[0] - ax) * dx + (other.end[1] - az) * dz;
+      const from = Math.max(0, Math.min(t1, t2));
+      const to = Math.min(edge.length, Math.max(t1, t2));
+      if (to - from > EPSILON) intervals.push({ from, to, roomIndex });
+    });
+  });
+
+  return intervals.sort((a, b) => a.from - b.from);
+}
+
+/**
+ * Parts of [0, length] not covered by the given sorted intervals
+ */
+export function complementIntervals(intervals, length) {
+  const gaps = [];
+  let cursor = 0;
+  intervals.forEach(({ from, to }) => {
+    if (from - cursor > EPSILON) gaps.push({ from: cursor, to: from });
+    cursor = Math.max(cursor, to);
+  });
+  if (length - cursor > EPSILON) gaps.push({ from: cursor, to: length });
+  return gaps;
+}
+
+/**
+ * Point along an edge at distance t from its start
+ */
+export function pointOnEdge(edge, t) {
+  return [edge.start[0] + edge.dir[0] * t, edge.start[1] + edge.dir[1] * t];
+}
+
+/**
+ * Check whether segment a-b touches the axis-aligned rectangle (Liang-Barsky clip)
+ */
+export function segmentIntersectsRect([ax, az], [bx, bz], minX, minZ, maxX, maxZ) {
+  const dx = bx - ax;
+  const dz = bz - az;
+  let t0 = 0;
+  let t1 = 1;
+  const checks = [[-dx, ax - minX], [dx, maxX - ax], [-dz, az - minZ], [dz, maxZ - az]];
+
+  for (const [p, q] of checks) {
+    if (p === 0) {
+      if (q < 0) return false; // Parallel and outside
+    } else {
+      const r = q / p;
+      if (p < 0) t0 = Math.max(t0, r);
+      else t1 = Math.min(t1, r);
+      if (t0 > t1) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Whether segment a-b properly crosses segment c-d
+ */
+export function segmentsIntersect([ax, az], [bx, bz], [cx, cz], [dx, dz]) {
+  const side = (px, pz, qx, qz, rx, rz) => (qx - px) * (rz - pz) - (qz - pz) * (rx - px);
+  const d1 = side(cx, cz, dx, dz, ax, az);
+  const d2 = side(cx, cz, dx, dz, bx, bz);
+  const d3 = side(ax, az, bx, bz, cx, cz);
+  const d4 = side(ax, az, bx, bz, dx, dz);
+  return d1 * d2 < 0 && d3 * d4 < 0;
+}
+
+/**
+ * Parse "x,z; x,z; ..." text into an outline (null when invalid)
+ */
+export function parseOutline(text) {
+  const points = String(text)
+    .split(';')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => pair.split(',').map(v => parseFloat(v)));
+
+  const valid = points.length >= 3 &&
+    points.every(p => p.length === 2 && p.every(Number.isFinite));
+  if (!valid || Math.abs(polygonArea(points)) < 0.01) return null;
+
+  return points;
+}
+
+/**
+ * Format an outline as "x,z; x,z; ..." text
+ */
+export function formatOutline(outline) {
+  return outline.map(([x, z]) => `${+x.toFixed(2)},${+z.toFixed(2)}`).join('; ');
+}
+
+/**
+ * Parse one room per line, "Name: x,z; x,z; ..." (name optional).
+ * Returns null when any line is not a valid outline.
+ */
+export function parseRooms(text) {
+  const lines = String(text).split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length === 0) return null;
+
+  const rooms = lines.map((line, i) => {
+    const colon = line.indexOf(':');
+    const name = colon >= 0 ? line.slice(0, colon).trim() : '';
+    const outline = parseOutline(colon >= 0 ? line.slice(colon + 1) : line);
+    return outline ? { name: name || `Room ${i + 1}`, outline } : null;
+  });
+
+  return rooms.every(Boolean) ? rooms : null;
+}
+
+/**
+ * Format rooms as one "Name: x,z; ..." line each
+ */
+export function formatRooms(rooms) {
+  return rooms.map(room => `${room.name}: ${formatOutline(room.outline)}`).join('\n');
+}
@@ -0,0 +1,49 @@
+/**
+ * Mounts - How catalog items attach to the room
+ * Items declare `mount` in params.json:
+ * - 'floor' (default): stands anywhere on the floor
+ * - 'wall': stands with its back against a wall, facing into the room
+ * - 'ceiling': hangs with its top against the ceiling
+ * Wall items whose model does not face +Z declare `facing` too: '+x', '-x'
+ * or '-z', the model axis their front looks along.
+ */
+
+import * as THREE from 'three';
+
+export const MOUNT_TYPES = {
+  floor: 'Floor',
+  wall: 'Wall',
+  ceiling: 'Ceiling'
+};
+
+// Turn from a model's +Z to its front, per `facing`
+const FACING_ANGLES = {
+  '+z': 0,
+  '+x': Math.PI / 2,
+  '-z': Math.PI,
+  '-x': -Math.PI / 2
+};
+
+/**
+ * Mount type of a catalog item ('floor' when not declared)
+ */
+export function getMountType(furnitureData) {
+  return MOUNT_TYPES[furnitureData?.mount] ? furnitureData.mount : 'floor';
+}
+
+/**
+ * Angle (radians, about Y) from a catalog item's model +Z axis to its front
+ */
+export function getFacingAngle(furnitureData) {
+  return FACING_ANGLES[furnitureData?.facing] ?? 0;
+}
+
+/**
+ * Raise an object so its top touches the ceiling of a room (level coordinates)
+ */
+export function hangFromCeiling(object, room) {
+  object.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(object);
+  const top = box.max.y - object.getWorldPosition(new THREE.Vector3()).y;
+  object.position.y = room.getConfig().height - top;
+}
@@ -0,0 +1,240 @@
+/**
+ * ProceduralFurniture - Furniture built from its dimensions
+ * Tables, chairs, beds, shelves, cabinets and sofas are put together from
+ * boxes for any width (model X), depth (model Z) and height, with the origin
+ * at the bottom centre and the front facing +Z. The same builders stand in
+ * for catalog models that fail to load and make the adjustable "custom"
+ * catalog items (`procedural: <kind>` in params.json).
+ */
+
+import * as THREE from 'three';
+
+// Default size and allowed range per kind (meters)
+export const FURNITURE_KINDS = {
+  table: {
+    label: 'Table',
+    width: 1.2, depth: 0.8, height: 0.75,
+    limits: { width: [0.4, 3], depth: [0.4, 1.5], height: [0.4, 1.1] }
+  },
+  chair: {
+    label: 'Chair',
+    width: 0.45, depth: 0.5, height: 0.9,
+    limits: { width: [0.35, 0.8], depth: [0.35, 0.8], height: [0.6, 1.2] }
+  },
+  bed: {
+    label: 'Bed',
+    width: 1.6, depth: 2.1, height: 1.0,
+    limits: { width: [0.8, 2.2], depth: [1.8, 2.4], height: [0.5, 1.4] }
+  },
+  shelf: {
+    label: 'Shelf',
+    width: 0.8, depth: 0.3, height: 1.8,
+    limits: { width: [0.3, 2.4], depth: [0.2, 0.6], height: [0.4, 2.4] }
+  },
+  cabinet: {
+    label: 'Cabinet',
+    width: 0.8, depth: 0.45, height: 0.9,
+    limits: { width: [0.3, 2.4], depth: [0.3, 0.8], height: [0.4, 2.4] }
+  },
+  sofa: {
+    label: 'Sofa',
+    width: 2.0, depth: 0.9, height: 0.85,
+    limits: { width: [0.8, 3.2], depth: [0.6, 1.2], height: [0.6, 1.1] }
+  },
+  box: {
+    label: 'Box',
+    width: 0.6, depth: 0.6, height: 0.6,
+    limits: { width: [0.1, 4], depth: [0.1, 4], height: [0.1, 3] }
+  }
+};
+
+// Colors of the parts, shared by all kinds
+const PART_COLORS = {
+  wood: 0xDEB887,    // BurlyWood
+  dark: 0x8B4513,    // Brown
+  fabric: 0x4169E1,  // RoyalBlue
+  linen: 0xF5F5DC,   // Beige
+  panel: 0x2F4F4F,   // DarkSlateGray
+  metal: 0x4A4A4A,
+  plain: 0x708090    // SlateGray
+};
+
+const BOARD = 0.03; // Panel and shelf thickness
+const LEG = 0.05;   // Leg thickness
+
+/**
+ * Kind of furniture a catalog item looks like, from its `procedural` flag or its name
+ */
+export function getFurnitureKind(furnitureData) {
+  if (FURNITURE_KINDS[furnitureData?.procedural]) return furnitureData.procedural;
+
+  const name = (furnitureData?.name || '').toLowerCase();
+  if (name.includes('chair')) return 'chair';
+  if (name.includes('table')) return 'table';
+  if (name.includes('couch') || name.includes('sofa')) return 'sofa';
+  if (name.includes('bed')) return 'bed';
+  if (name.includes('shelf') || name.includes('bookcase')) return 'shelf';
+  if (name.includes('cabinet') || name.includes('cupboard') || name.includes('wardrobe') || name.includes('tv')) return 'cabinet';
+  return 'box';
+}
+
+/**
+ * Size of an item of a kind, clamped to its limits (defaults where missing)
+ * @returns {{kind: string, width: number, depth: number, height: number}}
+ */
+export function createFurnitureParams(kind, size = {}) {
+  const type = FURNITURE_KINDS[kind] ? kind : 'box';
+  const { width, depth, height } = FURNITURE_KINDS[type];
+  return clampFurnitureSize({
+    kind: type,
+    width: size.width ?? width,
+    depth: size.depth ?? depth,
+    height: size.height ?? height
+  });
+}
+
+/**
+ * Clamp a size to the limits of its kind (in place)
+ */
+export function clampFurnitureSize(params) {
+  const { limits } = FURNITURE_KINDS[params.kind] || FURNITURE_KINDS.box;
+  ['width', 'depth', 'height'].forEach((key) => {
+    const [min, max] = limits[key];
+    params[key] = Math.max(min, Math.min(max, params[key]));
+  });
+  return params;
+}
+
+/**
+ * Build a piece of furniture (see createFurnitureParams)
+ */
+export function createFurnitureModel(params) {
+  const group = new THREE.Group();
+  buildFurnitureMeshes(group, params, {});
+  return group;
+}
+
+/**
+ * Stand-in for a catalog item whose model is not available, at the item's
+ * size when it has one
+ */
+export function createFallbackModel(furnitureData) {
+  return createFurnitureModel(createFurnitureParams(getFurnitureKind(furnitureData), furnitureData || {}));
+}
+
+/**
+ * Rebuild an existing piece after its size changed, keeping the materials
+ * of its parts (and so any color picked for them)
+ */
+export function updateFurnitureModel(group, params) {
+  const materials = {};
+  while (group.children.length > 0) {
+    const child = group.children[0];
+    group.remove(child);
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) materials[child.name] = child.material;
+  }
+  buildFurnitureMeshes(group, params, materials);
+}
+
+function buildFurnitureMeshes(group, params, materials) {
+  const { kind, width, depth, height } = params;
+
+  // One material per part, reused when rebuilding
+  const add = (part, color, size, position) => {
+    if (!materials[part]) {
+      materials[part] = new THREE.MeshStandardMaterial({ color, roughness: 0.7, metalness: part === 'leg' || part === 'handle' ? 0.6 : 0.1 });
+    }
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(...size), materials[part]);
+    mesh.position.set(...position);
+    mesh.name = part;
+    group.add(mesh);
+  };
+
+  // Legs in the corners of a width x depth rectangle, `length` tall
+  const addLegs = (length, color) => {
+    const x = width / 2 - LEG;
+    const z = depth / 2 - LEG;
+    [[-x, -z], [x, -z], [-x, z], [x, z]].forEach(([lx, lz]) => {
+      add('leg', color, [LEG, length, LEG], [lx, length / 2, lz]);
+    });
+  };
+
+  switch (kind) {
+    case 'table': {
+      const top = Math.min(0.04, height / 10);
+      add('top', PART_COLORS.wood, [width, top, depth], [0, height - top / 2, 0]);
+      addLegs(height - top, PART_COLORS.dark);
+      break;
+    }
+
+    case 'chair': {
+      const seat = Math.min(0.46, height / 2);
+      add('seat', PART_COLORS.dark, [width, LEG, depth], [0, seat - LEG / 2, 0]);
+      add('back', PART_COLORS.dark, [width, height - seat, LEG], [0, (seat + height) / 2, -depth / 2 + LEG / 2]);
+      addLegs(seat - LEG, PART_COLORS.metal);
+      break;
+    }
+
+    case 'bed': {
+      const frame = Math.min(0.25, height / 3);
+      const mattress = Math.min(0.2, height / 4);
+      add('frame', PART_COLORS.dark, [width, frame, depth], [0, frame / 2, 0]);
+      add('mattress', PART_COLORS.linen, [width - 0.06, mattress, depth - LEG - 0.06], [0, frame + mattress / 2, LEG / 2]);
+      add('headboard', PART_COLORS.dark, [width, height, LEG], [0, height / 2, -depth / 2 + LEG / 2]);
+      break;
+    }
+
+    case 'shelf': {
+      add('side', PART_COLORS.wood, [BOARD, height, depth], [-width / 2 + BOARD / 2, height / 2, 0]);
+      add('side', PART_COLORS.wood, [BOARD, height, depth], [width / 2 - BOARD / 2, height / 2, 0]);
+      add('back', PART_COLORS.wood, [width - BOARD * 2, height, BOARD], [0, height / 2, -depth / 2 + BOARD / 2]);
+      // Boards about every 35 cm, top and bottom included
+      const gaps = Math.max(1, Math.round(height / 0.35));
+      for (let i = 0; i <= gaps; i++) {
+        const y = BOARD / 2 + (height - BOARD) * (i / gaps);
+        add('board', PART_COLORS.wood, [width - BOARD * 2, BOARD, depth - BOARD], [0, y, BOARD / 2]);
+      }
+      break;
+    }
+
+    case 'cabinet': {
+      const plinth = Math.min(0.08, height / 10);
+      add('plinth', PART_COLORS.metal, [width - 0.04, plinth, depth - 0.04], [0, plinth / 2, 0]);
+      add('body', PART_COLORS.panel, [width, height - plinth, depth - 0.04], [0, (plinth + height) / 2, -0.02]);
+      // Two doors on wide cabinets, one on narrow ones
+      const doors = width > 0.5 ? 2 : 1;
+      const doorWidth = width / doors - 0.01;
+      for (let i = 0; i < doors; i++) {
+        const x = -width / 2 + (width / doors) * (i + 0.5);
+        add('door', PART_COLORS.plain, [doorWidth, height - plinth - 0.02, 0.02], [x, (plinth + height) / 2, depth / 2 - 0.03]);
+        const side = doors === 1 ? 1 : (i === 0 ? 1 : -1);
+        add('handle', PART_COLORS.metal, [0.02, 0.12, 0.02], [x + side * (doorWidth / 2 - 0.05), height * 0.6, depth / 2 - 0.01]);
+      }
+      break;
+    }
+
+    case 'sofa': {
+      const seat = Math.min(0.42, height / 2);
+      const arm = Math.min(0.15, width / 6);
+      const armHeight = Math.min(height, seat + 0.2);
+      const backDepth = Math.min(0.2, depth / 4);
+      add('base', PART_COLORS.fabric, [width, seat, depth], [0, seat / 2, 0]);
+      add('back', PART_COLORS.fabric, [width, height - seat, backDepth], [0, (seat + height) / 2, -depth / 2 + backDepth / 2]);
+      [-1, 1].forEach((side) => {
+        add('arm', PART_COLORS.fabric, [arm, armHeight - seat, depth - backDepth], [side * (width - arm) / 2, (seat + armHeight) / 2, backDepth / 2]);
+      });
+      break;
+    }
+
+    default:
+      add('body', PART_COLORS.plain, [width, height, depth], [0, height / 2, 0]);
+  }
+
+  group.traverse((child) => {
+    if (child.isMesh) {
+      child.castShadow = true;
+      child.receiveShadow = true;
+    }
+  });
+}
@@ -1,97 +1,587 @@
 /**
  * Room - Interior room geometry
- * Creates floor, walls, and ceiling for the home design space
+ * Creates floor, walls, and ceiling for the home design space.
+ * A floor plan may hold several named rooms; walls shared between
+ * rooms become interior walls with a doorway opening.
+ * Placed doors and windows (see WallOpenings) cut holes into the walls.
+ * Every floor, wall and ceiling has its own editable finish.
+ * All walls are built; the wall mode decides which ones are shown
+ * (walls up, walls down, or a cutaway that follows the camera).
+ * In a multi-storey Building every level has its own Room, built in
+ * level coordinates (floor at y = 0) inside the level's group.
  */
 
 import * as THREE from 'three';
+import { AppState } from '../state/AppState.js';
+import {
+  createRooms,
+  outlineBounds,
+  outlineEdges,
+  pointInPolygon,
+  distanceToSegment,
+  sharedIntervals,
+  complementIntervals,
+  pointOnEdge,
+  segmentIntersectsRect,
+  segmentsIntersect
+} from './FloorPlan.js';
+import { clampOpeningSize, updateOpeningModel } from './WallOpenings.js';
+import { createSurfaceTexture } from './SurfaceTextures.js';
 
-// Room dimensions (in units, roughly meters)
+// Default room dimensions (in units, roughly meters)
 export const ROOM_CONFIG = {
   width: 10,    // X axis
   depth: 10,    // Z axis
   height: 3,    // Y axis
-  wallThickness: 0.1
+  wallThickness: 0.1,
+  shape: 'rectangle', // Preset from FLOOR_PLAN_SHAPES
+  rooms: null,        // [{ name, outline: [[x, z], ...] }] when shape is 'custom'
+  doorwayWidth: 0.9,  // Opening in interior walls
+  doorwayHeight: 2.1,
+  finishes: {}        // Surface key ('floor-0', 'wall-0-2', 'ceiling-0') -> finish overrides
+};
+
+// Default finish per surface kind (scale = meters per texture tile)
+export const DEFAULT_FINISHES = {
+  floor: { color: '#8B7355', texture: 'none', scale: 1 },   // Wood brown
+  wall: { color: '#F5F5DC', texture: 'none', scale: 1 },    // Beige
+  ceiling: { color: '#FFFFFF', texture: 'none', scale: 1 }  // White
+};
+
+const SURFACE_SHADING = {
+  floor: { roughness: 0.8, metalness: 0.1 },
+  wall: { roughness: 0.9, metalness: 0.0 },
+  ceiling: { roughness: 0.9, metalness: 0.0 }
+};
+
+// Wall display modes
+export const WALL_MODES = {
+  up: 'Walls Up',
+  cutaway: 'Cutaway',
+  down: 'Walls Down'
+};
+
+// Allowed range for user-editable dimensions
+export const ROOM_LIMITS = {
+  width: { min: 2, max: 20 },
+  depth: { min: 2, max: 20 },
+  height: { min: 2.2, max: 5 }
 };
 
 export class Room {
-  constructor(scene) {
+  constructor(scene, config = {}, level = 0, active = true) {
     this.scene = scene;
+    this.config = { ...ROOM_CONFIG, ...config, finishes: { ...config.finishes } };
+    this.level = level;   // Index of the building level this room belongs to
+    this.elevation = 0;   // World height of the floor (set by the Building)
+    this.active = active; // Only the active level publishes its config
+    this.stairwells = { floor: [], ceiling: [] }; // Polygons cut out for staircases
+    this.openings = []; // Doors/windows currently cut into the walls
+    this.surfaceMaterials = new Map(); // Surface key -> material
+    this.highlightedSurface = null;
+    this.wallMode = AppState.get('wallMode') || 'cutaway';
+    this.viewPosition = null; // Camera position and target for the cutaway
+    this.viewTarget = null;
     this.roomGroup = new THREE.Group();
     this.roomGroup.name = 'room';
-    
+
+    this._build();
+
+    this.scene.add(this.roomGroup);
+    this._publishConfig();
+
+    // Doors and windows are placed objects - re-cut walls when they change
+    this.unsubscribers = [];
+    this.unsubscribers.push(AppState.subscribe('placedObjects', (objects) => {
+      const current = objects.filter(obj => obj.userData?.opening && this.isOnLevel(obj));
+      const known = this.openings.map(o => o.object);
+      if (current.length !== known.length || current.some(obj => !known.includes(obj))) {
+        this.refreshWalls();
+      }
+    }));
+    this.unsubscribers.push(AppState.subscribe('transformedObject', (obj) => {
+      if (obj?.userData?.opening && this.isOnLevel(obj)) this.refreshWalls();
+    }));
+    this.unsubscribers.push(AppState.subscribe('wallMode', (mode) => this.setWallMode(mode)));
+  }
+
+  _build() {
+    // Named rooms ("zones") of the plan, with their edges
+    this.zones = this._resolveRooms().map((room, index) => ({
+      index,
+      name: room.name,
+      outline: room.outline,
+      edges: outlineEdges(room.outline)
+    }));
+
+    // Wall segments that furniture may not cross (filled by _createWalls)
+    this.barriers = [];
+    this.doorways = [];
+
     this._createFloor();
     this._createWalls();
     this._createCeiling();
-    
-    this.scene.add(this.roomGroup);
+    this._updateWallVisibility();
   }
 
-  _createFloor() {
-    const { width, depth } = ROOM_CONFIG;
-    
-    // Floor geometry
-    const floorGeometry = new THREE.PlaneGeometry(width, depth);
-    
-    // Floor material - wood-like appearance
-    const floorMaterial = new THREE.MeshStandardMaterial({
-      color: 0x8B7355, // Wood brown
-      roughness: 0.8,
-      metalness: 0.1,
-      side: THREE.DoubleSide
+  /**
+   * Remove and dispose all room meshes (before a rebuild)
+   */
+  _clear() {
+    while (this.roomGroup.children.length > 0) {
+      const child = this.roomGroup.children[0];
+      this.roomGroup.remove(child);
+      if (child.geometry) child.geometry.dispose();
+    }
+    this.surfaceMaterials.forEach((material) => {
+      if (material.map) material.map.dispose();
+      material.dispose();
     });
+    this.surfaceMaterials.clear();
+    this.floor = null;
+    this.ceiling = null;
+    this.floors = [];
+    this.ceilings = [];
+    this.walls = [];
+  }
 
-    const floor = new THREE.Mesh(floorGeometry, floorMaterial);
-    floor.rotation.x = -Math.PI / 2; // Lay flat
-    floor.position.y = 0;
-    floor.receiveShadow = true;
-    floor.name = 'floor';
+  /**
+   * Remove the room from the scene for good (when its level is deleted)
+   */
+  dispose() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this._clear();
+    this.scene.remove(this.roomGroup);
+  }
+
+  /**
+   * Whether a placed object stands on this room's level
+   */
+  isOnLevel(object) {
+    return (object.userData.level || 0) === this.level;
+  }
 
-    this.roomGroup.add(floor);
-    this.floor = floor;
+  /**
+   * Publish the config as `roomConfig` on AppState (active level only)
+   */
+  _publishConfig() {
+    if (this.active) AppState.set('roomConfig', this.getConfig());
+  }
+
+  /**
+   * Rebuild only the walls (after doors/windows were added, moved or resized)
+   */
+  refreshWalls() {
+    this.walls.forEach((wall) => {
+      this.roomGroup.remove(wall);
+      wall.geometry.dispose();
+    });
+
+    this.barriers = [];
+    this.doorways = [];
+    this._createWalls();
+    this._updateWallVisibility();
+  }
+
+  /**
+   * Rooms of the plan for the current config
+   */
+  _resolveRooms() {
+    const { shape, rooms, width, depth } = this.config;
+    if (shape === 'custom' && Array.isArray(rooms) && rooms.length > 0) {
+      return rooms.map(room => ({
+        name: room.name,
+        outline: room.outline.map(([x, z]) => [x, z])
+      }));
+    }
+    return createRooms(shape, width, depth);
+  }
+
+  /**
+   * Flat shape of an outline, for floor and ceiling, with optional holes
+   * (stairwells) whose centre lies inside the outline.
+   * Shape Y is mapped to -Z so that rotation.x = -PI/2 lays it on the floor.
+   */
+  _createOutlineShape(outline, holes = []) {
+    const shape = new THREE.Shape();
+    outline.forEach(([x, z], i) => {
+      if (i === 0) shape.moveTo(x, -z);
+      else shape.lineTo(x, -z);
+    });
+    shape.closePath();
+
+    holes.forEach((polygon) => {
+      const cx = polygon.reduce((sum, [x]) => sum + x, 0) / polygon.length;
+      const cz = polygon.reduce((sum, [, z]) => sum + z, 0) / polygon.length;
+      if (!pointInPolygon(cx, cz, outline)) return;
+
+      const hole = new THREE.Path();
+      polygon.forEach(([x, z], i) => {
+        if (i === 0) hole.moveTo(x, -z);
+        else hole.lineTo(x, -z);
+      });
+      hole.closePath();
+      shape.holes.push(hole);
+    });
+    return shape;
+  }
+
+  _createFloor() {
+    // One floor mesh per room, following its outline
+    this.floors = this.zones.map((zone) => {
+      const key = `floor-${zone.index}`;
+      const floorGeometry = new THREE.ShapeGeometry(
+        this._createOutlineShape(zone.outline, this.stairwells.floor)
+      );
+      const floor = new THREE.Mesh(floorGeometry, this._getSurfaceMaterial(key, 'floor'));
+      floor.rotation.x = -Math.PI / 2; // Lay flat
+      floor.position.y = 0;
+      floor.receiveShadow = true;
+      floor.name = this.zones.length > 1 ? `floor-${zone.index}` : 'floor';
+      floor.userData.zoneIndex = zone.index;
+      floor.userData.surface = { key, kind: 'floor' };
+
+      this.roomGroup.add(floor);
+      return floor;
+    });
+    this.floor = this.floors[0];
   }
 
   _createWalls() {
-    const { width, depth, height, wallThickness } = ROOM_CONFIG;
-    
-    // Wall material - light beige/off-white
-    const wallMaterial = new THREE.MeshStandardMaterial({
-      color: 0xF5F5DC, // Beige
-      roughness: 0.9,
-      metalness: 0.0,
-      side: THREE.DoubleSide
+    this.wallPieces = this._collectWallPieces();
+    this.openings = this._resolveOpenings();
+
+    this.walls = [];
+    this.wallPieces.forEach((piece) => {
+      // Openings cut into full-height pieces only
+      const holes = piece.bottom === 0 ? this.openings.filter(o => o.piece === piece) : [];
+      this._addWallPiece(piece, holes.map(o => o.opening));
     });
 
-    // Back wall (Z = -depth/2)
-    const backWall = this._createWallMesh(width, height, wallMaterial);
-    backWall.position.set(0, height / 2, -depth / 2);
-    backWall.name = 'wall-back';
-    this.roomGroup.add(backWall);
-
-    // Front wall (Z = +depth/2) - optional, often left open for camera view
-    // Commenting out for better visibility
-    // const frontWall = this._createWallMesh(width, height, wallMaterial);
-    // frontWall.position.set(0, height / 2, depth / 2);
-    // frontWall.rotation.y = Math.PI;
-    // frontWall.name = 'wall-front';
-    // this.roomGroup.add(frontWall);
-
-    // Left wall (X = -width/2)
-    const leftWall = this._createWallMesh(depth, height, wallMaterial);
-    leftWall.position.set(-width / 2, height / 2, 0);
-    leftWall.rotation.y = Math.PI / 2;
-    leftWall.name = 'wall-left';
-    this.roomGroup.add(leftWall);
-
-    // Right wall (X = +width/2) - optional for camera view
-    // const rightWall = this._createWallMesh(depth, height, wallMaterial);
-    // rightWall.position.set(width / 2, height / 2, 0);
-    // rightWall.rotation.y = -Math.PI / 2;
-    // rightWall.name = 'wall-right';
-    // this.roomGroup.add(rightWall);
+    // Keep door/window models on their wall
+    this.openings.forEach(({ object }) => this._placeOpeningObject(object));
+  }
+
+  /**
+   * Split every room edge into wall pieces: exterior stretches, and interior
+   * walls (shared between rooms) with a doorway gap and a lintel above it.
+   * Also records furniture barriers and doorways.
+   */
+  _collectWallPieces() {
+    const { height, doorwayWidth, doorwayHeight } = this.config;
+    const pieces = [];
+    const addPiece = (edge, from, to, bottom, top, wallData) => {
+      pieces.push({ edge, from, to, bottom, top, wallData });
+    };
+
+    this.zones.forEach((zone) => {
+      const others = this.zones
+        .filter(other => other !== zone)
+        .map(other => ({ roomIndex: other.index, edges: other.edges }));
+
+      zone.edges.forEach((edge) => {
+        const shared = sharedIntervals(edge, others);
+
+        // Exterior parts of the edge
+        const wallData = { zoneIndex: zone.index, edgeIndex: edge.index, interior: false };
+        complementIntervals(shared, edge.length).forEach(({ from, to }) => {
+          this._addBarrier(edge, from, to);
+          addPiece(edge, from, to, 0, height, wallData);
+        });
+
+        // Interior walls are built once, from the lower-indexed room
+        shared
+          .filter(({ roomIndex }) => roomIndex > zone.index)
+          .forEach(({ from, to, roomIndex }) => {
+            const interiorData = {
+              zoneIndex: zone.index,
+              edgeIndex: edge.index,
+              interior: true,
+              rooms: [zone.index, roomIndex]
+            };
+
+            // Too short for a doorway - solid wall
+            if (to - from < doorwayWidth + 0.2) {
+              this._addBarrier(edge, from, to);
+              addPiece(edge, from, to, 0, height, interiorData);
+              return;
+            }
+
+            const center = (from + to) / 2;
+            const gapFrom = center - doorwayWidth / 2;
+            const gapTo = center + doorwayWidth / 2;
+
+            this._addBarrier(edge, from, gapFrom);
+            this._addBarrier(edge, gapTo, to);
+            addPiece(edge, from, gapFrom, 0, height, interiorData);
+            addPiece(edge, gapTo, to, 0, height, interiorData);
+            // Lintel above the opening
+            addPiece(edge, gapFrom, gapTo, doorwayHeight, height, interiorData);
+
+            this.doorways.push({
+              rooms: [zone.index, roomIndex],
+              center: pointOnEdge(edge, center),
+              width: doorwayWidth
+            });
+          });
+      });
+    });
+
+    return pieces;
+  }
+
+  /**
+   * Record a wall segment (distances along an edge) that furniture may not cross
+   */
+  _addBarrier(edge, from, to) {
+    this.barriers.push({ start: pointOnEdge(edge, from), end: pointOnEdge(edge, to) });
+  }
+
+  /**
+   * Build the mesh of a wall piece, with rectangular holes for openings
+   */
+  _addWallPiece(piece, openings = []) {
+    const { edge, from, to, bottom, top, wallData } = piece;
+    const length = to - from;
+    const wallHeight = top - bottom;
+    // Every piece of a room edge shares that wall's finish
+    const key = `wall-${wallData.zoneIndex}-${edge.index}`;
+    const material = this._getSurfaceMaterial(key, 'wall');
+
+    let wall;
+    if (openings.length === 0) {
+      wall = this._createWallMesh(length, wallHeight, material);
+    } else {
+      // Wall outline centred like PlaneGeometry, with one hole per opening
+      const shape = new THREE.Shape();
+      shape.moveTo(-length / 2, -wallHeight / 2);
+      shape.lineTo(length / 2, -wallHeight / 2);
+      shape.lineTo(length / 2, wallHeight / 2);
+      shape.lineTo(-length / 2, wallHeight / 2);
+      shape.closePath();
+
+      openings.forEach((opening) => {
+        const left = opening.offset - opening.width / 2 - from - length / 2;
+        const right = left + opening.width;
+        // Doors at floor level are cut up from just above the bottom edge
+        const low = Math.max(opening.sill, 0.001) - bottom - wallHeight / 2;
+        const high = opening.sill + opening.height - bottom - wallHeight / 2;
+        const hole = new THREE.Path();
+        hole.moveTo(left, low);
+        hole.lineTo(left, high);
+        hole.lineTo(right, high);
+        hole.lineTo(right, low);
+        hole.closePath();
+        shape.holes.push(hole);
+      });
+
+      // Shape coordinates are already meters, so finishes tile correctly
+      wall = new THREE.Mesh(new THREE.ShapeGeometry(shape), material);
+      wall.receiveShadow = true;
+      wall.castShadow = false;
+    }
+
+    const [x, z] = pointOnEdge(edge, (from + to) / 2);
+    wall.position.set(x, (bottom + top) / 2, z);
+    wall.rotation.y = Math.atan2(-edge.dir[1], edge.dir[0]);
+    wall.name = `wall-${wallData.zoneIndex}-${edge.index}-${this.walls.length}`;
+    wall.userData.wall = {
+      ...wallData,
+      from,
+      to,
+      bottom,
+      top,
+      start: pointOnEdge(edge, from),
+      end: pointOnEdge(edge, to),
+      normal: edge.normal
+    };
+    wall.userData.surface = { key, kind: 'wall' };
+
+    this.roomGroup.add(wall);
+    this.walls.push(wall);
+    return wall;
+  }
+
+  /**
+   * Door/window objects placed in the scene, fitted to their wall piece.
+   * Openings whose wall no longer exists are re-anchored to the closest wall.
+   */
+  _resolveOpenings() {
+    const objects = (AppState.get('placedObjects') || [])
+      .filter(obj => obj.userData?.opening && this.isOnLevel(obj));
+
+    return objects.map((object) => {
+      const opening = object.userData.opening;
+      let piece = this._findOpeningPiece(opening);
+
+      if (!piece) {
+        const anchor = this.findNearestWall(object.position.x, object.position.z, Infinity);
+        if (!anchor) return null;
+        opening.zoneIndex = anchor.zoneIndex;
+        opening.edgeIndex = anchor.edgeIndex;
+        opening.offset = anchor.offset;
+        piece = anchor.piece;
+      }
+
+      return this._fitOpeningToPiece(opening, piece, object)
+        ? { object, opening, piece }
+        : null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Full-height wall piece holding an opening's anchor
+   */
+  _findOpeningPiece(opening) {
+    return this.wallPieces.find(piece =>
+      piece.bottom === 0 &&
+      piece.wallData.zoneIndex === opening.zoneIndex &&
+      piece.edge.index === opening.edgeIndex &&
+      opening.offset >= piece.from && opening.offset <= piece.to
+    ) || null;
+  }
+
+  /**
+   * Clamp an opening's size and position so it fits inside its wall piece.
+   * Rebuilds the door/window model when its size changed.
+   */
+  _fitOpeningToPiece(opening, piece, object) {
+    const clearance = 0.05; // Wall kept on each side of the frame
+    const span = piece.to - piece.from - clearance * 2;
+    if (span <= 0.1) return false;
+
+    const before = [opening.width, opening.height, opening.sill].join('|');
+    clampOpeningSize(opening);
+    opening.width = Math.min(opening.width, span);
+    opening.height = Math.min(opening.height, this.config.height - opening.sill - 0.1);
+
+    const half = opening.width / 2 + clearance;
+    opening.offset = Math.max(piece.from + half, Math.min(piece.to - half, opening.offset));
+
+    if ([opening.width, opening.height, opening.sill].join('|') !== before) {
+      updateOpeningModel(object, opening);
+    }
+    return true;
+  }
+
+  /**
+   * Put a door/window model on its wall line, facing across the wall
+   */
+  _placeOpeningObject(object) {
+    const pose = this.getOpeningPose(object.userData.opening);
+    if (!pose) return;
+
+    object.position.set(pose.x, 0, pose.z);
+    object.rotation.set(0, pose.rotation, 0);
+  }
+
+  /**
+   * Floor position and rotation of a door/window model anchored to a wall
+   * ({ zoneIndex, edgeIndex, offset }, e.g. from findNearestWall)
+   */
+  getOpeningPose({ zoneIndex, edgeIndex, offset }) {
+    const edge = this.zones[zoneIndex]?.edges[edgeIndex];
+    if (!edge) return null;
+
+    const [x, z] = pointOnEdge(edge, offset);
+    return { x, z, rotation: Math.atan2(-edge.dir[1], edge.dir[0]) };
+  }
+
+  /**
+   * Find the closest full-height wall piece to a floor point
+   * @returns {{zoneIndex: number, edgeIndex: number, offset: number, distance: number, piece: Object}|null}
+   */
+  findNearestWall(x, z, maxDistance = 1) {
+    let best = null;
+
+    this.wallPieces.forEach((piece) => {
+      if (piece.bottom !== 0) return;
+
+      const { edge, from, to } = piece;
+      const distance = distanceToSegment(x, z, pointOnEdge(edge, from), pointOnEdge(edge, to));
+      if (distance > maxDistance || (best && distance >= best.distance)) return;
+
+      const along = (x - edge.start[0]) * edge.dir[0] + (z - edge.start[1]) * edge.dir[1];
+      best = {
+        zoneIndex: piece.wallData.zoneIndex,
+        edgeIndex: edge.index,
+        offset: Math.max(from, Math.min(to, along)),
+        distance,
+        piece
+      };
+    });
+
+    return best;
+  }
+
+  /**
+   * Nearest full-height wall to a floor point, as seen from the point's side:
+   * the closest point on it, the direction facing into the room and the
+   * stretch of wall (offsets along the edge) that is free to stand against
+   * @returns {{start: number[], dir: number[], inward: number[], from: number, to: number, distance: number}|null}
+   */
+  getWallFacing(x, z, maxDistance = 1) {
+    const anchor = this.findNearestWall(x, z, maxDistance);
+    if (!anchor) return null;
+
+    const { edge, from, to } = anchor.piece;
+    const [px, pz] = pointOnEdge(edge, anchor.offset);
+    // Normals point out of the edge's room; the neighbour room is on that side of an interior wall
+    const outside = (x - px) * edge.normal[0] + (z - pz) * edge.normal[1] > 0;
+    const inward = outside ? [...edge.normal] : [-edge.normal[0], -edge.normal[1]];
+
+    return { start: [...edge.start], dir: [...edge.dir], inward, from, to, distance: anchor.distance };
+  }
+
+  /**
+   * Distance from a floor point to the first wall furniture may not cross
+   * (doorways let it through) in a direction ([dx, dz], unit length)
+   * @returns {number|null} null when no wall is within `maxDistance`
+   */
+  getWallDistance(x, z, [dx, dz], maxDistance = Infinity) {
+    let best = null;
+
+    this.barriers.forEach(({ start: [ax, az], end: [bx, bz] }) => {
+      const ex = bx - ax;
+      const ez = bz - az;
+      const denom = dx * ez - dz * ex;
+      if (Math.abs(denom) < 1e-9) return; // Parallel
+
+      const wx = ax - x;
+      const wz = az - z;
+      const t = (wx * ez - wz * ex) / denom; // Along the direction
+      const s = (wx * dz - wz * dx) / denom; // Along the wall
+      if (t < 0 || s < 0 || s > 1 || t > maxDistance) return;
+      if (best === null || t < best) best = t;
+    });
+
+    return best;
+  }
+
+  /**
+   * Slide a door/window along its wall towards a floor point
+   */
+  moveOpening(object, x, z) {
+    const opening = object.userData.opening;
+    const piece = this._findOpeningPiece(opening);
+    if (!piece) return;
+
+    const { edge } = piece;
+    const along = (x - edge.start[0]) * edge.dir[0] + (z - edge.start[1]) * edge.dir[1];
+    opening.offset = Math.max(piece.from, Math.min(piece.to, along));
+    this.refreshWalls();
   }
 
   _createWallMesh(wallWidth, wallHeight, material) {
     const geometry = new THREE.PlaneGeometry(wallWidth, wallHeight);
+    
+    // UVs in meters so textures keep their scale on any wall size
+    const uv = geometry.attributes.uv;
+    for (let i = 0; i < uv.count; i++) {
+      uv.setXY(i, uv.getX(i) * wallWidth, uv.getY(i) * wallHeight);
+    }
+    
     const wall = new THREE.Mesh(geometry, material);
     wall.receiveShadow = true;
     wall.castShadow = false;
@@ -99,41 +589,456 @@ export class Room {
   }
 
   _createCeiling() {
-    const { width, depth, height } = ROOM_CONFIG;
-    
-    // Ceiling material - white
-    const ceilingMaterial = new THREE.MeshStandardMaterial({
-      color: 0xFFFFFF,
-      roughness: 0.9,
-      metalness: 0.0,
-      side: THREE.DoubleSide
+    const { height } = this.config;
+
+    this.ceilings = this.zones.map((zone) => {
+      const key = `ceiling-${zone.index}`;
+      const ceilingGeometry = new THREE.ShapeGeometry(
+        this._createOutlineShape(zone.outline, this.stairwells.ceiling)
+      );
+      const ceiling = new THREE.Mesh(ceilingGeometry, this._getSurfaceMaterial(key, 'ceiling'));
+      ceiling.rotation.x = -Math.PI / 2; // Same orientation as floor (double-sided)
+      ceiling.position.y = height;
+      ceiling.receiveShadow = false;
+      ceiling.name = this.zones.length > 1 ? `ceiling-${zone.index}` : 'ceiling';
+      ceiling.userData.zoneIndex = zone.index;
+      ceiling.userData.surface = { key, kind: 'ceiling' };
+
+      this.roomGroup.add(ceiling);
+      return ceiling;
     });
+    this.ceiling = this.ceilings[0];
+  }
+
+  /**
+   * Cut stairwells into the floor (stairs arriving from the level below)
+   * and the ceiling (stairs leaving this level). Polygons are [[x, z], ...].
+   * Only the floor and ceiling meshes are rebuilt.
+   */
+  setStairwells(floorHoles = [], ceilingHoles = []) {
+    const next = { floor: floorHoles, ceiling: ceilingHoles };
+    if (JSON.stringify(next) === JSON.stringify(this.stairwells)) return;
+    this.stairwells = next;
+
+    [...this.floors, ...this.ceilings].forEach((mesh) => {
+      this.roomGroup.remove(mesh);
+      mesh.geometry.dispose();
+    });
+    this._createFloor();
+    this._createCeiling();
+    this._updateWallVisibility();
+  }
+
+  /**
+   * Whether a floor point is over a stairwell of this level
+   */
+  _inStairwell(x, z) {
+    return this.stairwells.floor.some(polygon => pointInPolygon(x, z, polygon));
+  }
+
+  /**
+   * Walls plus stairwell edges: segments furniture may not cross
+   */
+  _getObstacles() {
+    const stairwellEdges = this.stairwells.floor.flatMap(polygon =>
+      polygon.map((start, i) => ({ start, end: polygon[(i + 1) % polygon.length] }))
+    );
+    return [...this.barriers, ...stairwellEdges];
+  }
+
+  /**
+   * Change room dimensions and floor-plan shape at runtime and rebuild the geometry.
+   * Missing fields keep their current value; sizes are clamped to ROOM_LIMITS.
+   * A 'custom' shape takes `rooms` (or a single `outline`) and derives
+   * width/depth from their bounding box. `finishes` replaces all surface
+   * finishes (used when loading a layout).
+   * Publishes the new config as `roomConfig` on AppState when active.
+   */
+  setDimensions({ width, depth, height, shape, rooms, outline, finishes } = {}) {
+    const next = { ...this.config };
+    if (finishes) next.finishes = { ...finishes };
+    const apply = (key, value) => {
+      const num = parseFloat(value);
+      if (!Number.isFinite(num)) return;
+      const { min, max } = ROOM_LIMITS[key];
+      next[key] = Math.max(min, Math.min(max, num));
+    };
 
-    const ceilingGeometry = new THREE.PlaneGeometry(width, depth);
-    const ceiling = new THREE.Mesh(ceilingGeometry, ceilingMaterial);
-    ceiling.rotation.x = Math.PI / 2; // Face down
-    ceiling.position.y = height;
-    ceiling.receiveShadow = false;
-    ceiling.name = 'ceiling';
+    if (shape) next.shape = shape;
+    if (next.shape === 'custom') {
+      // Single outline is accepted for layouts saved before multi-room plans
+      if (Array.isArray(outline) && outline.length >= 3) {
+        rooms = [{ name: 'Room', outline }];
+      }
+      if (Array.isArray(rooms) && rooms.length > 0) {
+        next.rooms = rooms.map((room, i) => ({
+          name: room.name || `Room ${i + 1}`,
+          outline: room.outline.map(([x, z]) => [x, z])
+        }));
+      }
+    }
 
-    this.roomGroup.add(ceiling);
-    this.ceiling = ceiling;
+    if (next.shape === 'custom' && next.rooms) {
+      const bounds = outlineBounds(next.rooms.flatMap(room => room.outline));
+      next.width = bounds.maxX - bounds.minX;
+      next.depth = bounds.maxZ - bounds.minZ;
+    } else {
+      if (next.shape === 'custom') next.shape = 'rectangle'; // No rooms to use
+      next.rooms = null;
+      apply('width', width);
+      apply('depth', depth);
+    }
+    apply('height', height);
+
+    this.config = next;
+    this._clear();
+    this._build();
+
+    this._publishConfig();
+    console.log('📐 Room resized:', `${next.shape} ${next.width} x ${next.depth} x ${next.height}`);
   }
 
-  // Get room bounds for constraining furniture movement
-  getBounds() {
-    const { width, depth } = ROOM_CONFIG;
-    const margin = 0.5; // Keep furniture slightly away from walls
+  // Get a copy of the current dimensions
+  getConfig() {
+    const finishes = {};
+    Object.entries(this.config.finishes).forEach(([key, finish]) => {
+      finishes[key] = { ...finish };
+    });
     
     return {
-      minX: -width / 2 + margin,
-      maxX: width / 2 - margin,
-      minZ: -depth / 2 + margin,
-      maxZ: depth / 2 - margin,
-      floorY: 0
+      ...this.config,
+      rooms: this.config.rooms ? this.getRooms() : null,
+      finishes
     };
   }
 
+  // Get a copy of the named rooms of the plan
+  getRooms() {
+    return this.zones.map(zone => ({
+      name: zone.name,
+      outline: zone.outline.map(p => [...p])
+    }));
+  }
+
+  // Get room bounds (bounding box of the floor plan) for constraining furniture movement,
+  // by default slightly away from the walls
+  getBounds(margin = 0.5) {
+    const { minX, maxX, minZ, maxZ } = outlineBounds(this.zones.flatMap(zone => zone.outline));
+
+    return {
+      minX: minX + margin,
+      maxX: maxX - margin,
+      minZ: minZ + margin,
+      maxZ: maxZ - margin,
+      floorY: this.elevation
+    };
+  }
+
+  /**
+   * Find the named room containing a floor point
+   * @returns {{index: number, name: string}|null}
+   */
+  getZoneAt(x, z) {
+    const zone = this.zones.find(zone => pointInPolygon(x, z, zone.outline));
+    return zone ? { index: zone.index, name: zone.name } : null;
+  }
+
+  /**
+   * Store the name of the room containing an object's footprint centre
+   * in `userData.roomName`
+   */
+  assignZone(object) {
+    const box = new THREE.Box3().setFromObject(object);
+    const center = box.getCenter(new THREE.Vector3());
+    const zone = this.getZoneAt(center.x, center.z);
+    object.userData.roomName = zone ? zone.name : null;
+    return zone;
+  }
+
+  /**
+   * Check that a floor point lies inside the walkable area (not over a
+   * stairwell), at least `margin` away from every wall
+   */
+  containsPoint(x, z, margin = 0) {
+    if (!this.getZoneAt(x, z) || this._inStairwell(x, z)) return false;
+    if (margin <= 0) return true;
+
+    return this._getObstacles().every(wall => distanceToSegment(x, z, wall.start, wall.end) >= margin);
+  }
+
+  /**
+   * Check that an axis-aligned footprint (centre + half extents) fits in the walkable
+   * area: every corner is inside a room and no wall or stairwell edge crosses the footprint
+   * (so it can pass through a doorway only if narrow enough)
+   */
+  containsFootprint(x, z, halfWidth, halfDepth, margin = 0) {
+    const hx = halfWidth + margin;
+    const hz = halfDepth + margin;
+
+    const corners = [[x - hx, z - hz], [x + hx, z - hz], [x + hx, z + hz], [x - hx, z + hz]];
+    if (!corners.every(([cx, cz]) => this.getZoneAt(cx, cz) && !this._inStairwell(cx, cz))) {
+      return false;
+    }
+
+    return !this._getObstacles().some(wall =>
+      segmentIntersectsRect(wall.start, wall.end, x - hx, z - hz, x + hx, z + hz)
+    );
+  }
+
+  /**
+   * Move a footprint from `from` towards `target` as far as the floor plan allows.
+   * Slides along walls one axis at a time without passing through them; if `from`
+   * itself is outside (e.g. after the room changed) the nearest valid position is searched.
+   * @returns {{x: number, z: number}}
+   */
+  constrainFootprint(target, from, halfWidth, halfDepth, margin = 0) {
+    const fits = (x, z) => this.containsFootprint(x, z, halfWidth, halfDepth, margin);
+
+    if (!from || !fits(from.x, from.z)) {
+      return fits(target.x, target.z)
+        ? { x: target.x, z: target.z }
+        : this._nearestFootprintPosition(target, fits);
+    }
+
+    // Slide along X, then along Z, stopping at the first wall in the way
+    const x = this._furthestValid(from.x, target.x, v => fits(v, from.z));
+    const z = this._furthestValid(from.z, target.z, v => fits(x, v));
+    return { x, z };
+  }
+
+  /**
+   * Furthest value reachable from a valid start towards a target:
+   * march in small steps (so thin walls are not skipped), then refine
+   */
+  _furthestValid(start, end, isValid) {
+    const step = 0.05;
+    const distance = Math.abs(end - start);
+    const direction = Math.sign(end - start);
+    
+    let good = start;
+    let bad = null;
+    for (let travelled = step; travelled < distance + step; travelled += step) {
+      const value = start + direction * Math.min(travelled, distance);
+      if (!isValid(value)) {
+        bad = value;
+        break;
+      }
+      good = value;
+    }
+    if (bad === null) return end;
+
+    for (let i = 0; i < 10; i++) {
+      const mid = (good + bad) / 2;
+      if (isValid(mid)) good = mid;
+      else bad = mid;
+    }
+    return good;
+  }
+
+  /**
+   * Search outwards in square rings for the closest position that fits
+   */
+  _nearestFootprintPosition(target, fits) {
+    const step = 0.1;
+    const { width, depth } = this.config;
+    const maxRing = Math.ceil(Math.max(width, depth) / step);
+
+    for (let ring = 1; ring <= maxRing; ring++) {
+      let best = null;
+      let bestDist = Infinity;
+
+      for (let i = -ring; i <= ring; i++) {
+        const candidates = [[i, -ring], [i, ring], [-ring, i], [ring, i]];
+        candidates.forEach(([dx, dz]) => {
+          const x = target.x + dx * step;
+          const z = target.z + dz * step;
+          const dist = dx * dx + dz * dz;
+          if (dist < bestDist && fits(x, z)) {
+            best = { x, z };
+            bestDist = dist;
+          }
+        });
+      }
+
+      if (best) return best;
+    }
+
+    // Nothing fits (object larger than the room) - leave it where it is
+    return { x: target.x, z: target.z };
+  }
+
+  // ============================================
+  // Surface finishes
+  // ============================================
+
+  /**
+   * Material of a surface, created from its finish on first use
+   */
+  _getSurfaceMaterial(key, kind) {
+    if (!this.surfaceMaterials.has(key)) {
+      const material = new THREE.MeshStandardMaterial({
+        ...SURFACE_SHADING[kind],
+        side: THREE.DoubleSide
+      });
+      this._applyFinish(material, this.getFinish(key));
+      if (key === this.highlightedSurface) material.emissive.setHex(0x333333);
+      this.surfaceMaterials.set(key, material);
+    }
+    return this.surfaceMaterials.get(key);
+  }
+
+  _applyFinish(material, { color, texture, scale }) {
+    if (material.map) material.map.dispose();
+    material.color.set(color);
+    material.map = createSurfaceTexture(texture, scale);
+    material.needsUpdate = true;
+  }
+
+  /**
+   * Current finish of a surface (defaults for its kind plus any override)
+   */
+  getFinish(key) {
+    const kind = key.split('-')[0];
+    return { ...DEFAULT_FINISHES[kind], ...this.config.finishes[key] };
+  }
+
+  /**
+   * Change the colour/texture/tiling scale of one surface
+   */
+  setFinish(key, finish) {
+    const { color, texture, scale } = { ...this.getFinish(key), ...finish };
+    this.config.finishes[key] = { color, texture, scale };
+
+    const material = this.surfaceMaterials.get(key);
+    if (material) this._applyFinish(material, this.config.finishes[key]);
+  }
+
+  /**
+   * Drop a surface's override and go back to the default finish
+   */
+  resetFinish(key) {
+    delete this.config.finishes[key];
+    const material = this.surfaceMaterials.get(key);
+    if (material) this._applyFinish(material, this.getFinish(key));
+  }
+
+  /**
+   * Human-readable name of a surface, e.g. "Wall 3 · Bedroom"
+   */
+  getSurfaceLabel(key) {
+    const [kind, zoneIndex, edgeIndex] = key.split('-');
+    const zoneName = this.zones[zoneIndex]?.name || 'Room';
+
+    if (kind === 'wall') return `Wall ${parseInt(edgeIndex) + 1} · ${zoneName}`;
+    if (kind === 'ceiling') return `Ceiling · ${zoneName}`;
+    return `Floor · ${zoneName}`;
+  }
+
+  /**
+   * Visible floor/wall/ceiling meshes, for picking
+   */
+  getSurfaceMeshes() {
+    return this.roomGroup.children.filter(child => child.visible && child.userData.surface);
+  }
+
+  /**
+   * Ceiling meshes of every room (hidden ones too), for hanging ceiling-mounted items
+   */
+  getCeilingMeshes() {
+    return [...this.ceilings];
+  }
+
+  /**
+   * Tint the selected surface (null clears it)
+   */
+  highlightSurface(key) {
+    const previous = this.surfaceMaterials.get(this.highlightedSurface);
+    if (previous) previous.emissive.setHex(0x000000);
+
+    this.highlightedSurface = key;
+    const material = this.surfaceMaterials.get(key);
+    if (material) material.emissive.setHex(0x333333);
+  }
+
+  // ============================================
+  // Wall visibility (walls up / cutaway / walls down)
+  // ============================================
+
+  /**
+   * Switch the wall display mode (key of WALL_MODES)
+   */
+  setWallMode(mode) {
+    if (!WALL_MODES[mode] || mode === this.wallMode) return;
+    this.wallMode = mode;
+    this._updateWallVisibility();
+    console.log(`🧱 Wall mode: ${WALL_MODES[mode]}`);
+  }
+
+  getWallMode() {
+    return this.wallMode;
+  }
+
+  /**
+   * Tell the room where the camera is looking from, for the cutaway.
+   * Called whenever the orbit controls move the camera.
+   */
+  updateView(cameraPosition, target) {
+    this.viewPosition = cameraPosition.clone();
+    this.viewTarget = target.clone();
+    if (this.wallMode === 'cutaway') this._updateWallVisibility();
+  }
+
+  /**
+   * Show or hide walls and ceilings for the current mode and view
+   */
+  _updateWallVisibility() {
+    this.walls.forEach((wall) => {
+      wall.visible = this._isWallShown(wall.userData.wall);
+    });
+
+    // Pieces of a cut interior wall (beside and above its doorway) go together
+    const cutInterior = new Set(this.walls
+      .filter(wall => !wall.visible && wall.userData.wall.interior)
+      .map(wall => wall.userData.surface.key));
+    this.walls.forEach((wall) => {
+      if (wall.userData.wall.interior && cutInterior.has(wall.userData.surface.key)) {
+        wall.visible = false;
+      }
+    });
+
+    // Looking down into the room: ceilings would cover everything
+    const camera = this.viewPosition;
+    const ceilingShown = this.wallMode === 'up' ||
+      (this.wallMode === 'cutaway' && camera !== null && camera.y < this.config.height);
+    this.ceilings.forEach((ceiling) => {
+      ceiling.visible = ceilingShown;
+    });
+
+    // A hidden surface cannot stay selected
+    const selected = AppState.get('selectedSurface');
+    if (this.active && selected && !this.getSurfaceMeshes().some(mesh => mesh.userData.surface.key === selected)) {
+      AppState.set('selectedSurface', null);
+    }
+  }
+
+  /**
+   * Cutaway rule: exterior walls seen from outside, and interior walls
+   * crossing the line from the camera to its target, are hidden
+   */
+  _isWallShown({ interior, start, end, normal }) {
+    if (this.wallMode === 'up') return true;
+    if (this.wallMode === 'down') return false;
+    if (!this.viewPosition) return true;
+
+    const camera = [this.viewPosition.x, this.viewPosition.z];
+    if (!interior) {
+      const midX = (start[0] + end[0]) / 2;
+      const midZ = (start[1] + end[1]) / 2;
+      return (camera[0] - midX) * normal[0] + (camera[1] - midZ) * normal[1] <= 0;
+    }
+    return !segmentsIntersect(camera, [this.viewTarget.x, this.viewTarget.z], start, end);
+  }
+
   getFloor() {
     return this.floor;
   }
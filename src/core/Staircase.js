@@ -0,0 +1,98 @@
+/**
+ * Staircase - Straight flight of stairs connecting a level to the one above
+ * The model is built procedurally for the storey height, with the origin at
+ * the centre of its footprint; it climbs from +Z (first step) towards -Z.
+ * The footprint is cut out of the floor above as a stairwell.
+ */
+
+import * as THREE from 'three';
+
+export const STAIR_DIMENSIONS = {
+  width: 0.9,
+  going: 0.26,    // Depth of one step
+  maxRiser: 0.19  // Highest allowed step
+};
+
+/**
+ * Number of steps and total length of a flight for a given rise
+ */
+export function stairLayout(rise) {
+  const steps = Math.max(1, Math.ceil(rise / STAIR_DIMENSIONS.maxRiser));
+  return {
+    steps,
+    riser: rise / steps,
+    length: steps * STAIR_DIMENSIONS.going,
+    width: STAIR_DIMENSIONS.width
+  };
+}
+
+/**
+ * Build a flight of stairs climbing `rise` meters
+ */
+export function createStaircaseModel(rise) {
+  const group = new THREE.Group();
+  buildStairMeshes(group, rise);
+  return group;
+}
+
+/**
+ * Rebuild the steps of an existing staircase after the storey height changed
+ */
+export function updateStaircaseModel(group, rise) {
+  while (group.children.length > 0) {
+    const child = group.children[0];
+    group.remove(child);
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) child.material.dispose();
+  }
+  buildStairMeshes(group, rise);
+}
+
+/**
+ * Footprint corners [[x, z], ...] of a placed staircase, in level coordinates
+ */
+export function staircaseFootprint(object) {
+  const { length, width } = stairLayout(object.userData.stairs.rise);
+  const cos = Math.cos(object.rotation.y);
+  const sin = Math.sin(object.rotation.y);
+  const { x, z } = object.position;
+
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sz]) => {
+    const lx = sx * width / 2;
+    const lz = sz * length / 2;
+    // Rotation about Y, as applied by three.js
+    return [x + lx * cos + lz * sin, z - lx * sin + lz * cos];
+  });
+}
+
+function buildStairMeshes(group, rise) {
+  const { steps, riser, length, width } = stairLayout(rise);
+  const { going } = STAIR_DIMENSIONS;
+
+  const treadMaterial = new THREE.MeshStandardMaterial({ color: 0xA0522D, roughness: 0.7, metalness: 0.05 });
+  const stringerMaterial = new THREE.MeshStandardMaterial({ color: 0xEEEEEE, roughness: 0.8, metalness: 0.0 });
+
+  // Solid blocks from the floor up to each tread
+  for (let i = 0; i < steps; i++) {
+    const top = riser * (i + 1);
+    const step = new THREE.Mesh(new THREE.BoxGeometry(width, top, going), treadMaterial);
+    step.position.set(0, top / 2, length / 2 - going * (i + 0.5));
+    step.name = `stair-step-${i}`;
+    group.add(step);
+  }
+
+  // Handrail along the open side
+  const railLength = Math.hypot(length, rise);
+  const rail = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.05, railLength), stringerMaterial);
+  rail.position.set(width / 2 - 0.025, rise / 2 + 0.9, 0);
+  rail.rotation.x = Math.atan2(rise, length);
+  rail.name = 'stair-rail';
+  group.add(rail);
+
+  group.traverse((child) => {
+    if (child.isMesh) {
+      child.castShadow = true;
+      child.receiveShadow = true;
+    }
+  });
+}
@@ -0,0 +1,153 @@
+/**
+ * SurfaceTextures - Procedurally generated textures for room finishes
+ * Each texture covers 1 x 1 meter at scale 1 and tiles seamlessly.
+ */
+
+import * as THREE from 'three';
+
+export const SURFACE_TEXTURES = {
+  none: 'Paint',
+  parquet: 'Parquet',
+  tile: 'Tile',
+  carpet: 'Carpet',
+  concrete: 'Concrete'
+};
+
+const TEXTURE_SIZE = 256;
+const cache = new Map(); // Generated base textures by type
+
+/**
+ * Get a texture for a surface finish, repeated so one tile spans `scale` meters.
+ * @param {string} type - Key of SURFACE_TEXTURES
+ * @param {number} scale - Meters covered by one texture tile
+ * @returns {THREE.Texture|null} - null for plain paint
+ */
+export function createSurfaceTexture(type, scale = 1) {
+  if (!type || type === 'none' || !SURFACE_TEXTURES[type]) return null;
+
+  if (!cache.has(type)) {
+    cache.set(type, generateTexture(type));
+  }
+
+  // Clone shares the canvas image but has its own repeat
+  const texture = cache.get(type).clone();
+  texture.repeat.set(1 / scale, 1 / scale);
+  texture.needsUpdate = true;
+  return texture;
+}
+
+function generateTexture(type) {
+  const canvas = document.createElement('canvas');
+  canvas.width = TEXTURE_SIZE;
+  canvas.height = TEXTURE_SIZE;
+  const ctx = canvas.getContext('2d');
+  const random = seededRandom(type.length * 7919);
+
+  switch (type) {
+    case 'parquet':
+      drawParquet(ctx, random);
+      break;
+    case 'tile':
+      drawTile(ctx, random);
+      break;
+    case 'carpet':
+      drawNoise(ctx, random, [196, 180, 150], 18, 1);
+      break;
+    case 'concrete':
+      drawNoise(ctx, random, [150, 150, 146], 26, 3);
+      break;
+  }
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.wrapT = THREE.RepeatWrapping;
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.anisotropy = 4;
+  return texture;
+}
+
+/**
+ * Staggered planks in varying wood tones
+ */
+function drawParquet(ctx, random) {
+  const rows = 8;
+  const plankHeight = TEXTURE_SIZE / rows;
+  const plankLength = TEXTURE_SIZE / 2;
+
+  for (let row = 0; row < rows; row++) {
+    const y = row * plankHeight;
+    const shift = (row % 2) * (plankLength / 2);
+
+    for (let x = -plankLength; x < TEXTURE_SIZE; x += plankLength) {
+      const tone = 110 + Math.floor(random() * 50);
+      ctx.fillStyle = `rgb(${tone + 40}, ${tone}, ${Math.floor(tone * 0.6)})`;
+      ctx.fillRect(x + shift, y, plankLength, plankHeight);
+
+      // Grain lines
+      ctx.strokeStyle = 'rgba(60, 35, 15, 0.15)';
+      for (let g = 0; g < 4; g++) {
+        const gy = y + random() * plankHeight;
+        ctx.beginPath();
+        ctx.moveTo(x + shift, gy);
+        ctx.lineTo(x + shift + plankLength, gy + (random() - 0.5) * 4);
+        ctx.stroke();
+      }
+
+      // Seams
+      ctx.strokeStyle = 'rgba(40, 25, 10, 0.6)';
+      ctx.strokeRect(x + shift + 0.5, y + 0.5, plankLength - 1, plankHeight - 1);
+    }
+  }
+}
+
+/**
+ * 4 x 4 ceramic tiles with grout lines
+ */
+function drawTile(ctx, random) {
+  const tiles = 4;
+  const size = TEXTURE_SIZE / tiles;
+  const grout = 3;
+
+  ctx.fillStyle = 'rgb(170, 170, 165)';
+  ctx.fillRect(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+
+  for (let i = 0; i < tiles; i++) {
+    for (let j = 0; j < tiles; j++) {
+      const tone = 225 + Math.floor(random() * 20);
+      ctx.fillStyle = `rgb(${tone}, ${tone}, ${tone - 5})`;
+      ctx.fillRect(i * size + grout / 2, j * size + grout / 2, size - grout, size - grout);
+    }
+  }
+}
+
+/**
+ * Speckled noise around a base colour (carpet fibres, concrete aggregate)
+ */
+function drawNoise(ctx, random, [r, g, b], spread, blotchSize) {
+  ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+  ctx.fillRect(0, 0, TEXTURE_SIZE, TEXTURE_SIZE);
+
+  const count = (TEXTURE_SIZE * TEXTURE_SIZE) / (blotchSize * blotchSize) / 2;
+  for (let i = 0; i < count; i++) {
+    const delta = Math.floor((random() - 0.5) * spread * 2);
+    ctx.fillStyle = `rgb(${r + delta}, ${g + delta}, ${b + delta})`;
+    ctx.fillRect(
+      Math.floor(random() * TEXTURE_SIZE),
+      Math.floor(random() * TEXTURE_SIZE),
+      blotchSize,
+      blotchSize
+    );
+  }
+}
+
+/**
+ * Small deterministic PRNG so textures look the same on every load
+ */
+function seededRandom(seed) {
+  let state = seed % 2147483647;
+  if (state <= 0) state += 2147483646;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
@@ -0,0 +1,28 @@
+/**
+ * Units - How lengths are shown
+ * `units` on AppState picks the unit system: 'metric' (meters) or
+ * 'imperial' (feet and inches). Lengths are always stored and computed in
+ * meters; only labels change.
+ */
+
+import { AppState } from '../state/AppState.js';
+
+export const UNIT_SYSTEMS = {
+  metric: 'Metric (m)',
+  imperial: 'Imperial (ft, in)'
+};
+
+const METERS_PER_INCH = 0.0254;
+
+/**
+ * Label of a length in meters, e.g. "1.25 m" or "4' 1""
+ */
+export function formatLength(meters, units = AppState.get('units')) {
+  if (units !== 'imperial') return `${meters.toFixed(2)} m`;
+
+  const sign = meters < 0 ? '-' : '';
+  const totalInches = Math.round(Math.abs(meters) / METERS_PER_INCH);
+  const feet = Math.floor(totalInches / 12);
+  const inches = totalInches % 12;
+  return feet > 0 ? `${sign}${feet}' ${inches}"` : `${sign}${inches}"`;
+}
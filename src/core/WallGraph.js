@@ -0,0 +1,373 @@
+/**
+ * WallGraph - Editable plan made of wall segments
+ * Walls connect nodes (wall endpoints). Walls that meet or cross are split
+ * so they always share a node; the closed areas the walls enclose are the
+ * rooms of the plan. Converts to and from Room plans ([{ name, outline }]).
+ */
+
+import { polygonArea, pointInPolygon, distanceToSegment, segmentsIntersect } from './FloorPlan.js';
+
+const EPSILON = 1e-3;   // Points closer than this are the same node
+const MIN_ROOM_AREA = 0.1;
+
+/**
+ * Length (m) and direction of a wall from a to b, in degrees
+ * counter-clockwise from +X as seen from above (-Z is 90°)
+ */
+export function measureWall([ax, az], [bx, bz]) {
+  const length = Math.hypot(bx - ax, bz - az);
+  const angle = (Math.atan2(-(bz - az), bx - ax) * 180 / Math.PI + 360) % 360;
+  return { length, angle };
+}
+
+export class WallGraph {
+  constructor() {
+    this.nodes = new Map(); // id -> { id, x, z }
+    this.walls = new Map(); // id -> { id, a, b } (node ids)
+    this.nextId = 1;
+  }
+
+  /**
+   * Build a graph from the outlines of a Room plan
+   */
+  static fromRooms(rooms) {
+    const graph = new WallGraph();
+    rooms.forEach(({ outline }) => {
+      const ids = outline.map(([x, z]) => graph.addNode(x, z));
+      ids.forEach((id, i) => graph.addWall(id, ids[(i + 1) % ids.length]));
+    });
+    return graph;
+  }
+
+  /**
+   * Node at a point (an existing one if it is already there)
+   * @returns {number} Node id
+   */
+  addNode(x, z) {
+    const existing = this.nearestNode(x, z, EPSILON);
+    if (existing) return existing.id;
+
+    const id = this.nextId++;
+    this.nodes.set(id, { id, x, z });
+    return id;
+  }
+
+  /**
+   * Add a wall between two nodes. Walls it touches or crosses are split
+   * where they meet it, and it is split at every node along it.
+   */
+  addWall(a, b) {
+    if (a === b) return;
+
+    // New endpoints lying on an existing wall split that wall
+    [a, b].forEach((id) => {
+      const node = this.nodes.get(id);
+      const wall = [...this.walls.values()].find(w =>
+        w.a !== id && w.b !== id && this._distanceToWall(w, node.x, node.z) < EPSILON
+      );
+      if (wall) this._splitWallAt(wall, id);
+    });
+
+    // Walls crossing the new one are split at the crossing
+    const start = this._point(a);
+    const end = this._point(b);
+    const crossings = [...this.walls.values()]
+      .filter(w => segmentsIntersect(start, end, this._point(w.a), this._point(w.b)))
+      .map(w => ({ wall: w, point: this._intersection(start, end, this._point(w.a), this._point(w.b)) }));
+    crossings.forEach(({ wall, point }) => this.splitWall(wall.id, point[0], point[1]));
+
+    // Chain through every node lying on the new wall
+    const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+    const stops = [...this.nodes.values()]
+      .filter(n => n.id !== a && n.id !== b && distanceToSegment(n.x, n.z, start, end) < EPSILON)
+      .map(n => ({
+        id: n.id,
+        t: ((n.x - start[0]) * (end[0] - start[0]) + (n.z - start[1]) * (end[1] - start[1])) / length
+      }))
+      .sort((p, q) => p.t - q.t);
+
+    let previous = a;
+    stops.forEach(({ id }) => {
+      this._link(previous, id);
+      previous = id;
+    });
+    this._link(previous, b);
+  }
+
+  /**
+   * Insert a node into a wall at (the projection of) a point
+   * @returns {number|null} Id of the node splitting the wall
+   */
+  splitWall(wallId, x, z) {
+    const wall = this.walls.get(wallId);
+    if (!wall) return null;
+
+    const [px, pz] = this._project(wall, x, z);
+    const id = this.addNode(px, pz);
+    this._splitWallAt(wall, id);
+    return id;
+  }
+
+  /**
+   * Delete a wall; nodes left without walls are removed too
+   */
+  removeWall(wallId) {
+    const wall = this.walls.get(wallId);
+    if (!wall) return;
+
+    this.walls.delete(wallId);
+    [wall.a, wall.b].forEach((id) => {
+      if (this.getWallsAt(id).length === 0) this.nodes.delete(id);
+    });
+  }
+
+  /**
+   * Drop nodes that no wall uses (e.g. the start of a cancelled drawing)
+   */
+  removeUnusedNodes() {
+    [...this.nodes.keys()].forEach((id) => {
+      if (this.getWallsAt(id).length === 0) this.nodes.delete(id);
+    });
+  }
+
+  moveNode(id, x, z) {
+    const node = this.nodes.get(id);
+    if (!node) return;
+    node.x = x;
+    node.z = z;
+  }
+
+  /**
+   * After a node was moved: merge it into a node at the same point,
+   * or split the wall it was dropped on
+   */
+  settleNode(id) {
+    const node = this.nodes.get(id);
+    if (!node) return;
+
+    const other = [...this.nodes.values()].find(n =>
+      n.id !== id && Math.hypot(n.x - node.x, n.z - node.z) < EPSILON
+    );
+    if (other) {
+      this._mergeNodes(id, other.id);
+      return;
+    }
+
+    const wall = [...this.walls.values()].find(w =>
+      w.a !== id && w.b !== id && this._distanceToWall(w, node.x, node.z) < EPSILON
+    );
+    if (wall) this._splitWallAt(wall, id);
+  }
+
+  /**
+   * Walls ending at a node
+   */
+  getWallsAt(id) {
+    return [...this.walls.values()].filter(w => w.a === id || w.b === id);
+  }
+
+  /**
+   * Closest node within maxDistance of a point, other than `exclude`
+   */
+  nearestNode(x, z, maxDistance, exclude = null) {
+    let best = null;
+    let bestDistance = maxDistance;
+    this.nodes.forEach((node) => {
+      if (node.id === exclude) return;
+      const distance = Math.hypot(node.x - x, node.z - z);
+      if (distance <= bestDistance) {
+        best = node;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Closest wall within maxDistance of a point, with the closest point on it.
+   * Walls ending at node `exclude` are skipped.
+   * @returns {{wall: Object, x: number, z: number, distance: number}|null}
+   */
+  nearestWall(x, z, maxDistance, exclude = null) {
+    let best = null;
+    this.walls.forEach((wall) => {
+      if (wall.a === exclude || wall.b === exclude) return;
+      const distance = this._distanceToWall(wall, x, z);
+      if (distance > maxDistance || (best && distance >= best.distance)) return;
+      const [px, pz] = this._project(wall, x, z);
+      best = { wall, x: px, z: pz, distance };
+    });
+    return best;
+  }
+
+  /**
+   * Outlines of the closed areas enclosed by the walls.
+   * Walls that do not close an area (dangling ends) are ignored.
+   */
+  findRooms() {
+    // Neighbours of each node, ignoring dangling chains
+    const neighbours = new Map();
+    this.nodes.forEach((node, id) => neighbours.set(id, []));
+    this.walls.forEach(({ a, b }) => {
+      neighbours.get(a).push(b);
+      neighbours.get(b).push(a);
+    });
+    const dangling = [...neighbours.keys()].filter(id => neighbours.get(id).length === 1);
+    while (dangling.length > 0) {
+      const id = dangling.pop();
+      neighbours.get(id).forEach((other) => {
+        const list = neighbours.get(other);
+        list.splice(list.indexOf(id), 1);
+        if (list.length === 1) dangling.push(other);
+      });
+      neighbours.set(id, []);
+    }
+
+    // Sort neighbours counter-clockwise around each node
+    const angle = (from, to) => {
+      const p = this.nodes.get(from);
+      const q = this.nodes.get(to);
+      return Math.atan2(q.z - p.z, q.x - p.x);
+    };
+    neighbours.forEach((list, id) => list.sort((p, q) => angle(id, p) - angle(id, q)));
+
+    // Walk every face, always taking the next wall clockwise
+    const visited = new Set();
+    const faces = [];
+    neighbours.forEach((list, start) => {
+      list.forEach((next) => {
+        const face = [];
+        let u = start;
+        let v = next;
+        while (!visited.has(`${u}>${v}`)) {
+          visited.add(`${u}>${v}`);
+          face.push(u);
+          const around = neighbours.get(v);
+          const w = around[(around.indexOf(u) - 1 + around.length) % around.length];
+          u = v;
+          v = w;
+        }
+        if (face.length >= 3) faces.push(face);
+      });
+    });
+
+    // Enclosed areas run counter-clockwise; the outside of each plan runs clockwise
+    return faces
+      .filter(face => new Set(face).size === face.length)
+      .map(face => face.map((id) => {
+        const { x, z } = this.nodes.get(id);
+        return [round(x), round(z)];
+      }))
+      .filter(outline => polygonArea(outline) > MIN_ROOM_AREA);
+  }
+
+  /**
+   * Named rooms for the enclosed areas. Areas covering a room of `previous`
+   * keep its name and come first, in the same order.
+   */
+  toRooms(previous = []) {
+    const used = new Set();
+    const rooms = this.findRooms().map((outline) => {
+      const [x, z] = interiorPoint(outline);
+      const index = previous.findIndex((room, i) => !used.has(i) && pointInPolygon(x, z, room.outline));
+      if (index >= 0) used.add(index);
+      return { name: index >= 0 ? previous[index].name : null, outline, order: index >= 0 ? index : Infinity };
+    });
+
+    rooms.sort((p, q) => p.order - q.order);
+
+    let count = 1;
+    const names = new Set(rooms.map(room => room.name).filter(Boolean));
+    return rooms.map(({ name, outline }) => {
+      while (!name) {
+        const candidate = `Room ${count++}`;
+        if (!names.has(candidate)) name = candidate;
+      }
+      names.add(name);
+      return { name, outline };
+    });
+  }
+
+  _point(id) {
+    const { x, z } = this.nodes.get(id);
+    return [x, z];
+  }
+
+  _distanceToWall(wall, x, z) {
+    return distanceToSegment(x, z, this._point(wall.a), this._point(wall.b));
+  }
+
+  _project(wall, x, z) {
+    const [ax, az] = this._point(wall.a);
+    const [bx, bz] = this._point(wall.b);
+    const dx = bx - ax;
+    const dz = bz - az;
+    const t = Math.max(0, Math.min(1, ((x - ax) * dx + (z - az) * dz) / (dx * dx + dz * dz)));
+    return [ax + t * dx, az + t * dz];
+  }
+
+  _intersection([ax, az], [bx, bz], [cx, cz], [dx, dz]) {
+    const denominator = (bx - ax) * (dz - cz) - (bz - az) * (dx - cx);
+    const t = ((cx - ax) * (dz - cz) - (cz - az) * (dx - cx)) / denominator;
+    return [ax + t * (bx - ax), az + t * (bz - az)];
+  }
+
+  _splitWallAt(wall, id) {
+    if (wall.a === id || wall.b === id) return;
+    this.walls.delete(wall.id);
+    this._link(wall.a, id);
+    this._link(id, wall.b);
+  }
+
+  _mergeNodes(from, into) {
+    this.getWallsAt(from).forEach((wall) => {
+      this.walls.delete(wall.id);
+      this._link(wall.a === from ? into : wall.a, wall.b === from ? into : wall.b);
+    });
+    this.nodes.delete(from);
+  }
+
+  /**
+   * Wall between two nodes, unless there is one already
+   */
+  _link(a, b) {
+    if (a === b) return;
+    const exists = [...this.walls.values()].some(w =>
+      (w.a === a && w.b === b) || (w.a === b && w.b === a)
+    );
+    if (exists) return;
+
+    const id = this.nextId++;
+    this.walls.set(id, { id, a, b });
+  }
+}
+
+/**
+ * A point inside an outline (centroid, or just inside an edge for odd concave shapes)
+ */
+function interiorPoint(outline) {
+  const area = polygonArea(outline);
+  let cx = 0;
+  let cz = 0;
+  outline.forEach(([x1, z1], i) => {
+    const [x2, z2] = outline[(i + 1) % outline.length];
+    const cross = x1 * z2 - x2 * z1;
+    cx += (x1 + x2) * cross;
+    cz += (z1 + z2) * cross;
+  });
+  cx /= 6 * area;
+  cz /= 6 * area;
+  if (pointInPolygon(cx, cz, outline)) return [cx, cz];
+
+  // Midpoint of the first edge, nudged towards the interior (left of a CCW outline)
+  const [[x1, z1], [x2, z2]] = outline;
+  const length = Math.hypot(x2 - x1, z2 - z1);
+  const step = 0.01;
+  return [(x1 + x2) / 2 - (z2 - z1) / length * step, (z1 + z2) / 2 + (x2 - x1) / length * step];
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default WallGraph;
@@ -0,0 +1,158 @@
+/**
+ * WallOpenings - Doors and windows that cut openings into room walls
+ * An opening is anchored to a wall edge of the Room by distance along it;
+ * its model is built procedurally with the origin at the bottom centre of
+ * the opening, X along the wall and Z across it.
+ */
+
+import * as THREE from 'three';
+
+// Default size and allowed range per opening kind (meters)
+export const OPENING_TYPES = {
+  door: {
+    width: 0.9,
+    height: 2.1,
+    sill: 0,
+    limits: { width: [0.6, 2.4], height: [1.8, 2.6], sill: [0, 0] }
+  },
+  window: {
+    width: 1.2,
+    height: 1.2,
+    sill: 0.9,
+    limits: { width: [0.4, 3], height: [0.4, 2.2], sill: [0.2, 1.8] }
+  }
+};
+
+const FRAME_SIZE = 0.06;
+const FRAME_DEPTH = 0.14;
+
+/**
+ * Create opening data for a catalog item
+ * @param {Object} size - {width, height} of the item (meters), defaults of its kind when missing
+ */
+export function createOpeningData(kind, anchor, size = {}) {
+  const { width, height, sill } = OPENING_TYPES[kind] || OPENING_TYPES.door;
+  return clampOpeningSize({
+    kind,
+    zoneIndex: anchor.zoneIndex,
+    edgeIndex: anchor.edgeIndex,
+    offset: anchor.offset,
+    width: size.width ?? width,
+    height: size.height ?? height,
+    sill
+  });
+}
+
+/**
+ * Clamp an opening's size to the limits of its kind (in place)
+ */
+export function clampOpeningSize(opening) {
+  const { limits } = OPENING_TYPES[opening.kind] || OPENING_TYPES.door;
+  ['width', 'height', 'sill'].forEach((key) => {
+    const [min, max] = limits[key];
+    opening[key] = Math.max(min, Math.min(max, opening[key]));
+  });
+  return opening;
+}
+
+/**
+ * Build the frame (and leaf or glass) of an opening
+ */
+export function createOpeningModel(opening) {
+  const group = new THREE.Group();
+  buildOpeningMeshes(group, opening);
+  return group;
+}
+
+/**
+ * Rebuild the meshes of an existing opening model after a resize
+ */
+export function updateOpeningModel(group, opening) {
+  while (group.children.length > 0) {
+    const child = group.children[0];
+    group.remove(child);
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) child.material.dispose();
+  }
+  buildOpeningMeshes(group, opening);
+}
+
+function buildOpeningMeshes(group, opening) {
+  const { kind, width, height, sill } = opening;
+
+  const frameMaterial = new THREE.MeshStandardMaterial({
+    color: 0xFFFFFF,
+    roughness: 0.6,
+    metalness: 0.1
+  });
+
+  // Frame: two jambs, head, and sill board for windows
+  const jambGeo = new THREE.BoxGeometry(FRAME_SIZE, height, FRAME_DEPTH);
+  [-1, 1].forEach((side) => {
+    const jamb = new THREE.Mesh(jambGeo, frameMaterial);
+    jamb.position.set(side * (width - FRAME_SIZE) / 2, sill + height / 2, 0);
+    jamb.name = 'frame-jamb';
+    group.add(jamb);
+  });
+
+  const headGeo = new THREE.BoxGeometry(width, FRAME_SIZE, FRAME_DEPTH);
+  const head = new THREE.Mesh(headGeo, frameMaterial);
+  head.position.set(0, sill + height - FRAME_SIZE / 2, 0);
+  head.name = 'frame-head';
+  group.add(head);
+
+  if (kind === 'window') {
+    const sillBoard = new THREE.Mesh(headGeo, frameMaterial);
+    sillBoard.position.set(0, sill + FRAME_SIZE / 2, 0);
+    sillBoard.name = 'frame-sill';
+    group.add(sillBoard);
+
+    // Glass pane with a centre mullion
+    const glass = new THREE.Mesh(
+      new THREE.PlaneGeometry(width - FRAME_SIZE * 2, height - FRAME_SIZE * 2),
+      new THREE.MeshStandardMaterial({
+        color: 0xAADDFF,
+        roughness: 0.05,
+        metalness: 0.1,
+        transparent: true,
+        opacity: 0.3,
+        side: THREE.DoubleSide
+      })
+    );
+    glass.position.set(0, sill + height / 2, 0);
+    glass.name = 'glass';
+    group.add(glass);
+
+    const mullion = new THREE.Mesh(
+      new THREE.BoxGeometry(FRAME_SIZE / 2, height - FRAME_SIZE * 2, FRAME_DEPTH / 2),
+      frameMaterial
+    );
+    mullion.position.set(0, sill + height / 2, 0);
+    mullion.name = 'mullion';
+    group.add(mullion);
+  } else {
+    // Door leaf, slightly inset in the frame
+    const leaf = new THREE.Mesh(
+      new THREE.BoxGeometry(width - FRAME_SIZE * 2, height - FRAME_SIZE, 0.04),
+      new THREE.MeshStandardMaterial({ color: 0x8B5A2B, roughness: 0.7, metalness: 0.05 })
+    );
+    leaf.position.set(0, (height - FRAME_SIZE) / 2, 0);
+    leaf.name = 'door-leaf';
+    group.add(leaf);
+
+    const handle = new THREE.Mesh(
+      new THREE.SphereGeometry(0.03, 12, 8),
+      new THREE.MeshStandardMaterial({ color: 0xC0C0C0, roughness: 0.3, metalness: 0.9 })
+    );
+    handle.position.set(width / 2 - 0.15, 1.0, 0.04);
+    handle.name = 'door-handle';
+    group.add(handle);
+  }
+
+  group.traverse((child) => {
+    if (child.isMesh) {
+      child.castShadow = true;
+      child.receiveShadow = true;
+    }
+  });
+}
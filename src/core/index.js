@@ -1,8 +1,16 @@
 /**
- * Core modules - Scene, Camera, Lighting, Controls, Room
+ * Core modules - Scene, Camera, Lighting, Controls, Room, Building, Units
  */
 
 export { SceneManager } from './SceneManager.js';
 export { LightingSetup } from './LightingSetup.js';
 export { ControlsManager } from './ControlsManager.js';
-export { Room, ROOM_CONFIG } from './Room.js';
+export { Room, ROOM_CONFIG, ROOM_LIMITS, DEFAULT_FINISHES, WALL_MODES } from './Room.js';
+export { FLOOR_PLAN_SHAPES, createOutline, createRooms, pointInPolygon } from './FloorPlan.js';
+export { OPENING_TYPES, createOpeningModel } from './WallOpenings.js';
+export { SURFACE_TEXTURES, createSurfaceTexture } from './SurfaceTextures.js';
+export { Building, LEVEL_SLAB, LEVEL_VIEWS } from './Building.js';
+export { createStaircaseModel, stairLayout } from './Staircase.js';
+export { FURNITURE_KINDS, createFurnitureModel, createFallbackModel } from './ProceduralFurniture.js';
+export { WallGraph } from './WallGraph.js';
+export { UNIT_SYSTEMS, formatLength } from './Units.js';
@@ -1,7 +1,10 @@
 /**
  * FurnitureLoader - Handles loading and caching of furniture models
+ * Catalog items give their real size (`width` along the model's X, `depth`
+ * along Z, `height`, all in meters); models are scaled to it on placement.
  */
 
+import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
 
@@ -67,6 +70,31 @@ export class FurnitureLoader {
     return gltf.scene.clone();
   }
 
+  /**
+   * Scale a model so its box matches the catalog item's real size, then
+   * stand it on the floor; items without a size keep the model's own
+   */
+  fitToSize(model, furnitureData) {
+    const dimensions = getDimensions(furnitureData);
+    
+    if (dimensions) {
+      model.updateMatrixWorld(true);
+      const size = new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3());
+      const axisScale = (target, current) => (current > 0.001 ? target / current : 1);
+      model.scale.multiply(new THREE.Vector3(
+        axisScale(dimensions.width, size.x),
+        axisScale(dimensions.height, size.y),
+        axisScale(dimensions.depth, size.z)
+      ));
+    }
+    
+    // Bottom of the model at the floor
+    model.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(model);
+    if (!box.isEmpty()) model.position.y -= box.min.y;
+    return model;
+  }
+
   /**
    * Pre-process loaded model (enable shadows, etc.)
    */
@@ -84,70 +112,6 @@ export class FurnitureLoader {
     });
   }
 
-  /**
-   * Create a primitive fallback furniture (when model not available)
-   * @param {string} type - Type of furniture
-   * @returns {THREE.Mesh}
-   */
-  createPrimitive(type) {
-    const THREE = window.THREE || require('three');
-    
-    let geometry, material, mesh;
-    const colors = {
-      chair: 0x8B4513,
-      table: 0xDEB887,
-      couch: 0x4169E1,
-      default: 0x888888
-    };
-    
-    const color = colors[type] || colors.default;
-    material = new THREE.MeshStandardMaterial({ color, roughness: 0.7 });
-    
-    switch (type) {
-      case 'chair':
-        // Simple chair shape
-        geometry = new THREE.BoxGeometry(0.5, 0.8, 0.5);
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.position.y = 0.4;
-        break;
-        
-      case 'table':
-        // Simple table shape
-        geometry = new THREE.BoxGeometry(1.2, 0.05, 0.8);
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.position.y = 0.75;
-        // Add legs
-        const legGeo = new THREE.BoxGeometry(0.05, 0.7, 0.05);
-        const legMat = new THREE.MeshStandardMaterial({ color: 0x5D4037 });
-        const positions = [[-0.5, 0.35, -0.35], [0.5, 0.35, -0.35], [-0.5, 0.35, 0.35], [0.5, 0.35, 0.35]];
-        positions.forEach(pos => {
-          const leg = new THREE.Mesh(legGeo, legMat);
-          leg.position.set(...pos);
-          mesh.add(leg);
-        });
-        break;
-        
-      case 'couch':
-      case 'sofa':
-        // Simple couch shape
-        geometry = new THREE.BoxGeometry(2, 0.8, 0.9);
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.position.y = 0.4;
-        break;
-        
-      default:
-        // Generic box
-        geometry = new THREE.BoxGeometry(0.6, 0.6, 0.6);
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.position.y = 0.3;
-    }
-    
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    
-    return mesh;
-  }
-
   /**
    * Check if a model file exists (by attempting to load it)
    */
@@ -168,5 +132,15 @@ export class FurnitureLoader {
   }
 }
 
+/**
+ * Real size of a catalog item
+ * @returns {{width: number, depth: number, height: number}|null} null when it has none
+ */
+export function getDimensions(furnitureData) {
+  const { width, depth, height } = furnitureData || {};
+  const valid = [width, depth, height].every(value => typeof value === 'number' && value > 0);
+  return valid ? { width, depth, height } : null;
+}
+
 // Singleton instance
 export const furnitureLoader = new FurnitureLoader();
@@ -2,4 +2,4 @@
  * Loaders module index
  */
 
-export { FurnitureLoader, furnitureLoader } from './FurnitureLoader.js';
+export { FurnitureLoader, furnitureLoader, getDimensions } from './FurnitureLoader.js';
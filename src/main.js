@@ -11,7 +11,7 @@ import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
 import { SceneManager } from './core/SceneManager.js';
 import { LightingSetup } from './core/LightingSetup.js';
 import { ControlsManager } from './core/ControlsManager.js';
-import { Room, ROOM_CONFIG } from './core/Room.js';
+import { Building } from './core/Building.js';
 
 // UI modules
 import { PaletteUI } from './ui/PaletteUI.js';
@@ -19,10 +19,18 @@ import { MenuPanel } from './ui/MenuPanel.js';
 import { StatusBar } from './ui/StatusBar.js';
 import { ActionButtons } from './ui/ActionButtons.js';
 import { PropertiesPanel } from './ui/PropertiesPanel.js';
+import { RoomSettingsPanel } from './ui/RoomSettingsPanel.js';
+import { LevelSwitcher } from './ui/LevelSwitcher.js';
+import { PlanEditor } from './ui/PlanEditor.js';
+import { ArrayPanel } from './ui/ArrayPanel.js';
+import { TransformToolbar } from './ui/TransformToolbar.js';
+import { HistoryPanel } from './ui/HistoryPanel.js';
 
 // Systems
 import { PlacementSystem } from './systems/PlacementSystem.js';
 import { SelectionSystem } from './systems/SelectionSystem.js';
+import { ArrayTool } from './systems/ArrayTool.js';
+import { TransformGizmo } from './systems/TransformGizmo.js';
 
 // State
 import { AppState } from './state/AppState.js';
@@ -31,9 +39,10 @@ import { StorageManager } from './state/StorageManager.js';
 // ============================================
 // Application State
 // ============================================
-let sceneManager, lighting, controls, room;
-let paletteUI, menuPanel, statusBar, actionButtons, propertiesPanel;
-let placementSystem, selectionSystem, storageManager;
+let sceneManager, lighting, controls, building, room;
+let paletteUI, menuPanel, statusBar, actionButtons, propertiesPanel, roomSettingsPanel, levelSwitcher, planEditor, arrayPanel, transformToolbar, historyPanel;
+let placementSystem, selectionSystem, transformGizmo, storageManager;
+let gridHelper;
 
 // ============================================
 // Initialize Application
@@ -52,7 +61,19 @@ async function init() {
   sceneManager = new SceneManager(canvas);
   lighting = new LightingSetup(sceneManager.scene);
   controls = new ControlsManager(sceneManager.camera, sceneManager.renderer.domElement);
-  room = new Room(sceneManager.scene);
+  building = new Building(sceneManager.scene);
+  room = building.getActiveRoom(); // Ground floor; systems follow 'activeLevel' from here on
+  
+  // Cut away the walls facing the camera as it orbits
+  const updateRoomView = () => building.updateView(sceneManager.camera.position, controls.getTarget());
+  controls.onChange(updateRoomView);
+  updateRoomView();
+  
+  // Look at the level being edited
+  AppState.subscribe('activeLevel', (level) => {
+    room = level.room;
+    controls.setTargetHeight(level.elevation + 0.5);
+  });
 
   // Load HDRI environment (optional, enhances lighting)
   loadEnvironment();
@@ -67,7 +88,8 @@ async function init() {
   placementSystem = new PlacementSystem(
     sceneManager.scene,
     sceneManager.camera,
-    sceneManager.renderer.domElement
+    sceneManager.renderer.domElement,
+    room
   );
 
   // Initialize selection system (Step 5)
@@ -75,16 +97,27 @@ async function init() {
     sceneManager.scene,
     sceneManager.camera,
     sceneManager.renderer.domElement,
-    controls // Pass controls to disable during drag
+    controls, // Pass controls to disable during drag
+    room
   );
 
+  // Move/rotate/scale handles on the selected object, and their mode buttons
+  transformGizmo = new TransformGizmo(
+    sceneManager.scene,
+    sceneManager.camera,
+    sceneManager.renderer.domElement,
+    controls // Camera stays put while a handle is held
+  );
+  transformToolbar = new TransformToolbar('transform-toolbar', transformGizmo);
+
   // Initialize action buttons (Step 5)
   actionButtons = new ActionButtons(sceneManager.scene);
 
   // Initialize storage manager (Step 7)
   storageManager = new StorageManager(
     sceneManager.scene,
-    placementSystem.furnitureLoader // Pass furniture loader for loading
+    placementSystem.furnitureLoader, // Pass furniture loader for loading
+    building // Levels and their rooms are saved with the layout
   );
   
   // Connect storage manager to action buttons
@@ -93,9 +126,10 @@ async function init() {
   console.log('✅ Scene Manager initialized');
   console.log('✅ Lighting setup complete');
   console.log('✅ OrbitControls enabled');
-  console.log('✅ Room created:', ROOM_CONFIG);
-  console.log('✅ PlacementSystem ready - double-click to place furniture');
+  console.log('✅ Building created:', building.getLevels().length, 'level(s)');
+  console.log('✅ PlacementSystem ready - click to place furniture');
   console.log('✅ SelectionSystem ready - click to select, drag to move');
+  console.log('✅ TransformGizmo ready - move/rotate/scale handles');
   console.log('✅ ActionButtons ready - Delete/Reset/Save/Load controls');
   console.log('✅ PropertiesPanel ready - color/material controls');
   console.log('✅ StorageManager ready - localStorage persistence');
@@ -113,16 +147,31 @@ async function initUI() {
   menuPanel = new MenuPanel('menu-container');
   
   // Create status bar
-  statusBar = new StatusBar('status-bar');
+  statusBar = new StatusBar('status-bar', room);
   
   // Create properties panel (Step 6)
-  propertiesPanel = new PropertiesPanel('properties-panel');
+  propertiesPanel = new PropertiesPanel('properties-panel', room);
+  
+  // Create room settings panel (width/depth/height)
+  roomSettingsPanel = new RoomSettingsPanel('room-settings-panel', room);
+  
+  // Create level switcher (multi-storey buildings)
+  levelSwitcher = new LevelSwitcher('level-switcher', building);
+  
+  // Create floor plan editor (draw walls from above)
+  planEditor = new PlanEditor('plan-editor', room);
+  
+  // Create array panel (copies of the selected object in a pattern)
+  arrayPanel = new ArrayPanel('array-panel', new ArrayTool(sceneManager.scene));
+  
+  // Create history panel (undo/redo and the steps taken)
+  historyPanel = new HistoryPanel('history-panel');
   
   // Handle item selection from menu
   menuPanel.setOnItemSelect((item) => {
     if (item) {
       console.log('🪑 Selected furniture type:', item.name);
-      console.log('💡 Double-click on the floor to place it!');
+      console.log('💡 Click on the floor to place it!');
     }
   });
 
@@ -151,9 +200,11 @@ function loadEnvironment() {
 // Development Helpers
 // ============================================
 function addGridHelper() {
-  const gridHelper = new THREE.GridHelper(ROOM_CONFIG.width, ROOM_CONFIG.width, 0x888888, 0xcccccc);
-  gridHelper.position.y = 0.01; // Slightly above floor to avoid z-fighting
-  sceneManager.scene.add(gridHelper);
+  buildGridHelper();
+  
+  // Rebuild grid when the room is resized, another level is edited or the snap grid changes
+  AppState.subscribe('roomConfig', () => buildGridHelper());
+  AppState.subscribe('snap', () => buildGridHelper());
   
   // Expose scene for debugging
   window.scene = sceneManager.scene;
@@ -161,6 +212,31 @@ function addGridHelper() {
   window.placementSystem = placementSystem;
 }
 
+function buildGridHelper() {
+  if (gridHelper) {
+    sceneManager.scene.remove(gridHelper);
+    gridHelper.dispose();
+  }
+  
+  // Cells of the snap grid (1-unit cells while snapping is off), lines on
+  // whole multiples of the cell so they match where things snap to
+  const snap = AppState.get('snap');
+  const cell = snap.enabled ? snap.gridSize : 1;
+  const { minX, maxX, minZ, maxZ } = room.getBounds(0);
+  const x = [Math.floor(minX / cell), Math.ceil(maxX / cell)];
+  const z = [Math.floor(minZ / cell), Math.ceil(maxZ / cell)];
+  
+  // GridHelper is square - cover the longer side of the plan, centred on it
+  const cells = Math.max(x[1] - x[0], z[1] - z[0], 1);
+  const startX = x[0] - Math.floor((cells - (x[1] - x[0])) / 2);
+  const startZ = z[0] - Math.floor((cells - (z[1] - z[0])) / 2);
+  gridHelper = new THREE.GridHelper(cells * cell, cells, 0x888888, cell < 1 ? 0xdddddd : 0xcccccc);
+  gridHelper.position.set((startX + cells / 2) * cell, 0, (startZ + cells / 2) * cell);
+  // Slightly above the active level's floor to avoid z-fighting
+  gridHelper.position.y = (AppState.get('activeLevel')?.elevation || 0) + 0.01;
+  sceneManager.scene.add(gridHelper);
+}
+
 // ============================================
 // Animation Loop
 // ============================================
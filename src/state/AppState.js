@@ -6,12 +6,28 @@
 class AppStateManager {
   constructor() {
     this.state = {
-      selectedObject: null,
+      selectedObject: null, // Object picked last
+      selectedObjects: [], // Every selected object (see SelectionSystem)
+      selectedSurface: null, // Key of the picked floor/wall/ceiling, e.g. 'wall-0-2'
       selectedCategory: null,
       activeFurnitureType: null,
+      draggedFurniture: null, // Catalog item being dragged from the menu onto the canvas
       placedObjects: [],
+      groups: [], // Named groups of placed objects: { id, name, parentId } (see Grouping)
       isLoading: false,
-      furnitureData: null
+      furnitureData: null,
+      roomConfig: null,
+      transformedObject: null, // Last object moved/rotated by the user
+      wallMode: 'cutaway', // 'up' | 'cutaway' | 'down' (see WALL_MODES)
+      activeLevel: null, // Building level being edited: { index, name, elevation, room, container }
+      levelView: 'ghost', // How other levels are shown: 'ghost' | 'isolate' (see LEVEL_VIEWS)
+      snap: { enabled: true, gridSize: 0.1, angleStep: 15 }, // Grid (m) and angle (degrees) snapping
+      collisionMode: 'block', // What furniture does when it runs into other furniture (see COLLISION_MODES)
+      units: 'metric', // How lengths are shown: 'metric' | 'imperial' (see UNIT_SYSTEMS)
+      transformMode: 'translate', // Handles of the gizmo on the selected object (see TRANSFORM_MODES)
+      transforming: false, // A gizmo handle is being dragged
+      planEditing: false, // The plan editor is open (its keys are the plan's)
+      history: null // Undo/redo steps: { steps (names), index (applied), limit } (see History)
     };
     
     this.listeners = new Map();
@@ -71,7 +87,9 @@ class AppStateManager {
   clearPlacedObjects() {
     this.state.placedObjects = [];
     this.state.selectedObject = null;
+    this.state.selectedObjects = [];
     this._notify('placedObjects', this.state.placedObjects);
+    this._notify('selectedObjects', []);
     this._notify('selectedObject', null);
   }
 
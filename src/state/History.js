@@ -0,0 +1,393 @@
+/**
+ * History - Undo and redo of changes to the placed furniture
+ * Every change is a step: a command with a name and the state before and
+ * after of just the objects it touched - whether they are placed (and in
+ * which level container), pose, scale, what they stand on, group, room,
+ * door/window and custom size, and the color, finish and opacity of their
+ * meshes - together with the groups.
+ * Changes are recorded with `record(label, change)`, or between `begin(label)`
+ * and `end()` when they last a while (a whole drag is one step); anything
+ * recorded inside another step is part of it, and changes recorded under the
+ * same `merge` key in quick succession (a color being picked) become one
+ * step. Up to `limit` steps are kept. The step names and how many of them
+ * are applied are published as `history` on AppState.
+ * Deleted objects are kept as they are while a step can still bring them
+ * back; their geometry and materials are disposed once the last such step
+ * is dropped (redone steps cut off, the oldest past the limit, or clear()).
+ */
+
+import { AppState } from './AppState.js';
+import { updateOpeningModel } from '../core/WallOpenings.js';
+import { updateFurnitureModel } from '../core/ProceduralFurniture.js';
+
+// Steps kept, offered in the history panel
+export const HISTORY_LIMITS = {
+  20: '20 steps',
+  50: '50 steps',
+  100: '100 steps'
+};
+
+const DEFAULT_LIMIT = 50;
+const MERGE_WINDOW = 1000; // ms between changes that still make one step
+const OPENING_SIZE_KEYS = ['width', 'height', 'sill'];
+
+/**
+ * Name of what a step changes: the item, or how many objects
+ */
+export function describeObjects(objects) {
+  if (objects.length === 1) return objects[0].userData.furnitureData?.name || objects[0].name;
+  return `${objects.length} objects`;
+}
+
+/**
+ * A recorded change: puts the objects and groups back as they were before
+ * or after it
+ */
+class LayoutCommand {
+  constructor(label, merge, before, after, groups) {
+    this.label = label;
+    this.merge = merge;
+    this.time = Date.now();
+    this.before = before; // Object -> state (null: not placed)
+    this.after = after;
+    this.groups = groups; // [before, after]
+  }
+
+  undo() {
+    applyStates(this.before, this.groups[0]);
+  }
+
+  redo() {
+    applyStates(this.after, this.groups[1]);
+  }
+
+  /**
+   * Take in a later change of the same kind: from this one's start to its end
+   */
+  absorb(command) {
+    command.before.forEach((state, object) => {
+      if (!this.before.has(object)) this.before.set(object, state);
+    });
+    command.after.forEach((state, object) => this.after.set(object, state));
+    this.groups = [this.groups[0], command.groups[1]];
+    this.time = command.time;
+  }
+}
+
+class HistoryManager {
+  constructor() {
+    this.steps = [];
+    this.index = 0; // Steps applied; the rest can be redone
+    this.limit = DEFAULT_LIMIT;
+    this.depth = 0; // Open begin() calls
+    this.pending = null; // Layout when the outermost begin() was called
+    this.applying = false;
+  }
+
+  /**
+   * Start a step (its changes are compared when the matching end() comes);
+   * nothing can be undone or redone until then
+   */
+  begin(label, merge = null) {
+    if (this.depth === 0 && !this.applying) {
+      this.pending = { label, merge, before: captureLayout(), groups: AppState.get('groups') };
+    }
+    this.depth++;
+    if (this.depth === 1) this._publish();
+  }
+
+  /**
+   * Finish a step; kept when anything changed
+   */
+  end() {
+    if (this.depth === 0) return;
+    this.depth--;
+    if (this.depth > 0) return;
+
+    const command = this._takePending();
+    if (command) {
+      this._push(command);
+    } else {
+      this._publish(); // Undo and redo are available again
+    }
+  }
+
+  /**
+   * The pending step with just what changed since begin(), or null
+   */
+  _takePending() {
+    if (!this.pending) return null;
+
+    const { label, merge, before, groups } = this.pending;
+    this.pending = null;
+    const after = captureLayout();
+    const groupsAfter = AppState.get('groups');
+
+    // Only what changed is kept
+    const changedBefore = new Map();
+    const changedAfter = new Map();
+    new Set([...before.keys(), ...after.keys()]).forEach((object) => {
+      const from = before.get(object) || null;
+      const to = after.get(object) || null;
+      if (sameState(from, to)) return;
+      changedBefore.set(object, from);
+      changedAfter.set(object, to);
+    });
+    if (changedBefore.size === 0 && groups === groupsAfter) return null;
+
+    return new LayoutCommand(label, merge, changedBefore, changedAfter, [groups, groupsAfter]);
+  }
+
+  /**
+   * Run a change as one step
+   * @returns whatever the change returns
+   */
+  record(label, change, merge = null) {
+    this.begin(label, merge);
+    try {
+      return change();
+    } finally {
+      this.end();
+    }
+  }
+
+  _push(command) {
+    // A new change drops the steps that were undone
+    const dropped = this.steps.splice(this.index);
+
+    const last = this.steps[this.steps.length - 1];
+    if (last && command.merge && last.merge === command.merge && command.time - last.time < MERGE_WINDOW) {
+      last.absorb(command);
+    } else {
+      this.steps.push(command);
+    }
+
+    dropped.push(...this.steps.splice(0, Math.max(0, this.steps.length - this.limit)));
+    this.index = this.steps.length;
+    this._dispose(dropped);
+    this._publish();
+  }
+
+  canUndo() {
+    return this.index > 0 && this.depth === 0;
+  }
+
+  canRedo() {
+    return this.index < this.steps.length && this.depth === 0;
+  }
+
+  undo() {
+    if (!this.canUndo()) return;
+    this._apply(() => this.steps[--this.index].undo());
+    console.log('↶ Undo:', this.steps[this.index].label);
+  }
+
+  redo() {
+    if (!this.canRedo()) return;
+    this._apply(() => this.steps[this.index++].redo());
+    console.log('↷ Redo:', this.steps[this.index - 1].label);
+  }
+
+  /**
+   * Undo or redo until `index` steps are applied (0: before the first one kept)
+   */
+  jumpTo(index) {
+    if (this.depth > 0 || index < 0 || index > this.steps.length) return;
+
+    this._apply(() => {
+      while (this.index > index) this.steps[--this.index].undo();
+      while (this.index < index) this.steps[this.index++].redo();
+    });
+  }
+
+  _apply(change) {
+    this.applying = true;
+    try {
+      change();
+    } finally {
+      this.applying = false;
+    }
+    this._publish();
+  }
+
+  /**
+   * Forget every step (a layout was loaded, a level removed)
+   */
+  clear() {
+    const dropped = this.steps;
+    this.steps = [];
+    this.index = 0;
+    this._dispose(dropped);
+    this._publish();
+  }
+
+  /**
+   * Keep at most `limit` steps, dropping the oldest
+   */
+  setLimit(limit) {
+    this.limit = Math.max(1, Math.round(limit));
+    const excess = Math.max(0, this.steps.length - this.limit);
+    const dropped = this.steps.splice(0, excess);
+    this.index = Math.max(0, this.index - excess);
+    this._dispose(dropped);
+    this._publish();
+  }
+
+  /**
+   * Free the objects of dropped steps that are not placed and that no kept
+   * step can bring back
+   */
+  _dispose(dropped) {
+    const placed = new Set(AppState.get('placedObjects') || []);
+    const kept = new Set(this.steps.flatMap(step => [...step.before.keys()]));
+    new Set(dropped.flatMap(step => [...step.before.keys()])).forEach((object) => {
+      if (!placed.has(object) && !kept.has(object)) disposeObject(object);
+    });
+  }
+
+  _publish() {
+    AppState.set('history', {
+      steps: this.steps.map(step => step.label),
+      index: this.index,
+      limit: this.limit
+    });
+  }
+}
+
+/**
+ * State of every placed object, on every level
+ */
+function captureLayout() {
+  return new Map((AppState.get('placedObjects') || []).map(object => [object, captureObject(object)]));
+}
+
+function captureObject(object) {
+  const { userData } = object;
+  const data = {
+    position: object.position.toArray(),
+    rotation: object.rotation.y,
+    scale: object.scale.toArray(),
+    supportId: userData.supportId ?? null,
+    groupId: userData.groupId ?? null,
+    roomName: userData.roomName ?? null,
+    opening: userData.opening ? { ...userData.opening } : null,
+    procedural: userData.procedural ? { ...userData.procedural } : null,
+    materials: getMaterials(object).map(material => [
+      material.color ? material.color.getHex() : null,
+      material.metalness ?? null,
+      material.roughness ?? null,
+      material.opacity,
+      material.transparent
+    ])
+  };
+  return { parent: object.parent, data, key: JSON.stringify(data) };
+}
+
+function sameState(a, b) {
+  if (!a || !b) return a === b;
+  return a.parent === b.parent && a.key === b.key;
+}
+
+function disposeObject(object) {
+  object.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    // The real material, not the ghost one other levels share
+    const material = child.userData.solidMaterial || child.material;
+    if (material) {
+      if (Array.isArray(material)) {
+        material.forEach(m => m.dispose());
+      } else {
+        material.dispose();
+      }
+    }
+  });
+}
+
+/**
+ * Materials of an object's meshes, the real ones on ghosted levels
+ */
+function getMaterials(object) {
+  const materials = [];
+  object.traverse((child) => {
+    const material = child.isMesh && (child.userData.solidMaterial || child.material);
+    if (material && !Array.isArray(material)) materials.push(material);
+  });
+  return materials;
+}
+
+/**
+ * Put objects back in a recorded state: removed ones first, then added
+ * ones, then every pose and look (adding and removing lets listeners drop
+ * stacked items and prune groups, which the recorded state undoes)
+ */
+function applyStates(states, groups) {
+  const isPlaced = object => (AppState.get('placedObjects') || []).includes(object);
+
+  states.forEach((state, object) => {
+    if (state || !isPlaced(object)) return;
+    object.parent?.remove(object);
+    AppState.removePlacedObject(object);
+  });
+  states.forEach((state, object) => {
+    if (!state) return;
+    if (object.parent !== state.parent) state.parent.add(object);
+    if (!isPlaced(object)) AppState.addPlacedObject(object);
+  });
+
+  const restored = [...states].filter(([, state]) => state).map(([object]) => object);
+  restored.forEach(object => restoreObject(object, states.get(object).data));
+  if (AppState.get('groups') !== groups) AppState.set('groups', groups);
+
+  // Walls, stairwells, panels and highlights follow; the step's objects on this level are selected
+  restored.forEach(object => AppState.set('transformedObject', object));
+  const level = AppState.get('activeLevel');
+  AppState.set('selectedObjects', level ? restored.filter(object => level.room.isOnLevel(object)) : []);
+}
+
+function restoreObject(object, data) {
+  const { userData } = object;
+  object.position.fromArray(data.position);
+  object.rotation.set(0, data.rotation, 0);
+  object.scale.fromArray(data.scale);
+
+  ['supportId', 'groupId', 'roomName'].forEach((key) => {
+    if (data[key] !== null) {
+      userData[key] = data[key];
+    } else {
+      delete userData[key];
+    }
+  });
+
+  // Door/window and custom item models are rebuilt at their recorded size
+  if (data.opening && userData.opening) {
+    const resized = OPENING_SIZE_KEYS.some(key => userData.opening[key] !== data.opening[key]);
+    Object.assign(userData.opening, data.opening);
+    if (resized) updateOpeningModel(object, userData.opening);
+  }
+  if (data.procedural && userData.procedural) {
+    const resized = JSON.stringify(userData.procedural) !== JSON.stringify(data.procedural);
+    Object.assign(userData.procedural, data.procedural);
+    if (resized) updateFurnitureModel(object, userData.procedural);
+  }
+
+  getMaterials(object).forEach((material, i) => {
+    const saved = data.materials[i];
+    if (!saved) return;
+
+    const [color, metalness, roughness, opacity, transparent] = saved;
+    if (color !== null && material.color) material.color.setHex(color);
+    if (metalness !== null) material.metalness = metalness;
+    if (roughness !== null) material.roughness = roughness;
+    material.opacity = opacity;
+    if (material.transparent !== transparent) {
+      material.transparent = transparent;
+      material.needsUpdate = true;
+    }
+  });
+
+  object.updateMatrixWorld(true);
+}
+
+// Singleton instance
+export const History = new HistoryManager();
+export default History;
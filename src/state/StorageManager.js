@@ -1,17 +1,25 @@
 /**
  * StorageManager - Save/Load layout to localStorage
  * Step 7: Persistence
+ * Every building level is saved with its room; objects remember their level,
+ * the furniture they stand on and the group they are in
  */
 
-import * as THREE from 'three';
 import { AppState } from './AppState.js';
+import { History } from './History.js';
+import { createOpeningModel } from '../core/WallOpenings.js';
+import { createStaircaseModel } from '../core/Staircase.js';
+import { createFurnitureModel, createFallbackModel } from '../core/ProceduralFurniture.js';
+import { sortBySupport } from '../systems/Stacking.js';
+import { pruneGroups } from '../systems/Grouping.js';
 
 const STORAGE_KEY = '3d-home-design-layout';
 
 export class StorageManager {
-  constructor(scene, furnitureLoader) {
+  constructor(scene, furnitureLoader, building = null) {
     this.scene = scene;
     this.furnitureLoader = furnitureLoader;
+    this.building = building; // Levels and their rooms are saved with the layout
     
     console.log('✅ StorageManager initialized');
   }
@@ -28,9 +36,12 @@ export class StorageManager {
     }
 
     const layoutData = {
-      version: '1.0',
+      version: '1.5',
       timestamp: Date.now(),
-      objects: placedObjects.map(obj => this._serializeObject(obj))
+      levels: this.building ? this._serializeLevels() : null,
+      groups: AppState.get('groups').map(group => ({ ...group })),
+      // Supports first, so they are back before what stands on them
+      objects: sortBySupport(placedObjects).map(obj => this._serializeObject(obj))
     };
 
     try {
@@ -66,11 +77,30 @@ export class StorageManager {
       // Clear current objects first
       this._clearCurrentObjects();
 
+      // Restore levels before objects so they are clamped to the right bounds
+      // (v1.1 layouts have a single room entry; older ones keep the current room)
+      const levels = layoutData.levels || (layoutData.room ? [{ room: layoutData.room }] : null);
+      if (levels && this.building) {
+        this.building.restoreLevels(levels);
+      }
+
       // Load each object
       for (const objData of layoutData.objects) {
         await this._deserializeObject(objData);
       }
 
+      // Groups once their objects are back (v1.5), less any left empty
+      AppState.set('groups', layoutData.groups || []);
+      pruneGroups(AppState.get('placedObjects'));
+
+      // Start on the ground floor, with the other levels shown accordingly
+      if (this.building) {
+        this.building.setActiveLevel(0);
+      }
+
+      // Steps from before refer to the furniture that was replaced
+      History.clear();
+
       console.log('✅ Layout loaded successfully');
       return true;
     } catch (error) {
@@ -121,6 +151,24 @@ export class StorageManager {
     console.log('🗑️ Saved layout cleared');
   }
 
+  /**
+   * Serialize every building level with its room
+   */
+  _serializeLevels() {
+    return this.building.getLevels().map(level => ({
+      name: level.name,
+      room: this._serializeRoom(level.room)
+    }));
+  }
+
+  /**
+   * Serialize room dimensions, floor-plan shape and surface finishes
+   */
+  _serializeRoom(room) {
+    const { width, depth, height, shape, rooms, finishes } = room.getConfig();
+    return { width, depth, height, shape, rooms, finishes };
+  }
+
   /**
    * Serialize a 3D object to JSON-compatible format
    */
@@ -151,6 +199,15 @@ export class StorageManager {
         y: obj.scale.y,
         z: obj.scale.z
       },
+      // Building level, door/window anchor and size, staircase rise,
+      // custom item size, furniture it stands on, group
+      id: obj.userData?.id,
+      supportId: obj.userData?.supportId ?? null,
+      groupId: obj.userData?.groupId ?? null,
+      level: obj.userData?.level || 0,
+      opening: obj.userData?.opening ? { ...obj.userData.opening } : null,
+      stairs: obj.userData?.stairs ? { ...obj.userData.stairs } : null,
+      procedural: obj.userData?.procedural ? { ...obj.userData.procedural } : null,
       // Save color/material modifications
       materialMods: this._serializeMaterialMods(obj)
     };
@@ -163,13 +220,15 @@ export class StorageManager {
     const mods = [];
     
     obj.traverse((child) => {
-      if (child.isMesh && child.material && child.material._isCloned) {
+      // Objects on ghosted levels keep their real material aside (see Building)
+      const material = child.userData.solidMaterial || child.material;
+      if (child.isMesh && material && material._isCloned) {
         mods.push({
           childName: child.name || child.uuid,
-          color: child.material.color ? '#' + child.material.color.getHexString() : null,
-          metalness: child.material.metalness,
-          roughness: child.material.roughness,
-          opacity: child.material.opacity
+          color: material.color ? '#' + material.color.getHexString() : null,
+          metalness: material.metalness,
+          roughness: material.roughness,
+          opacity: material.opacity
         });
       }
     });
@@ -182,20 +241,33 @@ export class StorageManager {
    */
   async _deserializeObject(objData) {
     try {
-      // Get furniture container
-      const container = this.scene.getObjectByName('FurnitureContainer');
-      if (!container) {
-        console.error('FurnitureContainer not found');
+      // Get furniture container of the object's level (ground floor if it is gone)
+      const levels = this.building ? this.building.getLevels() : [];
+      const level = levels[objData.level || 0] || levels[0];
+      if (!level) {
+        console.error('Building level not found');
         return null;
       }
+      const container = level.container;
 
       let furniture = null;
       
       // Get the model path from either direct path or furnitureData
       const modelPath = objData.furniturePath || objData.furnitureData?.path;
 
+      // Doors/windows are built procedurally
+      if (objData.opening) {
+        furniture = createOpeningModel(objData.opening);
+      }
+      if (objData.stairs) {
+        furniture = createStaircaseModel(objData.stairs.rise);
+      }
+      if (objData.procedural) {
+        furniture = createFurnitureModel(objData.procedural);
+      }
+
       // Try to load the model
-      if (modelPath && this.furnitureLoader) {
+      if (!furniture && modelPath && this.furnitureLoader) {
         try {
           furniture = await this.furnitureLoader.load(modelPath);
         } catch (loadError) {
@@ -207,7 +279,7 @@ export class StorageManager {
       // Fallback to primitive if model loading failed
       if (!furniture) {
         console.log(`⚠️ Using fallback primitive for: ${objData.name}`);
-        furniture = this._createFallbackPrimitive(objData.furnitureType, objData.furnitureData);
+        furniture = createFallbackModel(objData.furnitureData || { name: objData.furnitureType });
       }
 
       // Apply saved properties
@@ -215,7 +287,7 @@ export class StorageManager {
       
       // Restore userData - preserve furnitureData for future saves
       furniture.userData = {
-        id: Date.now() + Math.random(),
+        id: objData.id ?? Date.now() + Math.random(),
         name: objData.name,
         furnitureType: objData.furnitureType,
         furniturePath: modelPath,
@@ -225,8 +297,24 @@ export class StorageManager {
           path: modelPath,
           id: objData.furnitureId
         },
+        level: level.index,
         isSelectable: true
       };
+      if (objData.opening) {
+        furniture.userData.opening = { ...objData.opening };
+      }
+      if (objData.stairs) {
+        furniture.userData.stairs = { ...objData.stairs };
+      }
+      if (objData.procedural) {
+        furniture.userData.procedural = { ...objData.procedural };
+      }
+      if (objData.supportId != null) {
+        furniture.userData.supportId = objData.supportId;
+      }
+      if (objData.groupId != null) {
+        furniture.userData.groupId = objData.groupId;
+      }
 
       // Apply position, rotation, scale
       furniture.position.set(
@@ -250,6 +338,9 @@ export class StorageManager {
         this._applyMaterialMods(furniture, objData.materialMods);
       }
 
+      // Room of the plan containing it
+      level.room.assignZone(furniture);
+
       // Add to scene and state
       container.add(furniture);
       AppState.addPlacedObject(furniture);
@@ -296,148 +387,33 @@ export class StorageManager {
     });
   }
 
-  /**
-   * Create fallback primitive geometry with proper styling
-   */
-  _createFallbackPrimitive(type, furnitureData = null) {
-    const group = new THREE.Group();
-    
-    // Determine type from various sources
-    let furnitureType = type || 'default';
-    if (furnitureData) {
-      const name = (furnitureData.name || '').toLowerCase();
-      if (name.includes('chair') || name.includes('arm')) furnitureType = 'chair';
-      else if (name.includes('table')) furnitureType = 'table';
-      else if (name.includes('couch') || name.includes('sofa')) furnitureType = 'couch';
-      else if (name.includes('bed')) furnitureType = 'bed';
-      else if (name.includes('cabinet') || name.includes('wardrobe')) furnitureType = 'cabinet';
-    }
-    
-    // Colors for different furniture types
-    const typeColors = {
-      chair: 0x8B4513,    // Brown
-      table: 0xDEB887,    // BurlyWood
-      couch: 0x4169E1,    // RoyalBlue
-      bed: 0x9370DB,      // MediumPurple
-      cabinet: 0x2F4F4F,  // DarkSlateGray
-      default: 0x708090   // SlateGray
-    };
-    
-    const color = typeColors[furnitureType] || typeColors.default;
-    const material = new THREE.MeshStandardMaterial({ 
-      color,
-      roughness: 0.7,
-      metalness: 0.1
-    });
-    
-    let mesh;
-    
-    switch (furnitureType) {
-      case 'chair':
-        // Seat
-        const seatGeo = new THREE.BoxGeometry(0.5, 0.1, 0.5);
-        const seat = new THREE.Mesh(seatGeo, material);
-        seat.position.y = 0.45;
-        group.add(seat);
-        // Back
-        const backGeo = new THREE.BoxGeometry(0.5, 0.5, 0.08);
-        const back = new THREE.Mesh(backGeo, material);
-        back.position.set(0, 0.7, -0.21);
-        group.add(back);
-        // Legs
-        const legGeo = new THREE.CylinderGeometry(0.03, 0.03, 0.4);
-        const legMat = new THREE.MeshStandardMaterial({ color: 0x333333 });
-        const positions = [[-0.2, 0.2, -0.2], [0.2, 0.2, -0.2], [-0.2, 0.2, 0.2], [0.2, 0.2, 0.2]];
-        positions.forEach(pos => {
-          const leg = new THREE.Mesh(legGeo, legMat);
-          leg.position.set(...pos);
-          group.add(leg);
-        });
-        break;
-        
-      case 'table':
-        // Top
-        const topGeo = new THREE.BoxGeometry(1.2, 0.08, 0.8);
-        const top = new THREE.Mesh(topGeo, material);
-        top.position.y = 0.75;
-        group.add(top);
-        // Legs
-        const tLegGeo = new THREE.BoxGeometry(0.08, 0.7, 0.08);
-        const tLegPositions = [[-0.5, 0.35, -0.3], [0.5, 0.35, -0.3], [-0.5, 0.35, 0.3], [0.5, 0.35, 0.3]];
-        tLegPositions.forEach(pos => {
-          const leg = new THREE.Mesh(tLegGeo, material);
-          leg.position.set(...pos);
-          group.add(leg);
-        });
-        break;
-        
-      case 'couch':
-        // Base
-        const baseGeo = new THREE.BoxGeometry(2, 0.4, 0.9);
-        const base = new THREE.Mesh(baseGeo, material);
-        base.position.y = 0.25;
-        group.add(base);
-        // Back
-        const cBackGeo = new THREE.BoxGeometry(2, 0.5, 0.2);
-        const cBack = new THREE.Mesh(cBackGeo, material);
-        cBack.position.set(0, 0.65, -0.35);
-        group.add(cBack);
-        // Arms
-        const armGeo = new THREE.BoxGeometry(0.15, 0.3, 0.7);
-        const leftArm = new THREE.Mesh(armGeo, material);
-        leftArm.position.set(-0.925, 0.5, 0);
-        group.add(leftArm);
-        const rightArm = new THREE.Mesh(armGeo, material);
-        rightArm.position.set(0.925, 0.5, 0);
-        group.add(rightArm);
-        break;
-        
-      default:
-        // Simple box
-        const boxGeo = new THREE.BoxGeometry(0.8, 0.5, 0.8);
-        mesh = new THREE.Mesh(boxGeo, material);
-        mesh.position.y = 0.25;
-        group.add(mesh);
-    }
-    
-    // Enable shadows for all children
-    group.traverse((child) => {
-      if (child.isMesh) {
-        child.castShadow = true;
-        child.receiveShadow = true;
-      }
-    });
-    
-    return group;
-  }
-
   /**
    * Clear current objects from scene
    */
   _clearCurrentObjects() {
-    const container = this.scene.getObjectByName('FurnitureContainer');
-    if (!container) return;
+    const placedObjects = [...(AppState.get('placedObjects') || [])];
 
     // Deselect first
     AppState.set('selectedObject', null);
 
-    // Remove all furniture
-    while (container.children.length > 0) {
-      const obj = container.children[0];
-      container.remove(obj);
+    // Remove all furniture, on every level
+    placedObjects.forEach((obj) => {
+      if (obj.parent) obj.parent.remove(obj);
       
       // Dispose resources
       obj.traverse((child) => {
         if (child.geometry) child.geometry.dispose();
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(m => m.dispose());
+        // The real material of ghosted levels, not the shared ghost one
+        const material = child.userData.solidMaterial || child.material;
+        if (material) {
+          if (Array.isArray(material)) {
+            material.forEach(m => m.dispose());
           } else {
-            child.material.dispose();
+            material.dispose();
           }
         }
       });
-    }
+    });
 
     // Clear state
     AppState.clearPlacedObjects();
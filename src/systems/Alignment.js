@@ -0,0 +1,233 @@
+/**
+ * Alignment - Line up and space out the selected furniture
+ * Works on the extents of the objects' footprints on the floor: each outermost
+ * group moves as one unit, and whatever stands on a selected object comes
+ * along. Nothing is pushed past the room bounds (Room.getBounds) it was
+ * inside of; a command that would still take something off the floor plan
+ * or, unless overlaps are only warned about, into other furniture is not
+ * applied.
+ */
+
+import * as THREE from 'three';
+import { AppState } from '../state/AppState.js';
+import { getFootprintExtent, getObstacles, findCollisions, getCollisionMode } from './Collision.js';
+import { getStacked, getPose, carryStacked, fitsOn, restOn } from './Stacking.js';
+import { getTopGroup } from './Grouping.js';
+import { getFacingAngle } from '../core/Mounts.js';
+
+export const ALIGN_COMMANDS = {
+  left: 'Align left',
+  right: 'Align right',
+  back: 'Align back',
+  front: 'Align front',
+  centerX: 'Centre left–right',
+  centerZ: 'Centre front–back',
+  distributeX: 'Distribute left–right',
+  distributeZ: 'Distribute front–back',
+  wall: 'Align to wall',
+  room: 'Centre in room'
+};
+
+// Units (objects or groups) each command needs
+const MIN_UNITS = { distributeX: 3, distributeZ: 3, wall: 1, room: 1 };
+
+const X_AXIS = [1, 0];
+const Z_AXIS = [0, 1];
+const WALL_GAP = 0.01;        // Keeps backs from z-fighting with the wall
+const WALL_SEARCH = 50;       // m to look for the wall to align to
+const WALL_TOLERANCE = 0.02;  // m furniture flush against a wall may seem to cut into it
+
+/**
+ * Whether a command can run on the selection
+ */
+export function canAlign(command, objects) {
+  return getUnits(objects, AppState.get('placedObjects') || []).length >= (MIN_UNITS[command] ?? 2);
+}
+
+/**
+ * Run an alignment command on the selected objects
+ * @returns {{moved: THREE.Object3D[], reason: string|null}} what moved, or why nothing did
+ */
+export function alignObjects(command, objects, room) {
+  const placedObjects = AppState.get('placedObjects') || [];
+  const units = getUnits(objects, placedObjects);
+  if (!room || units.length < (MIN_UNITS[command] ?? 2)) {
+    return { moved: [], reason: 'Select more furniture first' };
+  }
+
+  const movers = units.flat();
+  const poses = movers.map(getPose);
+  const supports = movers.map(obj => obj.userData.supportId);
+  const wasClear = movers.map(obj => findCollisions(obj, getObstacles(obj, placedObjects, room)).length === 0);
+
+  if (command === 'wall') {
+    if (!alignToWall(units, room)) return { moved: [], reason: 'No wall found' };
+  } else {
+    const shifts = getShifts(command, units, room);
+    const bounds = room.getBounds(0);
+    units.forEach((unit, i) => moveUnit(unit, keepInBounds(unit, shifts[i], bounds)));
+  }
+
+  // Stacked items carried along, off their support when it is not under them now
+  const moved = [...movers];
+  movers.forEach((obj, i) => {
+    moved.push(...carryStacked(obj, poses[i], placedObjects));
+    const support = placedObjects.find(other => other.userData.id === obj.userData.supportId);
+    if (support && !movers.includes(support) && !fitsOn(obj, support)) {
+      delete obj.userData.supportId;
+      restOn(obj, 0);
+    }
+  });
+
+  const offPlan = movers.some(obj => !fitsFloorPlan(obj, room));
+  const overlapping = getCollisionMode() !== 'warn' && movers.some((obj, i) =>
+    wasClear[i] && findCollisions(obj, getObstacles(obj, placedObjects, room)).length > 0
+  );
+  if (offPlan || overlapping) {
+    movers.forEach((obj, i) => {
+      const from = getPose(obj);
+      obj.position.set(poses[i].x, poses[i].y, poses[i].z);
+      obj.rotation.y = poses[i].rotation;
+      if (supports[i] != null) obj.userData.supportId = supports[i];
+      carryStacked(obj, from, placedObjects);
+    });
+    return { moved: [], reason: offPlan ? 'Would leave the room' : 'Would run into furniture' };
+  }
+
+  return { moved: [...new Set(moved)], reason: null };
+}
+
+/**
+ * Selected objects that move by themselves, as units: the members of each
+ * outermost group together, other objects alone. Doors/windows and items
+ * standing on another selected object (carried along by it) are left out.
+ */
+function getUnits(objects, placedObjects) {
+  const carried = new Set(objects.flatMap(obj => getStacked(obj, placedObjects)));
+  const units = new Map();
+  objects.forEach((obj) => {
+    if (obj.userData.opening || carried.has(obj)) return;
+    const key = getTopGroup(obj) || obj;
+    if (!units.has(key)) units.set(key, []);
+    units.get(key).push(obj);
+  });
+  return [...units.values()];
+}
+
+/**
+ * Extent of a unit's footprints along a floor direction
+ */
+function getExtent(unit, direction) {
+  const extents = unit.map(obj => getFootprintExtent(obj, direction));
+  return {
+    min: Math.min(...extents.map(e => e.min)),
+    max: Math.max(...extents.map(e => e.max))
+  };
+}
+
+/**
+ * Floor offset ({x, z}) of every unit for a command
+ */
+function getShifts(command, units, room) {
+  const alongX = ['left', 'right', 'centerX', 'distributeX'].includes(command);
+  const axis = alongX ? X_AXIS : Z_AXIS;
+  const extents = units.map(unit => getExtent(unit, axis));
+  const low = Math.min(...extents.map(e => e.min));
+  const high = Math.max(...extents.map(e => e.max));
+  const shift = (offset) => (alongX ? { x: offset, z: 0 } : { x: 0, z: offset });
+
+  switch (command) {
+    case 'left':
+    case 'back':
+      return extents.map(e => shift(low - e.min));
+    case 'right':
+    case 'front':
+      return extents.map(e => shift(high - e.max));
+    case 'centerX':
+    case 'centerZ':
+      return extents.map(e => shift((low + high) / 2 - (e.min + e.max) / 2));
+    case 'distributeX':
+    case 'distributeZ': {
+      // Outermost units stay, the others get equal gaps in between
+      const order = extents.map((e, i) => i).sort((a, b) =>
+        (extents[a].min + extents[a].max) - (extents[b].min + extents[b].max)
+      );
+      const used = extents.reduce((sum, e) => sum + e.max - e.min, 0);
+      const gap = (high - low - used) / (units.length - 1);
+      const shifts = [];
+      let at = low;
+      order.forEach((i) => {
+        shifts[i] = shift(at - extents[i].min);
+        at += extents[i].max - extents[i].min + gap;
+      });
+      return shifts;
+    }
+    case 'room': {
+      // The whole selection, keeping its arrangement
+      const bounds = room.getBounds(0);
+      const xs = units.map(unit => getExtent(unit, X_AXIS));
+      const zs = units.map(unit => getExtent(unit, Z_AXIS));
+      const x = (bounds.minX + bounds.maxX) / 2 - (Math.min(...xs.map(e => e.min)) + Math.max(...xs.map(e => e.max))) / 2;
+      const z = (bounds.minZ + bounds.maxZ) / 2 - (Math.min(...zs.map(e => e.min)) + Math.max(...zs.map(e => e.max))) / 2;
+      return units.map(() => ({ x, z }));
+    }
+    default:
+      return units.map(() => ({ x: 0, z: 0 }));
+  }
+}
+
+/**
+ * Shorten an offset so the unit does not cross room bounds it is inside of
+ */
+function keepInBounds(unit, shift, bounds) {
+  const clamp = (value, { min, max }, low, high) => {
+    if (min >= low - WALL_TOLERANCE && min + value < low) return low - min;
+    if (max <= high + WALL_TOLERANCE && max + value > high) return high - max;
+    return value;
+  };
+  return {
+    x: clamp(shift.x, getExtent(unit, X_AXIS), bounds.minX, bounds.maxX),
+    z: clamp(shift.z, getExtent(unit, Z_AXIS), bounds.minZ, bounds.maxZ)
+  };
+}
+
+function moveUnit(unit, { x, z }) {
+  unit.forEach((obj) => {
+    obj.position.x += x;
+    obj.position.z += z;
+    obj.updateMatrixWorld(true);
+  });
+}
+
+/**
+ * Back every unit against the wall nearest the middle of the selection, each
+ * where it is along the wall; single objects turn to face into the room
+ */
+function alignToWall(units, room) {
+  const box = new THREE.Box3();
+  units.flat().forEach(obj => box.expandByObject(obj));
+  const center = box.getCenter(new THREE.Vector3());
+  const wall = room.getWallFacing(center.x, center.z, WALL_SEARCH);
+  if (!wall) return false;
+
+  const { start, inward } = wall;
+  const intoRoom = Math.atan2(inward[0], inward[1]);
+  const wallAt = start[0] * inward[0] + start[1] * inward[1];
+  units.forEach((unit) => {
+    if (unit.length === 1) {
+      // Front (per the catalog's `facing`) into the room
+      unit[0].rotation.y = intoRoom - getFacingAngle(unit[0].userData.furnitureData);
+      unit[0].updateMatrixWorld(true);
+    }
+    const distance = WALL_GAP - (getExtent(unit, inward).min - wallAt);
+    moveUnit(unit, { x: inward[0] * distance, z: inward[1] * distance });
+  });
+  return true;
+}
+
+function fitsFloorPlan(object, room) {
+  const box = new THREE.Box3().setFromObject(object);
+  const size = box.getSize(new THREE.Vector3());
+  const center = box.getCenter(new THREE.Vector3());
+  return room.containsFootprint(center.x, center.z, size.x / 2, size.z / 2, -WALL_TOLERANCE);
+}
@@ -0,0 +1,194 @@
+/**
+ * ArrayTool - Copies of the selected object laid out in a pattern
+ * - 'linear': a row to the object's right
+ * - 'grid': rows and columns, the rows going back from the object
+ * - 'circular': around a centre in front of the object, every copy facing it
+ * Copies are previewed as ghosts (red where they do not fit) and created as
+ * ordinary placed objects; ones outside the room, off the support the object
+ * stands on, or overlapping furniture (unless the collision mode is 'warn')
+ * are left out.
+ */
+
+import * as THREE from 'three';
+import { AppState } from '../state/AppState.js';
+import { PlacementGhost } from './PlacementGhost.js';
+import { localFootprint } from './Snapping.js';
+import { fitsOn } from './Stacking.js';
+import { getCollisionMode, getObstacles, findCollisions } from './Collision.js';
+
+export const ARRAY_PATTERNS = {
+  linear: 'Row',
+  grid: 'Grid',
+  circular: 'Circle'
+};
+
+export const ARRAY_DEFAULTS = {
+  pattern: 'linear',
+  count: 4,      // Items in a row or circle, the object included
+  rows: 2,       // Grid only
+  gap: 0.1,      // m between neighbours in rows and grids
+  radius: 1.2    // m from the circle's centre
+};
+
+export class ArrayTool {
+  constructor(scene) {
+    this.scene = scene;
+    this.ghosts = [];
+  }
+
+  /**
+   * Where the copies of an object go (level coordinates), the object itself not included
+   * @returns {{x: number, z: number, rotation: number}[]}
+   */
+  getLayout(object, params) {
+    const { pattern, count, rows, gap, radius } = { ...ARRAY_DEFAULTS, ...params };
+    const { minX, maxX, minZ, maxZ } = localFootprint(object);
+    const angle = object.rotation.y;
+    const right = [Math.cos(angle), -Math.sin(angle)]; // Model X
+    const front = [Math.sin(angle), Math.cos(angle)];  // Model Z
+    const { x, z } = object.position;
+
+    const poses = [];
+    if (pattern === 'circular') {
+      const cx = x + front[0] * radius;
+      const cz = z + front[1] * radius;
+      const start = Math.atan2(x - cx, z - cz);
+      for (let i = 1; i < count; i++) {
+        const turn = (i / count) * Math.PI * 2;
+        poses.push({
+          x: cx + Math.sin(start + turn) * radius,
+          z: cz + Math.cos(start + turn) * radius,
+          rotation: angle + turn
+        });
+      }
+      return poses;
+    }
+
+    const columnStep = maxX - minX + gap;
+    const rowStep = maxZ - minZ + gap;
+    const rowCount = pattern === 'grid' ? rows : 1;
+    for (let row = 0; row < rowCount; row++) {
+      for (let column = 0; column < count; column++) {
+        if (row === 0 && column === 0) continue;
+        poses.push({
+          x: x + right[0] * column * columnStep - front[0] * row * rowStep,
+          z: z + right[1] * column * columnStep - front[1] * row * rowStep,
+          rotation: angle
+        });
+      }
+    }
+    return poses;
+  }
+
+  /**
+   * Show ghosts of the copies
+   * @returns {number} how many of them can be created
+   */
+  preview(object, params) {
+    this.clearPreview();
+
+    const container = object.parent;
+    if (!container) return 0;
+
+    let valid = 0;
+    this._check(object, params, (copy, fits) => {
+      const ghost = new PlacementGhost(this.scene);
+      ghost.setModel(copy, object.userData.furnitureData);
+      copy.position.copy(container.localToWorld(copy.position.clone()));
+      ghost.setValid(fits);
+      ghost.setVisible(true);
+      this.ghosts.push(ghost);
+      if (fits) valid++;
+    });
+    return valid;
+  }
+
+  clearPreview() {
+    this.ghosts.forEach(ghost => ghost.clear());
+    this.ghosts = [];
+  }
+
+  /**
+   * Create the copies that fit as placed objects
+   * @returns {THREE.Object3D[]} the new objects
+   */
+  apply(object, params) {
+    this.clearPreview();
+
+    const container = object.parent;
+    const room = AppState.get('activeLevel')?.room;
+    if (!container || !room) return [];
+
+    const created = [];
+    this._check(object, params, (copy, fits) => {
+      if (!fits) return;
+
+      container.add(copy);
+      room.assignZone(copy);
+      AppState.addPlacedObject(copy);
+      created.push(copy);
+    }, true);
+
+    console.log(`🔁 Created ${created.length} copies of ${object.userData.furnitureData?.name || object.name}`);
+    return created;
+  }
+
+  /**
+   * Call back with every copy of the layout (detached, in level coordinates)
+   * and whether it fits: inside the room, on the same support and (unless
+   * overlaps are only warned about) clear of furniture and earlier copies
+   */
+  _check(object, params, callback, create = false) {
+    const room = AppState.get('activeLevel')?.room;
+    const container = object.parent;
+    if (!room || !container) return;
+
+    const placedObjects = AppState.get('placedObjects') || [];
+    const obstacles = [object, ...getObstacles(object, placedObjects, room)];
+    const support = placedObjects.find(obj => obj.userData.id === object.userData.supportId);
+    const warnOnly = getCollisionMode() === 'warn';
+
+    // Measured where they would stand, in the level
+    const results = this.getLayout(object, params).map((pose) => {
+      const copy = this._createCopy(object, pose, create);
+      container.add(copy);
+      copy.updateMatrixWorld(true);
+
+      const box = new THREE.Box3().setFromObject(copy);
+      const size = box.getSize(new THREE.Vector3());
+      const center = container.worldToLocal(box.getCenter(new THREE.Vector3()));
+      const fits = room.containsFootprint(center.x, center.z, size.x / 2, size.z / 2) &&
+        (!support || fitsOn(copy, support)) &&
+        (warnOnly || findCollisions(copy, obstacles).length === 0);
+
+      if (fits) obstacles.push(copy);
+      return { copy, fits };
+    });
+
+    results.forEach(({ copy }) => container.remove(copy));
+    results.forEach(({ copy, fits }) => callback(copy, fits));
+  }
+
+  /**
+   * Copy of an object at a pose; a real placed object (own id, on the same
+   * level and support) when `placed`, otherwise just its look
+   */
+  _createCopy(object, pose, placed = false) {
+    const copy = object.clone();
+    copy.position.set(pose.x, object.position.y, pose.z);
+    copy.rotation.y = pose.rotation;
+
+    if (placed) {
+      copy.userData = { ...object.userData, id: Date.now() + Math.random(), isSelected: false };
+      delete copy.userData.groupId; // Not part of the object's group
+      if (object.userData.procedural) {
+        copy.userData.procedural = { ...object.userData.procedural };
+      }
+      copy.name = `Furniture_${copy.userData.furnitureData?.name}_${copy.userData.id}`;
+      copy.userData.name = copy.name;
+    }
+    return copy;
+  }
+}
+
+export default ArrayTool;
@@ -0,0 +1,254 @@
+/**
+ * Collision - Furniture running into other furniture
+ * Objects are compared by their oriented footprints (the rectangle they
+ * cover on the floor, turned with them) and the height range they occupy,
+ * so an item on a table does not collide with the table and a ceiling light
+ * does not collide with the sofa below it.
+ * `collisionMode` on AppState decides what a move into another object does:
+ * stop at contact, slide along it, or go through it with a red warning.
+ */
+
+import * as THREE from 'three';
+import { AppState } from '../state/AppState.js';
+import { localFootprint } from './Snapping.js';
+import { getStacked } from './Stacking.js';
+
+export const COLLISION_MODES = {
+  block: 'Block',
+  slide: 'Slide',
+  warn: 'Warn'
+};
+
+const CONTACT_TOLERANCE = 0.02; // m of overlap still counted as touching
+const MARCH_STEP = 0.05;        // m per step when searching how far a move can go
+const FREE_SPOT_STEP = 0.25;    // m between rings searched for a free spot
+const FREE_SPOT_RADIUS = 3;     // m from the start position the search gives up at
+
+export function getCollisionMode() {
+  return COLLISION_MODES[AppState.get('collisionMode')] ? AppState.get('collisionMode') : 'block';
+}
+
+/**
+ * Oriented footprint of an object in world coordinates:
+ * centre, unit axes (the model's X and Z), half extents and height range
+ */
+export function getFootprint(object) {
+  const { minX, maxX, minZ, maxZ } = localFootprint(object);
+  const box = new THREE.Box3().setFromObject(object);
+  const origin = object.getWorldPosition(new THREE.Vector3());
+
+  const angle = object.rotation.y;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const cx = (minX + maxX) / 2;
+  const cz = (minZ + maxZ) / 2;
+
+  return {
+    x: origin.x + cx * cos + cz * sin,
+    z: origin.z - cx * sin + cz * cos,
+    axes: [[cos, -sin], [sin, cos]],
+    half: [(maxX - minX) / 2, (maxZ - minZ) / 2],
+    bottom: box.min.y,
+    top: box.max.y
+  };
+}
+
+/**
+ * Extent of an object's footprint along a floor direction ([dx, dz], unit length)
+ * @returns {{min: number, max: number}}
+ */
+export function getFootprintExtent(object, [dx, dz]) {
+  const { x, z, axes, half } = getFootprint(object);
+  const center = x * dx + z * dz;
+  const radius = axes.reduce((sum, [ux, uz], i) => sum + half[i] * Math.abs(ux * dx + uz * dz), 0);
+  return { min: center - radius, max: center + radius };
+}
+
+/**
+ * Whether two footprints overlap (touching does not count)
+ */
+export function footprintsOverlap(a, b) {
+  if (Math.min(a.top, b.top) - Math.max(a.bottom, b.bottom) <= CONTACT_TOLERANCE) return false;
+
+  // Separating axis test on the edges of both rectangles
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  return [...a.axes, ...b.axes].every(([ax, az]) => {
+    const radius = (footprint) => footprint.axes.reduce(
+      (sum, [ux, uz], i) => sum + footprint.half[i] * Math.abs(ux * ax + uz * az), 0
+    );
+    return radius(a) + radius(b) - Math.abs(dx * ax + dz * az) > CONTACT_TOLERANCE;
+  });
+}
+
+/**
+ * Placed objects an object can run into: furniture on the same level,
+ * except itself, what stands on it and what it stands on
+ * (doors/windows live in the walls)
+ */
+export function getObstacles(object, objects, room) {
+  const exclude = [object, ...getStacked(object, objects)];
+  for (let id = object.userData.supportId; id != null;) {
+    const support = objects.find(obj => obj.userData.id === id);
+    if (!support || exclude.includes(support)) break;
+    exclude.push(support);
+    id = support.userData.supportId;
+  }
+
+  return objects.filter(obj =>
+    !obj.userData.opening &&
+    room.isOnLevel(obj) &&
+    !exclude.includes(obj)
+  );
+}
+
+/**
+ * Obstacles an object currently overlaps
+ */
+export function findCollisions(object, obstacles) {
+  const footprint = getFootprint(object);
+  return obstacles.filter(obj => footprintsOverlap(footprint, getFootprint(obj)));
+}
+
+/**
+ * How far an object can go towards a floor position without running into
+ * the obstacles, as the collision mode allows
+ * @returns {{x: number, z: number}} where to put the object's pivot
+ */
+export function resolveMove(object, target, obstacles, mode = getCollisionMode()) {
+  const fits = fitsAt(object, obstacles);
+  const from = { x: object.position.x, z: object.position.z };
+
+  // Objects already overlapping something are let out whichever way they go
+  if (mode === 'warn' || !fits(from.x, from.z)) {
+    return { x: target.x, z: target.z };
+  }
+
+  if (mode === 'slide') {
+    const x = furthestValid(from.x, target.x, v => fits(v, from.z));
+    const z = furthestValid(from.z, target.z, v => fits(x, v));
+    return { x, z };
+  }
+
+  // Block: stop at the first contact along the way
+  const t = furthestValid(0, 1, t => fits(
+    from.x + (target.x - from.x) * t,
+    from.z + (target.z - from.z) * t
+  ), MARCH_STEP / Math.max(MARCH_STEP, Math.hypot(target.x - from.x, target.z - from.z)));
+  return {
+    x: from.x + (target.x - from.x) * t,
+    z: from.z + (target.z - from.z) * t
+  };
+}
+
+/**
+ * How far a group of objects can move together by `delta` without any of
+ * them running into the obstacles or leaving where `isAllowed` lets them be;
+ * it slides along whatever is in the way unless the mode blocks
+ * @param {Function} isAllowed - (object, x, z) => boolean for the object's pivot at (x, z)
+ * @returns {{x: number, z: number}} the part of `delta` that can be made
+ */
+export function resolveGroupMove(objects, delta, obstacles, isAllowed = () => true, mode = getCollisionMode()) {
+  const members = objects.map(object => ({
+    object, fits: fitsAt(object, obstacles), x: object.position.x, z: object.position.z
+  }));
+  const overlapping = members.some(({ fits, x, z }) => !fits(x, z));
+  const ignoreObstacles = mode === 'warn' || overlapping;
+  const valid = (dx, dz) => members.every(({ object, fits, x, z }) =>
+    isAllowed(object, x + dx, z + dz) && (ignoreObstacles || fits(x + dx, z + dz))
+  );
+
+  // Groups already somewhere they should not be are let out whichever way they go
+  if (!valid(0, 0)) return { x: delta.x, z: delta.z };
+
+  if (mode === 'block' && !ignoreObstacles) {
+    const t = furthestValid(0, 1, t => valid(delta.x * t, delta.z * t),
+      MARCH_STEP / Math.max(MARCH_STEP, Math.hypot(delta.x, delta.z)));
+    return { x: delta.x * t, z: delta.z * t };
+  }
+
+  const x = furthestValid(0, delta.x, v => valid(v, 0));
+  const z = furthestValid(0, delta.z, v => valid(x, v));
+  return { x, z };
+}
+
+/**
+ * Nearest free position around an object (its own first), searching rings
+ * of growing radius
+ * @param {Function} isAllowed - (x, z) => boolean, e.g. inside the room
+ * @returns {{x: number, z: number}|null} null when there is none nearby
+ */
+export function findFreePosition(object, obstacles, isAllowed = () => true) {
+  const offset = findFreeOffset([object], obstacles, (obj, x, z) => isAllowed(x, z));
+  return offset && { x: object.position.x + offset.x, z: object.position.z + offset.z };
+}
+
+/**
+ * Smallest shift (none first, then rings of growing radius) that puts every
+ * object of a group clear of the obstacles
+ * @param {Function} isAllowed - (object, x, z) => boolean for the object's pivot at (x, z)
+ * @returns {{x: number, z: number}|null} null when there is none nearby
+ */
+export function findFreeOffset(objects, obstacles, isAllowed = () => true) {
+  const members = objects.map(object => ({
+    object, fits: fitsAt(object, obstacles), x: object.position.x, z: object.position.z
+  }));
+  const free = (dx, dz) => members.every(({ object, fits, x, z }) =>
+    isAllowed(object, x + dx, z + dz) && fits(x + dx, z + dz)
+  );
+  if (free(0, 0)) return { x: 0, z: 0 };
+
+  for (let radius = FREE_SPOT_STEP; radius <= FREE_SPOT_RADIUS; radius += FREE_SPOT_STEP) {
+    const count = Math.round(2 * Math.PI * radius / FREE_SPOT_STEP);
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2;
+      const dx = Math.cos(angle) * radius;
+      const dz = Math.sin(angle) * radius;
+      if (free(dx, dz)) return { x: dx, z: dz };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * (x, z) => whether the object would be clear of the obstacles with its pivot there
+ */
+function fitsAt(object, obstacles) {
+  const footprint = getFootprint(object);
+  const others = obstacles.map(getFootprint);
+  const { x, z } = object.position;
+
+  return (px, pz) => {
+    const moved = { ...footprint, x: footprint.x + px - x, z: footprint.z + pz - z };
+    return !others.some(other => footprintsOverlap(moved, other));
+  };
+}
+
+/**
+ * Furthest value reachable from a valid start towards an end:
+ * march in steps (so thin obstacles are not skipped), then refine
+ */
+function furthestValid(start, end, isValid, step = MARCH_STEP) {
+  const distance = Math.abs(end - start);
+  const direction = Math.sign(end - start);
+
+  let good = start;
+  let bad = null;
+  for (let travelled = step; travelled < distance + step; travelled += step) {
+    const value = start + direction * Math.min(travelled, distance);
+    if (!isValid(value)) {
+      bad = value;
+      break;
+    }
+    good = value;
+  }
+  if (bad === null) return end;
+
+  for (let i = 0; i < 10; i++) {
+    const mid = (good + bad) / 2;
+    if (isValid(mid)) good = mid;
+    else bad = mid;
+  }
+  return good;
+}
@@ -0,0 +1,225 @@
+/**
+ * DimensionLines - Distances around the selected furniture
+ * Dimension lines run from the footprint of the selection (taken as one
+ * axis-aligned rectangle) to the nearest wall on each of its four sides and
+ * to the closest piece of furniture next to it, each labelled in the unit
+ * system on AppState (see Units). Doors and windows are not measured.
+ */
+
+import * as THREE from 'three';
+import { AppState } from '../state/AppState.js';
+import { formatLength } from '../core/Units.js';
+import { getFootprintExtent } from './Collision.js';
+import { getStacked } from './Stacking.js';
+
+const DIMENSION_HEIGHT = 0.03;  // Above the floor, over the smart guides
+const DIMENSION_MIN = 0.005;    // m too short to be worth a line
+const TICK_SIZE = 0.08;         // m across the ends of a line
+const WALL_SEARCH = 50;         // m to look for a wall
+const LABEL_SCALE = [0.12, 0.03]; // Screen-relative size of a label (not shrinking with distance)
+const LABEL_CANVAS = [256, 64];
+const AXES = { x: [1, 0], z: [0, 1] };
+
+export class DimensionLines {
+  constructor(scene) {
+    this.scene = scene;
+    this.objects = []; // Measured last
+
+    this.group = new THREE.Group();
+    this.group.name = 'DimensionLines';
+    this.group.visible = false;
+
+    this.lines = new THREE.LineSegments(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ color: 0x00bcd4, depthTest: false, transparent: true })
+    );
+    this.lines.renderOrder = 1000; // Over the furniture and guides
+    this.group.add(this.lines);
+
+    this.labels = []; // Sprites, reused from one update to the next
+    this.scene.add(this.group);
+
+    // Labels follow the unit system; neighbours may have gone
+    AppState.subscribe('units', () => this.show(this.objects));
+    AppState.subscribe('placedObjects', (objects) => {
+      if (this.objects.length > 0) this.show(this.objects.filter(obj => objects.includes(obj)));
+    });
+  }
+
+  /**
+   * Measure from the objects to the walls and their nearest neighbour
+   */
+  show(objects) {
+    this.objects = objects.filter(obj => !obj.userData.opening);
+    const level = AppState.get('activeLevel');
+    if (this.objects.length === 0 || !level) {
+      this.clear();
+      return;
+    }
+
+    const span = {
+      x: this._getSpan(this.objects, 'x'),
+      z: this._getSpan(this.objects, 'z')
+    };
+    const dimensions = [
+      ...this._measureWalls(span, level.room),
+      ...this._measureNeighbour(span, level)
+    ].filter(({ length }) => length >= DIMENSION_MIN);
+
+    const elevation = level.elevation + DIMENSION_HEIGHT;
+    const points = [];
+    dimensions.forEach(({ from, to }) => {
+      const a = new THREE.Vector3(from[0], elevation, from[1]);
+      const b = new THREE.Vector3(to[0], elevation, to[1]);
+      points.push(a, b);
+
+      // Ticks across both ends
+      const across = new THREE.Vector3(-(b.z - a.z), 0, b.x - a.x).setLength(TICK_SIZE / 2);
+      [a, b].forEach(end => points.push(end.clone().sub(across), end.clone().add(across)));
+    });
+    this.lines.geometry.setFromPoints(points);
+
+    dimensions.forEach(({ from, to, length }, i) => {
+      const label = this._getLabel(i);
+      this._setLabelText(label, formatLength(length));
+      label.position.set((from[0] + to[0]) / 2, elevation, (from[1] + to[1]) / 2);
+      label.visible = true;
+    });
+    this.labels.slice(dimensions.length).forEach((label) => { label.visible = false; });
+
+    this.group.visible = dimensions.length > 0;
+  }
+
+  clear() {
+    this.objects = [];
+    this.group.visible = false;
+  }
+
+  dispose() {
+    this.scene.remove(this.group);
+    this.lines.geometry.dispose();
+    this.lines.material.dispose();
+    this.labels.forEach((label) => {
+      label.material.map.dispose();
+      label.material.dispose();
+    });
+  }
+
+  /**
+   * Extent of the objects' footprints along an axis
+   */
+  _getSpan(objects, axis) {
+    const extents = objects.map(obj => getFootprintExtent(obj, AXES[axis]));
+    return {
+      min: Math.min(...extents.map(e => e.min)),
+      max: Math.max(...extents.map(e => e.max))
+    };
+  }
+
+  /**
+   * From the middle of each side of the footprint straight out to the wall
+   */
+  _measureWalls(span, room) {
+    const cx = (span.x.min + span.x.max) / 2;
+    const cz = (span.z.min + span.z.max) / 2;
+    const sides = [
+      { direction: [1, 0], start: [span.x.max, cz], half: (span.x.max - span.x.min) / 2 },
+      { direction: [-1, 0], start: [span.x.min, cz], half: (span.x.max - span.x.min) / 2 },
+      { direction: [0, 1], start: [cx, span.z.max], half: (span.z.max - span.z.min) / 2 },
+      { direction: [0, -1], start: [cx, span.z.min], half: (span.z.max - span.z.min) / 2 }
+    ];
+
+    return sides.flatMap(({ direction, start, half }) => {
+      // Cast from the centre, so a footprint cutting slightly into the wall still finds it
+      const distance = room.getWallDistance(cx, cz, direction, WALL_SEARCH);
+      if (distance === null) return [];
+
+      const length = Math.max(0, distance - half);
+      const to = [start[0] + direction[0] * length, start[1] + direction[1] * length];
+      return [{ from: start, to, length }];
+    });
+  }
+
+  /**
+   * Shortest gap between the footprint and the furniture around it on the
+   * level (not what it carries or stands on, nor anything it overlaps from
+   * above or below)
+   */
+  _measureNeighbour(span, level) {
+    const placedObjects = AppState.get('placedObjects') || [];
+    const moving = new Set(this.objects.flatMap(obj => [obj, ...getStacked(obj, placedObjects)]));
+    const supports = new Set(this.objects.map(obj => obj.userData.supportId).filter(id => id != null));
+
+    let best = null;
+    placedObjects
+      .filter(obj => !moving.has(obj) && !supports.has(obj.userData.id) && !obj.userData.opening && level.room.isOnLevel(obj))
+      .forEach((obj) => {
+        const other = { x: this._getSpan([obj], 'x'), z: this._getSpan([obj], 'z') };
+        const ends = { x: this._closest(span.x, other.x), z: this._closest(span.z, other.z) };
+        const length = Math.hypot(ends.x.gap, ends.z.gap);
+        if (length < DIMENSION_MIN || (best && length >= best.length)) return;
+
+        best = { from: [ends.x.from, ends.z.from], to: [ends.x.to, ends.z.to], length };
+      });
+
+    return best ? [best] : [];
+  }
+
+  /**
+   * Closest points of two ranges on one axis: the facing ends when apart,
+   * the middle of the shared part when they overlap
+   */
+  _closest(a, b) {
+    if (a.max < b.min) return { from: a.max, to: b.min, gap: b.min - a.max };
+    if (b.max < a.min) return { from: a.min, to: b.max, gap: a.min - b.max };
+
+    const middle = (Math.max(a.min, b.min) + Math.min(a.max, b.max)) / 2;
+    return { from: middle, to: middle, gap: 0 };
+  }
+
+  /**
+   * Label sprite for the i-th dimension, created on first use
+   */
+  _getLabel(i) {
+    if (!this.labels[i]) {
+      const canvas = document.createElement('canvas');
+      [canvas.width, canvas.height] = LABEL_CANVAS;
+      const texture = new THREE.CanvasTexture(canvas);
+      texture.colorSpace = THREE.SRGBColorSpace;
+
+      const label = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: texture,
+        depthTest: false,
+        sizeAttenuation: false
+      }));
+      label.scale.set(...LABEL_SCALE, 1);
+      label.renderOrder = 1001;
+      label.userData.text = null;
+      this.labels[i] = label;
+      this.group.add(label);
+    }
+    return this.labels[i];
+  }
+
+  _setLabelText(label, text) {
+    if (label.userData.text === text) return;
+    label.userData.text = text;
+
+    const texture = label.material.map;
+    const ctx = texture.image.getContext('2d');
+    const [width, height] = LABEL_CANVAS;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = 'rgba(0, 60, 70, 0.85)';
+    ctx.beginPath();
+    ctx.roundRect(4, 4, width - 8, height - 8, 12);
+    ctx.fill();
+    ctx.font = 'bold 36px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'white';
+    ctx.fillText(text, width / 2, height / 2);
+    texture.needsUpdate = true;
+  }
+}
+
+export default DimensionLines;
@@ -0,0 +1,159 @@
+/**
+ * Grouping - Named groups of placed objects
+ * Groups live on AppState as `groups` ({ id, name, parentId }). An object
+ * belongs to the group in its `userData.groupId` and, through `parentId`,
+ * to every group that one is nested in. The outermost group is the unit that
+ * is selected, moved, rotated, duplicated and deleted together; objects stay
+ * in their level's furniture container either way. Doors and windows are
+ * never grouped.
+ */
+
+import { AppState } from '../state/AppState.js';
+
+/**
+ * Groups an object belongs to, innermost first
+ */
+export function getGroupChain(object, groups = AppState.get('groups')) {
+  const chain = [];
+  for (let id = object.userData.groupId; id != null;) {
+    const group = groups.find(g => g.id === id);
+    if (!group || chain.includes(group)) break;
+    chain.push(group);
+    id = group.parentId;
+  }
+  return chain;
+}
+
+/**
+ * Outermost group of an object, or null when it is not grouped
+ */
+export function getTopGroup(object, groups = AppState.get('groups')) {
+  const chain = getGroupChain(object, groups);
+  return chain.length > 0 ? chain[chain.length - 1] : null;
+}
+
+/**
+ * Every object in a group, its nested groups included
+ */
+export function getGroupMembers(group, objects, groups = AppState.get('groups')) {
+  return objects.filter(obj => getGroupChain(obj, groups).includes(group));
+}
+
+/**
+ * Objects with the rest of their outermost groups added (in order, with the
+ * last object still last)
+ */
+export function expandToGroups(objects, placedObjects, groups = AppState.get('groups')) {
+  const expanded = [];
+  objects.forEach((obj) => {
+    const group = getTopGroup(obj, groups);
+    const members = group ? getGroupMembers(group, placedObjects, groups) : [obj];
+    [...members.filter(member => member !== obj), obj].forEach((member) => {
+      if (!expanded.includes(member)) expanded.push(member);
+    });
+  });
+
+  const last = objects[objects.length - 1];
+  return last ? [...expanded.filter(obj => obj !== last), last] : expanded;
+}
+
+/**
+ * The outermost group whose members are exactly `objects`, if any
+ */
+export function getSelectedGroup(objects, placedObjects, groups = AppState.get('groups')) {
+  const group = objects.length > 0 ? getTopGroup(objects[0], groups) : null;
+  if (!group) return null;
+
+  const members = getGroupMembers(group, placedObjects, groups);
+  const same = members.length === objects.length && members.every(obj => objects.includes(obj));
+  return same ? group : null;
+}
+
+/**
+ * Group objects (their outermost groups nest inside the new one)
+ * @returns {object|null} the new group, or null for fewer than two things to group
+ */
+export function createGroup(objects, name = '') {
+  const groups = AppState.get('groups');
+  const loose = objects.filter(obj => !obj.userData.opening && !getTopGroup(obj, groups));
+  const nested = [...new Set(objects.filter(obj => !obj.userData.opening).map(obj => getTopGroup(obj, groups)).filter(Boolean))];
+  if (loose.length + nested.length < 2) return null;
+
+  const group = {
+    id: Date.now() + Math.random(),
+    name: name.trim() || `Group ${groups.filter(g => g.parentId == null).length + 1}`,
+    parentId: null
+  };
+  loose.forEach((obj) => { obj.userData.groupId = group.id; });
+  AppState.set('groups', [
+    ...groups.map(g => (nested.includes(g) ? { ...g, parentId: group.id } : g)),
+    group
+  ]);
+  return group;
+}
+
+/**
+ * Dissolve a group: its objects and nested groups go back to its parent (or
+ * stand alone)
+ */
+export function ungroup(group, objects) {
+  const groups = AppState.get('groups');
+  objects.forEach((obj) => {
+    if (obj.userData.groupId !== group.id) return;
+    if (group.parentId != null) {
+      obj.userData.groupId = group.parentId;
+    } else {
+      delete obj.userData.groupId;
+    }
+  });
+  AppState.set('groups', groups
+    .filter(g => g.id !== group.id)
+    .map(g => (g.parentId === group.id ? { ...g, parentId: group.parentId } : g)));
+}
+
+export function renameGroup(group, name) {
+  if (!name.trim()) return;
+  AppState.set('groups', AppState.get('groups').map(g => (g.id === group.id ? { ...g, name: name.trim() } : g)));
+}
+
+/**
+ * Give copies of grouped objects groups of their own, nested like those of
+ * the originals (`originals[i]` was copied to `clones[i]`)
+ */
+export function copyGroups(originals, clones) {
+  const groups = AppState.get('groups');
+  const copies = new Map();
+  originals.forEach((obj) => {
+    getGroupChain(obj, groups).forEach((group) => {
+      if (!copies.has(group.id)) {
+        copies.set(group.id, { ...group, id: Date.now() + Math.random(), name: `${group.name} copy` });
+      }
+    });
+  });
+  if (copies.size === 0) return;
+
+  copies.forEach((copy) => {
+    copy.parentId = copies.has(copy.parentId) ? copies.get(copy.parentId).id : null;
+  });
+  clones.forEach((clone, i) => {
+    const groupId = originals[i].userData.groupId;
+    if (copies.has(groupId)) {
+      clone.userData.groupId = copies.get(groupId).id;
+    } else {
+      delete clone.userData.groupId;
+    }
+  });
+  AppState.set('groups', [...groups, ...copies.values()]);
+}
+
+/**
+ * Drop groups left without objects (after deleting)
+ */
+export function pruneGroups(objects) {
+  const groups = AppState.get('groups');
+  const used = new Set();
+  objects.forEach(obj => getGroupChain(obj, groups).forEach(group => used.add(group)));
+  if (used.size === groups.length) return;
+
+  AppState.set('groups', groups.filter(group => used.has(group)));
+}
@@ -0,0 +1,93 @@
+/**
+ * PlacementGhost - See-through preview of the item about to be placed
+ * Holds a copy of the item's model with translucent copies of its materials
+ * (the originals stay shared with the loader cache); tinted red where the
+ * item cannot be placed.
+ */
+
+import * as THREE from 'three';
+
+const GHOST_OPACITY = 0.5;
+const INVALID_COLOR = new THREE.Color(0xff3030);
+
+export class PlacementGhost {
+  constructor(scene) {
+    this.scene = scene;
+    this.object = null;
+    this.valid = true;
+  }
+
+  /**
+   * Show a model as the ghost, replacing the previous one.
+   * It starts hidden until it is first positioned.
+   */
+  setModel(model, furnitureData) {
+    this.clear();
+
+    model.traverse((child) => {
+      if (!child.isMesh) return;
+      child.material = Array.isArray(child.material)
+        ? child.material.map(m => this._createGhostMaterial(m))
+        : this._createGhostMaterial(child.material);
+      child.castShadow = false;
+      child.receiveShadow = false;
+    });
+
+    model.name = 'PlacementGhost';
+    model.userData = { furnitureData };
+    model.visible = false;
+
+    this.object = model;
+    this.valid = true;
+    this.scene.add(model);
+  }
+
+  /**
+   * Remove the ghost (only its own material copies are disposed)
+   */
+  clear() {
+    if (!this.object) return;
+
+    this.scene.remove(this.object);
+    this._forEachMaterial(material => material.dispose());
+    this.object = null;
+  }
+
+  isVisible() {
+    return Boolean(this.object?.visible);
+  }
+
+  setVisible(visible) {
+    if (this.object) this.object.visible = visible;
+  }
+
+  /**
+   * Tint red when the item cannot be placed where the ghost is
+   */
+  setValid(valid) {
+    if (valid === this.valid) return;
+
+    this.valid = valid;
+    this._forEachMaterial((material) => {
+      if (material.color) material.color.copy(valid ? material.userData.baseColor : INVALID_COLOR);
+    });
+  }
+
+  _createGhostMaterial(material) {
+    const ghost = material.clone();
+    ghost.transparent = true;
+    ghost.opacity = GHOST_OPACITY;
+    ghost.depthWrite = false;
+    ghost.userData.baseColor = ghost.color ? ghost.color.clone() : null;
+    return ghost;
+  }
+
+  _forEachMaterial(callback) {
+    this.object?.traverse((child) => {
+      if (!child.isMesh) return;
+      (Array.isArray(child.material) ? child.material : [child.material]).forEach(callback);
+    });
+  }
+}
+
+export default PlacementGhost;
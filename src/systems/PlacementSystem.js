@@ -1,18 +1,38 @@
 /**
  * PlacementSystem - Handles furniture placement in the room
- * Manages adding objects to scene when user clicks on floor
+ * The active item follows the cursor as a see-through ghost (red where it
+ * cannot go); wheel or R rotates it and a click places it. Items dragged
+ * from the menu get the same ghost and are placed where they are dropped.
+ * Ceiling-mounted items follow the ceiling instead of the floor; stackable
+ * items stand on the furniture surface under the cursor, if any.
+ * Overlapping other furniture is refused, unless the collision mode is 'warn'.
+ * Objects are placed on the active building level, each as a step of the
+ * undo history
  */
 
 import * as THREE from 'three';
 import { furnitureLoader } from '../loaders/FurnitureLoader.js';
 import { AppState } from '../state/AppState.js';
-import { ROOM_CONFIG } from '../core/Room.js';
+import { History } from '../state/History.js';
+import { createOpeningData, createOpeningModel } from '../core/WallOpenings.js';
+import { createStaircaseModel } from '../core/Staircase.js';
+import { createFurnitureParams, createFurnitureModel, createFallbackModel } from '../core/ProceduralFurniture.js';
+import { LEVEL_SLAB } from '../core/Building.js';
+import { snapPosition, snapToWall, nextRotation } from './Snapping.js';
+import { PlacementGhost } from './PlacementGhost.js';
+import { getMountType, hangFromCeiling } from '../core/Mounts.js';
+import { isStackable, getSurfaces, findSurface, fitsOn, restOn } from './Stacking.js';
+import { getCollisionMode, getObstacles, findCollisions } from './Collision.js';
+
+const CLICK_TOLERANCE = 5;  // px the mouse may move between press and release of a click
+const WHEEL_INTERVAL = 80;  // ms between wheel rotation steps
 
 export class PlacementSystem {
-  constructor(scene, camera, domElement) {
+  constructor(scene, camera, domElement, room) {
     this.scene = scene;
     this.camera = camera;
     this.domElement = domElement;
+    this.room = room; // Source of current room dimensions
     
     // Expose furniture loader for external use (Step 7: StorageManager)
     this.furnitureLoader = furnitureLoader;
@@ -21,13 +41,12 @@ export class PlacementSystem {
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
     
-    // Floor plane for placement calculations
+    // Floor plane for placement calculations (raised to the active level)
     this.floorPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
     
-    // Container for all placed furniture
-    this.furnitureContainer = new THREE.Group();
-    this.furnitureContainer.name = 'FurnitureContainer';
-    this.scene.add(this.furnitureContainer);
+    // Active building level and its furniture container
+    this.level = null;
+    this.furnitureContainer = null;
     
     // Track placed objects with metadata
     this.placedObjects = [];
@@ -35,56 +54,300 @@ export class PlacementSystem {
     // Loading state
     this.isLoading = false;
     
+    // Ghost preview of the active item
+    this.ghost = new PlacementGhost(scene);
+    this.ghostToken = 0;       // Discards previews that finish loading after the item changed
+    this.ghostRotation = 0;    // Rotation chosen with wheel/R (walls may override it)
+    this.ghostLift = 0;        // Height of the model's origin above the floor
+    this.ghostPoint = null;    // Last floor point under the cursor
+    this.ghostSurface = null;  // Furniture top the ghost stands on instead ({support, point})
+    this.ghostPlaceable = false; // Whether a click may place it (red ghosts may in 'warn' mode)
+    this.pointerDown = null;   // Where the mouse was pressed, to tell clicks from camera drags
+    this.lastWheel = 0;
+    
     // Bind event handlers
-    this._onDoubleClick = this._onDoubleClick.bind(this);
+    this._onMouseDown = this._onMouseDown.bind(this);
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onMouseLeave = this._onMouseLeave.bind(this);
+    this._onClick = this._onClick.bind(this);
+    this._onWheel = this._onWheel.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onDragOver = this._onDragOver.bind(this);
+    this._onDrop = this._onDrop.bind(this);
     
     this._init();
   }
 
   _init() {
-    // Listen for double-click to place furniture
-    this.domElement.addEventListener('dblclick', this._onDoubleClick);
+    // Ghost follows the mouse; a click places it
+    this.domElement.addEventListener('mousedown', this._onMouseDown);
+    this.domElement.addEventListener('mousemove', this._onMouseMove);
+    this.domElement.addEventListener('mouseleave', this._onMouseLeave);
+    this.domElement.addEventListener('click', this._onClick);
+    
+    // Items dragged in from the menu
+    this.domElement.addEventListener('dragover', this._onDragOver);
+    this.domElement.addEventListener('dragleave', this._onMouseLeave);
+    this.domElement.addEventListener('drop', this._onDrop);
+    
+    // Captured on the window so the wheel rotates the ghost instead of zooming
+    window.addEventListener('wheel', this._onWheel, { capture: true, passive: false });
+    window.addEventListener('keydown', this._onKeyDown);
+    
+    AppState.subscribe('activeFurnitureType', (item) => this._showGhost(item));
+    
+    // A dragged item takes over the ghost until it is dropped
+    AppState.subscribe('draggedFurniture', (item) => {
+      this._showGhost(item || AppState.get('activeFurnitureType'));
+    });
+    
+    // Place on whichever level is being edited
+    this._useLevel(AppState.get('activeLevel'));
+    AppState.subscribe('activeLevel', (level) => this._useLevel(level));
     
     console.log('✅ PlacementSystem initialized');
   }
 
   /**
-   * Handle double-click to place furniture
+   * Place furniture on a building level from now on
+   */
+  _useLevel(level) {
+    if (!level) return;
+    
+    this.level = level;
+    this.room = level.room;
+    this.furnitureContainer = level.container;
+    this.floorPlane.constant = -level.elevation;
+    this.ghost.setVisible(false); // Shown again on the new floor at the next mouse move
+  }
+
+  /**
+   * Build the ghost for the active item (none when the item is cleared)
    */
-  async _onDoubleClick(event) {
-    // Get active furniture type from state
-    const activeFurniture = AppState.get('activeFurnitureType');
-    if (!activeFurniture) {
-      console.log('ℹ️ No furniture type selected. Select one from the palette first.');
+  async _showGhost(item) {
+    const token = ++this.ghostToken;
+    this.ghost.clear();
+    if (!item) return;
+    
+    let model;
+    if (item.opening) {
+      model = createOpeningModel(createOpeningData(item.opening, { zoneIndex: 0, edgeIndex: 0, offset: 0 }, item));
+    } else if (item.stairs) {
+      model = createStaircaseModel(this.room.getConfig().height + LEVEL_SLAB);
+    } else {
+      model = await this._createModel(item);
+    }
+    
+    // Another item was picked while this one loaded
+    if (token !== this.ghostToken) return;
+    
+    this.ghostLift = model.position.y;
+    this.ghost.setModel(model, item);
+    if (this.ghostPoint) this._poseGhost(this.ghostPoint);
+  }
+
+  _onMouseDown(event) {
+    this.pointerDown = { x: event.clientX, y: event.clientY };
+  }
+
+  /**
+   * Move the ghost to the floor (ceiling, furniture top) point under the mouse
+   */
+  _onMouseMove(event) {
+    if (!this.ghost.object) return;
+    
+    this._updateMouse(event);
+    const item = this.ghost.object.userData.furnitureData;
+    this.ghostSurface = isStackable(item) ? this._getSurfaceIntersection() : null;
+    
+    let point;
+    if (this.ghostSurface) {
+      point = this.ghostSurface.point.clone();
+    } else if (getMountType(item) === 'ceiling') {
+      point = this._getCeilingIntersection();
+    } else {
+      point = this._getFloorIntersection();
+    }
+    if (!point) {
+      this.ghostPoint = null;
+      this.ghost.setVisible(false);
       return;
     }
     
-    // Prevent if already loading
-    if (this.isLoading) {
-      console.log('⏳ Already loading a model...');
+    this.ghostPoint = snapPosition(point, event);
+    this._poseGhost(this.ghostPoint, event);
+  }
+
+  _onMouseLeave() {
+    this.ghostPoint = null;
+    this.ghostSurface = null;
+    this.ghost.setVisible(false);
+  }
+
+  /**
+   * Position and rotate the ghost at a floor point and tint it by whether it fits there
+   */
+  _poseGhost(point, event = null) {
+    const ghost = this.ghost.object;
+    const item = ghost.userData.furnitureData;
+    const elevation = this.level ? this.level.elevation : 0;
+    
+    if (item.opening) {
+      // Doors/windows sit in the nearest wall
+      const anchor = this.room.findNearestWall(point.x, point.z);
+      const pose = anchor ? this.room.getOpeningPose(anchor) : null;
+      ghost.position.set(pose ? pose.x : point.x, elevation, pose ? pose.z : point.z);
+      ghost.rotation.y = pose ? pose.rotation : this.ghostRotation;
+      this.ghost.setValid(Boolean(pose));
+      this.ghostPlaceable = Boolean(pose);
+    } else {
+      ghost.position.set(point.x, elevation + this.ghostLift, point.z);
+      ghost.rotation.y = this.ghostRotation;
+      if (this.ghostSurface) {
+        restOn(ghost, elevation + this.ghostSurface.point.y);
+      } else {
+        snapToWall(ghost, this.room, point.x, point.z, event);
+      }
+      if (getMountType(item) === 'ceiling') {
+        hangFromCeiling(ghost, this.room);
+        ghost.position.y += elevation;
+      }
+      const support = this.ghostSurface?.support;
+      const inside = this._canPlace(ghost, support);
+      const colliding = inside && this._overlapsFurniture(ghost, support);
+      this.ghost.setValid(inside && !colliding);
+      this.ghostPlaceable = inside && (!colliding || getCollisionMode() === 'warn');
+    }
+    
+    ghost.visible = true;
+  }
+
+  /**
+   * Whether the ghost's footprint is inside the room (and over the support
+   * it stands on)
+   */
+  _canPlace(ghost, support = null) {
+    const box = new THREE.Box3().setFromObject(ghost);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+    if (!this.room.containsFootprint(center.x, center.z, size.x / 2, size.z / 2)) return false;
+    return !support || fitsOn(ghost, support);
+  }
+
+  /**
+   * Whether the ghost overlaps furniture already on this level
+   * (other than the support it stands on)
+   */
+  _overlapsFurniture(ghost, support = null) {
+    const obstacles = getObstacles(ghost, AppState.get('placedObjects') || [], this.room)
+      .filter(obj => obj !== support);
+    return findCollisions(ghost, obstacles).length > 0;
+  }
+
+  /**
+   * Click places the active item where its ghost is
+   */
+  _onClick(event) {
+    if (event.button !== 0 || !this.ghost.isVisible()) return;
+    
+    // Orbiting the camera also ends with a click
+    if (this.pointerDown &&
+        Math.hypot(event.clientX - this.pointerDown.x, event.clientY - this.pointerDown.y) > CLICK_TOLERANCE) {
       return;
     }
+    
+    this._placeGhost(event);
+  }
 
-    // Calculate mouse position
-    const rect = this.domElement.getBoundingClientRect();
-    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  /**
+   * A menu item dragged over the canvas: its ghost follows the pointer
+   */
+  _onDragOver(event) {
+    if (!AppState.get('draggedFurniture')) return;
+    
+    event.preventDefault(); // Allows the drop
+    event.dataTransfer.dropEffect = 'copy';
+    this._onMouseMove(event);
+  }
+
+  /**
+   * A menu item dropped on the canvas is placed where its ghost is
+   */
+  _onDrop(event) {
+    if (!AppState.get('draggedFurniture')) return;
     
-    // Get intersection point with floor plane
-    const intersectPoint = this._getFloorIntersection();
-    if (!intersectPoint) {
-      console.log('ℹ️ Click on the floor to place furniture');
+    event.preventDefault();
+    this._onMouseMove(event);
+    if (this.ghost.isVisible()) {
+      this._placeGhost(event);
+    } else {
+      console.log('⚠️ Drop it on the floor of the room');
+    }
+  }
+
+  /**
+   * Place the item shown by the ghost where the ghost is
+   */
+  async _placeGhost(event) {
+    // Prevent if already loading
+    if (this.isLoading) {
+      console.log('⏳ Already loading a model...');
       return;
     }
     
-    // Check if within room bounds
-    if (!this._isWithinBounds(intersectPoint)) {
-      console.log('⚠️ Position outside room bounds');
+    if (!this.ghostPlaceable) {
+      console.log('⚠️ Cannot place here - outside the room or overlapping furniture');
       return;
     }
+    if (!this.ghost.valid) {
+      console.log('⚠️ Placed overlapping other furniture');
+    }
+    
+    const ghost = this.ghost.object;
+    const position = new THREE.Vector3(ghost.position.x, 0, ghost.position.z);
+    await this._placeFurniture(ghost.userData.furnitureData, position, ghost.rotation.y, event, this.ghostSurface);
+    
+    // The new object now blocks this spot
+    if (this.ghostPoint && this.ghost.object) this._poseGhost(this.ghostPoint, event);
+  }
+
+  /**
+   * Mouse wheel over the canvas rotates the ghost (one step per notch)
+   */
+  _onWheel(event) {
+    if (event.target !== this.domElement || !this.ghost.isVisible()) return;
+    
+    event.preventDefault();
+    event.stopPropagation();
+    
+    const now = performance.now();
+    if (now - this.lastWheel < WHEEL_INTERVAL) return;
+    this.lastWheel = now;
+    this._rotateGhost(event, event.deltaY > 0 ? 1 : -1);
+  }
+
+  /**
+   * R rotates the ghost, Escape puts the active item away
+   */
+  _onKeyDown(event) {
+    if (!this.ghost.object || event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
     
-    // Place the furniture
-    await this._placeFurniture(activeFurniture, intersectPoint);
+    if (event.key === 'Escape') {
+      AppState.set('activeFurnitureType', null);
+    } else if (event.key === 'r' || event.key === 'R') {
+      this._rotateGhost(event, 1);
+    }
+  }
+
+  _rotateGhost(event, direction) {
+    this.ghostRotation = nextRotation(this.ghostRotation, event, direction);
+    if (this.ghostPoint) this._poseGhost(this.ghostPoint, event);
+  }
+
+  _updateMouse(event) {
+    const rect = this.domElement.getBoundingClientRect();
+    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
   }
 
   /**
@@ -100,62 +363,119 @@ export class PlacementSystem {
   }
 
   /**
-   * Check if position is within room bounds
+   * Top of the furniture under the mouse that the active item can stand on
    */
-  _isWithinBounds(position, margin = 0.5) {
-    const halfWidth = (ROOM_CONFIG.width / 2) - margin;
-    const halfDepth = (ROOM_CONFIG.depth / 2) - margin;
-    
-    return (
-      position.x >= -halfWidth && position.x <= halfWidth &&
-      position.z >= -halfDepth && position.z <= halfDepth
-    );
+  _getSurfaceIntersection() {
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+    
+    const supports = getSurfaces(AppState.get('placedObjects') || [], this.room);
+    return findSurface(this.raycaster, supports, this.level ? this.level.elevation : 0);
   }
 
   /**
-   * Place furniture at specified position
+   * Point on a ceiling of the active level under the mouse (level coordinates),
+   * null over a stairwell or outside the rooms
    */
-  async _placeFurniture(furnitureData, position) {
+  _getCeilingIntersection() {
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+    
+    const intersects = this.raycaster.intersectObjects(this.room.getCeilingMeshes(), false);
+    if (intersects.length === 0) return null;
+    
+    const point = intersects[0].point.clone();
+    point.y -= this.level ? this.level.elevation : 0;
+    return point;
+  }
+
+  /**
+   * Load an item's model (or a procedural stand-in), at the item's real size, standing on the floor
+   */
+  async _createModel(furnitureData) {
+    let model;
+    
+    // Custom items are built to their size
+    if (furnitureData.procedural) {
+      return createFurnitureModel(createFurnitureParams(furnitureData.procedural, furnitureData));
+    }
+    
+    // Try to load the GLTF model
+    try {
+      model = await furnitureLoader.load(furnitureData.path);
+      console.log(`📦 Loaded model: ${furnitureData.name}`);
+    } catch (error) {
+      // Fallback to a procedural piece of the same kind
+      console.warn(`⚠️ Model not found, using primitive for: ${furnitureData.name}`);
+      model = createFallbackModel(furnitureData);
+    }
+    
+    return furnitureLoader.fitToSize(model, furnitureData);
+  }
+
+  /**
+   * Place furniture at specified position and rotation
+   * (against a nearby wall for wall-mounted furniture unless Alt is held,
+   * hanging from the ceiling for ceiling-mounted furniture, on top of
+   * `surface` ({support, point} from findSurface) when given)
+   */
+  async _placeFurniture(furnitureData, position, rotation = 0, event = null, surface = null) {
+    if (furnitureData.opening) {
+      this._placeOpening(furnitureData, position);
+      return;
+    }
+    if (furnitureData.stairs) {
+      this._placeStairs(furnitureData, position, rotation);
+      return;
+    }
+    
     this.isLoading = true;
     AppState.set('isLoading', true);
     
     try {
-      let model;
-      
-      // Try to load the GLTF model
-      try {
-        model = await furnitureLoader.load(furnitureData.path);
-        console.log(`📦 Loaded model: ${furnitureData.name}`);
-      } catch (error) {
-        // Fallback to primitive shape
-        console.warn(`⚠️ Model not found, using primitive for: ${furnitureData.name}`);
-        model = this._createPrimitiveFallback(furnitureData);
-      }
-      
-      // Position on floor
-      model.position.copy(position);
-      model.position.y = 0; // Ensure on floor
+      const model = await this._createModel(furnitureData);
       
-      // Apply proper scale based on furniture type
-      this._applyScale(model, furnitureData);
+      // Position on floor (the model may be lifted so it stands on it)
+      model.position.x = position.x;
+      model.position.z = position.z;
+      model.rotation.y = rotation;
       
       // Store metadata for later operations
       model.userData = {
         id: Date.now() + Math.random(), // Unique ID
         furnitureData: furnitureData,
+        level: this.level.index,
         originalColor: null,
         isSelected: false
       };
       model.name = `Furniture_${furnitureData.name}_${model.userData.id}`;
+      if (furnitureData.procedural) {
+        // Size of a custom item, editable in the properties panel
+        model.userData.procedural = createFurnitureParams(furnitureData.procedural, furnitureData);
+      }
       
-      // Add to scene
-      this.furnitureContainer.add(model);
-      this.placedObjects.push(model);
+      if (surface) {
+        // Standing on other furniture, moved along with it from now on
+        model.userData.supportId = surface.support.userData.id;
+        restOn(model, surface.point.y);
+        console.log(`📚 ${furnitureData.name} placed on ${surface.support.userData.furnitureData.name}`);
+      } else if (snapToWall(model, this.room, position.x, position.z, event)) {
+        // Back against the wall, facing into the room
+        console.log(`🧲 ${furnitureData.name} placed against the wall`);
+      }
+      if (getMountType(furnitureData) === 'ceiling') {
+        hangFromCeiling(model, this.room);
+      }
       
-      // Update app state
-      AppState.addPlacedObject(model);
+      // Remember which room of the plan it was placed in
+      this.room.assignZone(model);
+      
+      // Add to scene and app state (an undoable step)
+      History.record(`Place ${furnitureData.name}`, () => {
+        this.furnitureContainer.add(model);
+        this.placedObjects.push(model);
+        AppState.addPlacedObject(model);
+      });
       
-      console.log(`✅ Placed: ${furnitureData.name} at (${position.x.toFixed(2)}, ${position.z.toFixed(2)})`);
+      console.log(`✅ Placed: ${furnitureData.name} at (${model.position.x.toFixed(2)}, ${model.position.z.toFixed(2)})`);
       
     } catch (error) {
       console.error('❌ Failed to place furniture:', error);
@@ -166,195 +486,68 @@ export class PlacementSystem {
   }
 
   /**
-   * Create primitive fallback when model is not available
-   */
-  _createPrimitiveFallback(furnitureData) {
-    const name = furnitureData.name.toLowerCase();
-    let type = 'default';
-    
-    // Determine type from name
-    if (name.includes('chair') || name.includes('arm')) type = 'chair';
-    else if (name.includes('table')) type = 'table';
-    else if (name.includes('couch') || name.includes('sofa')) type = 'couch';
-    else if (name.includes('bed')) type = 'bed';
-    else if (name.includes('cabinet') || name.includes('cupboard')) type = 'cabinet';
-    
-    return this._createPrimitiveByType(type, furnitureData);
-  }
-
-  /**
-   * Create primitive mesh by type
+   * Place a door or window on the wall closest to the clicked point
    */
-  _createPrimitiveByType(type, furnitureData) {
-    const group = new THREE.Group();
-    let geometry, material, mesh;
-    
-    // Random color based on ID for variety
-    const hue = (furnitureData.id * 37) % 360;
-    const color = new THREE.Color().setHSL(hue / 360, 0.6, 0.5);
-    
-    material = new THREE.MeshStandardMaterial({ 
-      color, 
-      roughness: 0.7,
-      metalness: 0.1
-    });
-    
-    switch (type) {
-      case 'chair':
-        // Seat
-        geometry = new THREE.BoxGeometry(0.5, 0.05, 0.5);
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.position.y = 0.45;
-        group.add(mesh);
-        // Back
-        const back = new THREE.Mesh(
-          new THREE.BoxGeometry(0.5, 0.5, 0.05),
-          material
-        );
-        back.position.set(0, 0.7, -0.22);
-        group.add(back);
-        // Legs
-        const legGeo = new THREE.CylinderGeometry(0.02, 0.02, 0.45);
-        const legMat = new THREE.MeshStandardMaterial({ color: 0x4a4a4a });
-        [[-0.2, -0.2], [0.2, -0.2], [-0.2, 0.2], [0.2, 0.2]].forEach(([x, z]) => {
-          const leg = new THREE.Mesh(legGeo, legMat);
-          leg.position.set(x, 0.225, z);
-          group.add(leg);
-        });
-        break;
-        
-      case 'table':
-        // Top
-        geometry = new THREE.BoxGeometry(1.2, 0.05, 0.8);
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.position.y = 0.75;
-        group.add(mesh);
-        // Legs
-        const tLegGeo = new THREE.CylinderGeometry(0.03, 0.03, 0.73);
-        const tLegMat = new THREE.MeshStandardMaterial({ color: 0x5D4037 });
-        [[-0.5, -0.3], [0.5, -0.3], [-0.5, 0.3], [0.5, 0.3]].forEach(([x, z]) => {
-          const leg = new THREE.Mesh(tLegGeo, tLegMat);
-          leg.position.set(x, 0.365, z);
-          group.add(leg);
-        });
-        break;
-        
-      case 'couch':
-        // Base
-        geometry = new THREE.BoxGeometry(2, 0.4, 0.9);
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.position.y = 0.3;
-        group.add(mesh);
-        // Back
-        const cBack = new THREE.Mesh(
-          new THREE.BoxGeometry(2, 0.5, 0.15),
-          material
-        );
-        cBack.position.set(0, 0.55, -0.38);
-        group.add(cBack);
-        // Arms
-        const armGeo = new THREE.BoxGeometry(0.15, 0.3, 0.9);
-        [-0.92, 0.92].forEach(x => {
-          const arm = new THREE.Mesh(armGeo, material);
-          arm.position.set(x, 0.45, 0);
-          group.add(arm);
-        });
-        break;
-        
-      case 'bed':
-        // Mattress
-        geometry = new THREE.BoxGeometry(1.8, 0.3, 2.2);
-        mesh = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ color: 0xf5f5dc }));
-        mesh.position.y = 0.35;
-        group.add(mesh);
-        // Frame
-        const frame = new THREE.Mesh(
-          new THREE.BoxGeometry(1.9, 0.2, 2.3),
-          new THREE.MeshStandardMaterial({ color: 0x8B4513 })
-        );
-        frame.position.y = 0.1;
-        group.add(frame);
-        // Headboard
-        const headboard = new THREE.Mesh(
-          new THREE.BoxGeometry(1.9, 0.8, 0.1),
-          new THREE.MeshStandardMaterial({ color: 0x8B4513 })
-        );
-        headboard.position.set(0, 0.6, -1.1);
-        group.add(headboard);
-        break;
-        
-      case 'cabinet':
-        geometry = new THREE.BoxGeometry(0.8, 1.2, 0.5);
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.position.y = 0.6;
-        group.add(mesh);
-        // Doors
-        const doorGeo = new THREE.BoxGeometry(0.35, 1.1, 0.02);
-        const doorMat = new THREE.MeshStandardMaterial({ color: color.clone().multiplyScalar(0.8) });
-        [-0.18, 0.18].forEach(x => {
-          const door = new THREE.Mesh(doorGeo, doorMat);
-          door.position.set(x, 0.6, 0.26);
-          group.add(door);
-        });
-        break;
-        
-      default:
-        // Generic box
-        geometry = new THREE.BoxGeometry(0.6, 0.6, 0.6);
-        mesh = new THREE.Mesh(geometry, material);
-        mesh.position.y = 0.3;
-        group.add(mesh);
+  _placeOpening(furnitureData, position) {
+    const anchor = this.room.findNearestWall(position.x, position.z);
+    if (!anchor) {
+      console.log('⚠️ Doors and windows must be placed close to a wall');
+      return;
     }
     
-    // Enable shadows for all meshes
-    group.traverse((child) => {
-      if (child.isMesh) {
-        child.castShadow = true;
-        child.receiveShadow = true;
-      }
+    const opening = createOpeningData(furnitureData.opening, anchor, furnitureData);
+    const model = createOpeningModel(opening);
+    
+    model.userData = {
+      id: Date.now() + Math.random(),
+      furnitureData: furnitureData,
+      opening: opening,
+      level: this.level.index,
+      originalColor: null,
+      isSelected: false
+    };
+    model.name = `Furniture_${furnitureData.name}_${model.userData.id}`;
+    
+    // Room positions it on the wall and cuts the opening when it is added
+    History.record(`Place ${furnitureData.name}`, () => {
+      this.furnitureContainer.add(model);
+      this.placedObjects.push(model);
+      AppState.addPlacedObject(model);
+      this.room.assignZone(model);
     });
     
-    return group;
+    console.log(`✅ Placed: ${furnitureData.name} on wall ${anchor.zoneIndex}-${anchor.edgeIndex}`);
   }
 
   /**
-   * Apply appropriate scale to furniture model
+   * Place a staircase climbing to the level above (built for this storey's height)
    */
-  _applyScale(model, furnitureData) {
-    // Get bounding box to determine size
-    const box = new THREE.Box3().setFromObject(model);
-    const size = box.getSize(new THREE.Vector3());
+  _placeStairs(furnitureData, position, rotation = 0) {
+    const rise = this.room.getConfig().height + LEVEL_SLAB;
+    const model = createStaircaseModel(rise);
+    model.position.set(position.x, 0, position.z);
+    model.rotation.y = rotation;
     
-    // Target scale based on furniture type
-    const name = furnitureData.name.toLowerCase();
-    let targetHeight = 1.0; // Default height
-    
-    if (name.includes('chair')) targetHeight = 0.9;
-    else if (name.includes('table')) targetHeight = 0.75;
-    else if (name.includes('couch') || name.includes('sofa')) targetHeight = 0.8;
-    else if (name.includes('bed')) targetHeight = 0.6;
-    else if (name.includes('cabinet') || name.includes('cupboard')) targetHeight = 1.2;
-    else if (name.includes('tv')) targetHeight = 0.6;
-    else if (name.includes('fridge')) targetHeight = 1.8;
-    else if (name.includes('wardrobe')) targetHeight = 2.0;
-    
-    // Only scale if model is not already close to target
-    if (size.y > 0.01) { // Avoid division by zero
-      const currentHeight = size.y;
-      if (Math.abs(currentHeight - targetHeight) > 0.3) {
-        const scale = targetHeight / currentHeight;
-        // Limit scale to reasonable range
-        const clampedScale = Math.max(0.1, Math.min(3, scale));
-        model.scale.setScalar(clampedScale);
-      }
-    }
+    model.userData = {
+      id: Date.now() + Math.random(),
+      furnitureData: furnitureData,
+      stairs: { rise },
+      level: this.level.index,
+      originalColor: null,
+      isSelected: false
+    };
+    model.name = `Furniture_${furnitureData.name}_${model.userData.id}`;
     
-    // Adjust position so model sits on floor
-    const newBox = new THREE.Box3().setFromObject(model);
-    const minY = newBox.min.y;
-    if (minY < 0) {
-      model.position.y = -minY;
-    }
+    this.room.assignZone(model);
+    
+    // Building cuts the stairwell into the level above when it is added
+    History.record(`Place ${furnitureData.name}`, () => {
+      this.furnitureContainer.add(model);
+      this.placedObjects.push(model);
+      AppState.addPlacedObject(model);
+    });
+    
+    console.log(`✅ Placed: ${furnitureData.name} at (${position.x.toFixed(2)}, ${position.z.toFixed(2)})`);
   }
 
   /**
@@ -364,7 +557,7 @@ export class PlacementSystem {
     const index = this.placedObjects.indexOf(object);
     if (index > -1) {
       this.placedObjects.splice(index, 1);
-      this.furnitureContainer.remove(object);
+      if (object.parent) object.parent.remove(object);
       
       // Dispose of geometries and materials
       object.traverse((child) => {
@@ -402,7 +595,16 @@ export class PlacementSystem {
    * Dispose of the system
    */
   dispose() {
-    this.domElement.removeEventListener('dblclick', this._onDoubleClick);
+    this.domElement.removeEventListener('mousedown', this._onMouseDown);
+    this.domElement.removeEventListener('mousemove', this._onMouseMove);
+    this.domElement.removeEventListener('mouseleave', this._onMouseLeave);
+    this.domElement.removeEventListener('click', this._onClick);
+    this.domElement.removeEventListener('dragover', this._onDragOver);
+    this.domElement.removeEventListener('dragleave', this._onMouseLeave);
+    this.domElement.removeEventListener('drop', this._onDrop);
+    window.removeEventListener('wheel', this._onWheel, { capture: true });
+    window.removeEventListener('keydown', this._onKeyDown);
+    this.ghost.clear();
     this.clearAll();
   }
 }
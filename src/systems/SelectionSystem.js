@@ -1,36 +1,80 @@
 /**
  * SelectionSystem - Handles object selection and movement
  * Step 5: Selection + move within bounds
+ * Only objects on the active building level can be picked; whatever stands
+ * on an object moves with it. Running into other furniture is handled as
+ * the collision mode says (see Collision)
+ * Shift/Ctrl-click adds or removes objects, and Shift/Ctrl-drag on empty
+ * canvas draws a box around them; the set (`selectedObjects`) is moved,
+ * turned about its centre and deleted together. `selectedObject` is the
+ * object picked last. Doors and windows are only selected on their own.
+ * Picking any object of a group picks the whole outermost group (see
+ * Grouping); Ctrl+G groups the selection and Ctrl+Shift+G ungroups it.
+ * Furniture dragged across the floor lines up with its neighbours and the
+ * walls along smart guides (see SmartGuides), and the selection shows its
+ * distances to them (see DimensionLines). Moving, turning, grouping and
+ * deleting are steps of the undo history; a whole drag is one step.
  */
 
 import * as THREE from 'three';
 import { AppState } from '../state/AppState.js';
-import { ROOM_CONFIG } from '../core/Room.js';
+import { History, describeObjects } from '../state/History.js';
+import { snapPosition, nextRotation, snapToWall } from './Snapping.js';
+import { getMountType, hangFromCeiling } from '../core/Mounts.js';
+import {
+  isStackable, isStacked, getStacked, getSurfaces, findSurface, fitsOn, restOn,
+  getPose, carryStacked, releaseOrphans
+} from './Stacking.js';
+import { getCollisionMode, getObstacles, findCollisions, resolveMove, resolveGroupMove } from './Collision.js';
+import { getTopGroup, getGroupMembers, getSelectedGroup, expandToGroups, createGroup, ungroup, pruneGroups } from './Grouping.js';
+import { SmartGuides } from './SmartGuides.js';
+import { DimensionLines } from './DimensionLines.js';
+
+const CLICK_TOLERANCE = 5;   // px the mouse may move before a press draws a selection box
+const WALL_TOLERANCE = 0.02; // m furniture flush against a wall may seem to cut into it
+const ROOM_MARGIN = 0.3;     // m furniture dragged on its own keeps from walls
+
+/**
+ * What of a room config furniture is clamped to: its size and plan, not finishes
+ */
+function getLayoutKey(config) {
+  return JSON.stringify({ ...config, finishes: null });
+}
 
 export class SelectionSystem {
-  constructor(scene, camera, domElement, controlsManager = null) {
+  constructor(scene, camera, domElement, controlsManager = null, room = null) {
     this.scene = scene;
     this.camera = camera;
     this.domElement = domElement;
     this.controlsManager = controlsManager; // Reference to OrbitControls manager
+    this.room = room; // Source of current room dimensions
+    this.roomLayout = room ? getLayoutKey(room.getConfig()) : null; // Size and plan last clamped to
+    this.level = null; // Active building level
     
     // Raycaster for selection
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
     
     // Selection state
-    this.selectedObject = null;
+    this.selectedObject = null; // Picked last
+    this.selectedObjects = [];
     this.highlightHelper = null;
+    this.highlightBox = new THREE.Box3(); // Around the whole selection
+    this.marquee = null; // Selection box being drawn: { x, y, element }
     
     // Drag state
     this.isDragging = false;
-    this.dragPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0); // Floor plane
+    this.dragPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0); // Floor plane of the level
     this.dragOffset = new THREE.Vector3();
     this.dragStartPosition = new THREE.Vector3();
+    this.dragObject = null; // Selected object that was grabbed
+    this.guides = new SmartGuides(scene); // Lines to neighbours and walls the drag lines up with
+    this.dimensions = new DimensionLines(scene); // Distances from the selection to walls and furniture
     
     // Visual feedback
     this.originalMaterials = new Map();
     this.highlightColor = new THREE.Color(0x00ff00); // Green highlight
+    this.collisionColor = new THREE.Color(0xff3030); // Red while overlapping other furniture
     this.selectedEmissive = 0x003300;
     
     // Bind event handlers
@@ -46,7 +90,8 @@ export class SelectionSystem {
     // Mouse events for selection and dragging
     this.domElement.addEventListener('mousedown', this._onMouseDown);
     this.domElement.addEventListener('mousemove', this._onMouseMove);
-    this.domElement.addEventListener('mouseup', this._onMouseUp);
+    // On the window, so a drag released outside the canvas still ends
+    window.addEventListener('mouseup', this._onMouseUp);
     
     // Keyboard events
     window.addEventListener('keydown', this._onKeyDown);
@@ -55,10 +100,72 @@ export class SelectionSystem {
     AppState.subscribe('selectedObject', (obj) => {
       this._updateSelection(obj);
     });
+    AppState.subscribe('selectedObjects', (objects) => {
+      this._updateSelectionSet(objects);
+    });
+    
+    // Picking an item to place ends the selection
+    AppState.subscribe('activeFurnitureType', (item) => {
+      if (item) {
+        this.deselect();
+        this.deselectSurface();
+      }
+    });
+    
+    // Keep furniture inside the room when it is resized (a level switch
+    // publishes the config of the new level, which moves nothing)
+    AppState.subscribe('roomConfig', (config) => {
+      const layout = getLayoutKey(config);
+      if (layout !== this.roomLayout) {
+        this.roomLayout = layout;
+        this._reclampAll();
+      }
+      // Surface keys may not exist any more
+      if (AppState.get('selectedSurface')) AppState.set('selectedSurface', null);
+    });
+    
+    // Items whose support was deleted drop to the floor; groups left empty go
+    AppState.subscribe('placedObjects', (objects) => {
+      releaseOrphans(objects).forEach(obj => AppState.set('transformedObject', obj));
+      pruneGroups(objects);
+    });
+
+    // A selected object was resized or moved from a panel
+    AppState.subscribe('transformedObject', (obj) => {
+      if (this.selectedObjects.includes(obj)) this._updateHighlight();
+    });
+
+    // Tint the picked floor/wall/ceiling
+    AppState.subscribe('selectedSurface', (key) => {
+      if (this.room) this.room.highlightSurface(key);
+    });
+    
+    // Select and drag on whichever level is being edited
+    this._useLevel(AppState.get('activeLevel'));
+    AppState.subscribe('activeLevel', (level) => this._useLevel(level));
     
     console.log('✅ SelectionSystem initialized');
   }
 
+  /**
+   * Work on a building level from now on
+   */
+  _useLevel(level) {
+    if (!level) return;
+    
+    this.level = level;
+    this.room = level.room;
+    this.roomLayout = getLayoutKey(level.room.getConfig());
+    this._resetDragPlane();
+  }
+
+  /**
+   * Drag on the floor of the active level
+   */
+  _resetDragPlane() {
+    this.dragPlane.set(new THREE.Vector3(0, 1, 0), -(this.level ? this.level.elevation : 0));
+  }
+
   /**
    * Update selection when state changes externally
    */
@@ -66,26 +173,51 @@ export class SelectionSystem {
     // Only update if different from current selection
     if (obj === this.selectedObject) return;
     
-    if (obj) {
-      // External selection - create highlights without recursion
-      if (this.selectedObject) {
-        this._removeHighlight();
-        this._restoreOriginalMaterials(this.selectedObject);
-        this.selectedObject.userData.isSelected = false;
-      }
-      
-      this.selectedObject = obj;
+    this._setSelection(obj ? [obj] : []);
+  }
+
+  /**
+   * Update the selection set when it is changed externally
+   */
+  _updateSelectionSet(objects = []) {
+    const same = objects.length === this.selectedObjects.length &&
+      objects.every(obj => this.selectedObjects.includes(obj));
+    if (same) return;
+    
+    this._setSelection(objects);
+  }
+
+  /**
+   * Make `objects` and the rest of their groups the selection (the last one
+   * becomes `selectedObject`), highlight them and tell listeners
+   */
+  _setSelection(objects) {
+    const previous = this.selectedObjects;
+    const next = expandToGroups([...new Set(objects)], AppState.get('placedObjects') || []);
+    
+    previous.filter(obj => !next.includes(obj)).forEach((obj) => {
+      this._restoreOriginalMaterials(obj);
+      obj.userData.isSelected = false;
+    });
+    next.filter(obj => !previous.includes(obj)).forEach((obj) => {
       obj.userData.isSelected = true;
-      this._createHighlight(obj);
       this._applyHighlightMaterial(obj);
+    });
+    
+    this.selectedObjects = next;
+    this.selectedObject = next[next.length - 1] || null;
+    
+    if (next.length > 0) {
+      this.deselectSurface();
+      this._createHighlight();
     } else {
-      // External deselection
-      if (this.selectedObject) {
-        this._removeHighlight();
-        this._restoreOriginalMaterials(this.selectedObject);
-        this.selectedObject.userData.isSelected = false;
-        this.selectedObject = null;
-      }
+      this._removeHighlight();
+    }
+    
+    // Update app state (the set first, so listeners of either see both)
+    AppState.set('selectedObjects', next);
+    if (AppState.get('selectedObject') !== this.selectedObject) {
+      AppState.set('selectedObject', this.selectedObject);
     }
   }
 
@@ -99,35 +231,78 @@ export class SelectionSystem {
     // Ignore if clicking on UI
     if (this._isClickOnUI(event)) return;
     
+    // Clicks place the active item instead (PlacementSystem)
+    if (AppState.get('activeFurnitureType')) return;
+    
+    // The gizmo handle under the mouse was grabbed (TransformGizmo)
+    if (AppState.get('transforming')) return;
+    
     this._updateMousePosition(event);
     
     // Try to select an object
     const intersected = this._raycastFurniture();
     
+    const additive = event.shiftKey || event.ctrlKey || event.metaKey;
+    
     if (intersected) {
       const furniture = this._getFurnitureRoot(intersected.object);
       
       if (furniture) {
-        // If clicking on already selected object, start dragging
-        if (furniture === this.selectedObject) {
-          this._startDrag(event, intersected.point);
+        if (additive) {
+          // Add to or remove from the selection
+          this.toggleSelection(furniture);
+        } else if (this.selectedObjects.includes(furniture)) {
+          // If clicking on a selected object, start dragging (the whole selection)
+          this._startDrag(event, intersected.point, furniture);
         } else {
           // Select new object
           this.select(furniture);
         }
       }
+    } else if (additive) {
+      // Draw a box around more objects
+      this._startMarquee(event);
     } else {
       // Clicked on empty space - deselect
       if (!this.isDragging) {
         this.deselect();
+        this._selectSurface();
       }
     }
   }
 
+  /**
+   * Pick the floor/wall/ceiling under the mouse for finish editing
+   */
+  _selectSurface() {
+    if (!this.room) return;
+    
+    const intersects = this.raycaster.intersectObjects(this.room.getSurfaceMeshes(), false);
+    const key = intersects.length > 0 ? intersects[0].object.userData.surface.key : null;
+    
+    if (key !== AppState.get('selectedSurface')) {
+      AppState.set('selectedSurface', key);
+      if (key) console.log('🧱 Selected surface:', this.room.getSurfaceLabel(key));
+    }
+  }
+
+  /**
+   * Clear the picked surface, if any
+   */
+  deselectSurface() {
+    if (AppState.get('selectedSurface')) {
+      AppState.set('selectedSurface', null);
+    }
+  }
+
   /**
    * Handle mouse move - drag selected object
    */
   _onMouseMove(event) {
+    if (this.marquee) {
+      this._updateMarquee(event);
+      return;
+    }
     if (!this.isDragging || !this.selectedObject) return;
     
     this._updateMousePosition(event);
@@ -137,28 +312,108 @@ export class SelectionSystem {
     const intersectPoint = new THREE.Vector3();
     
     if (this.raycaster.ray.intersectPlane(this.dragPlane, intersectPoint)) {
-      // Calculate new position
-      const newPosition = intersectPoint.sub(this.dragOffset);
+      // Several objects move together, on the floor
+      if (this.selectedObjects.length > 1) {
+        this._moveGroup(snapPosition(intersectPoint.sub(this.dragOffset), event), event);
+        this._updateHighlight();
+        return;
+      }
       
-      // Constrain to room bounds
-      const constrainedPos = this._constrainToRoom(newPosition);
+      const object = this.selectedObject;
+      const placedObjects = AppState.get('placedObjects') || [];
+      const from = getPose(object);
+      const supportId = object.userData.supportId;
+      const wasClear = object.userData.opening || this._getCollisions(object).length === 0;
       
-      // Apply position
-      this.selectedObject.position.x = constrainedPos.x;
-      this.selectedObject.position.z = constrainedPos.z;
-      // Keep Y position unchanged (on floor)
+      // Calculate new position (on the snap grid unless Alt is held)
+      const newPosition = snapPosition(intersectPoint.sub(this.dragOffset), event);
+      let onFloor = false;
       
-      // Update box helper position
-      if (this.highlightHelper) {
-        this.highlightHelper.update();
+      if (object.userData.opening) {
+        // Doors/windows slide along their wall
+        this.room.moveOpening(object, newPosition.x, newPosition.z);
+      } else if (this._dragOntoSurface(object, placedObjects, event) ||
+                 snapToWall(object, this.room, newPosition.x, newPosition.z, event)) {
+        // Standing on the furniture under the mouse, or wall-mounted furniture
+        // sliding along a wall: taken whole or not at all when it runs into something
+        if (wasClear && getCollisionMode() !== 'warn' && this._getCollisions(object).length > 0) {
+          object.position.set(from.x, from.y, from.z);
+          object.rotation.y = from.rotation;
+          object.userData.supportId = supportId;
+          if (supportId == null) delete object.userData.supportId;
+        }
+      } else {
+        // Back down on the floor when dragged off its support
+        if (isStacked(object)) {
+          delete object.userData.supportId;
+          restOn(object, 0);
+        }
+        
+        // Lined up with the furniture and walls around it (unless Alt is held)
+        const offset = this.guides.snapOffset([object], {
+          x: newPosition.x - object.position.x,
+          z: newPosition.z - object.position.z
+        }, event, ROOM_MARGIN);
+        newPosition.x = object.position.x + offset.x;
+        newPosition.z = object.position.z + offset.z;
+        
+        // Constrained to room bounds, then stopped by (or slid along) other furniture
+        const constrainedPos = this._constrainToRoom(newPosition);
+        const { x, z } = resolveMove(object, constrainedPos, getObstacles(object, placedObjects, this.room));
+        object.position.x = x;
+        object.position.z = z;
+        onFloor = true;
       }
+      
+      // Guides only for furniture moving freely across the floor
+      if (onFloor) {
+        this.guides.show([object], event, ROOM_MARGIN);
+      } else {
+        this.guides.clear();
+      }
+      
+      // Whatever stands on it comes along
+      carryStacked(object, from, placedObjects);
+      
+      // Update box helper position
+      this._updateHighlight();
+    }
+  }
+
+  /**
+   * Put a stackable object on the furniture top under the mouse, if its
+   * footprint centre is over that furniture
+   * @returns {boolean} false (object untouched) when there is none
+   */
+  _dragOntoSurface(object, placedObjects, event) {
+    if (!isStackable(object.userData.furnitureData)) return false;
+    
+    const supports = getSurfaces(placedObjects, this.room, object);
+    const surface = findSurface(this.raycaster, supports, this.level ? this.level.elevation : 0);
+    if (!surface) return false;
+    
+    const target = snapPosition(surface.point.clone().sub(this.dragOffset), event);
+    const { x, z } = object.position;
+    object.position.x = target.x;
+    object.position.z = target.z;
+    if (!fitsOn(object, surface.support)) {
+      object.position.x = x;
+      object.position.z = z;
+      return false;
     }
+    
+    restOn(object, surface.point.y);
+    object.userData.supportId = surface.support.userData.id;
+    return true;
   }
 
   /**
    * Handle mouse up - end drag
    */
   _onMouseUp(event) {
+    if (this.marquee) {
+      this._endMarquee(event);
+    }
     if (this.isDragging) {
       this._endDrag();
     }
@@ -168,9 +423,23 @@ export class SelectionSystem {
    * Handle keyboard input
    */
   _onKeyDown(event) {
+    // Typing in a panel field, or keys for the plan being edited (PlanEditor)
+    if (event.target.closest?.('input, select, textarea') || AppState.get('planEditing')) return;
+    
+    if (event.key === 'Escape') this.deselectSurface();
     if (!this.selectedObject) return;
     
     switch (event.key) {
+      case 'g':
+      case 'G':
+        if (!event.ctrlKey && !event.metaKey) break;
+        event.preventDefault(); // Not the browser's find-next
+        if (event.shiftKey) {
+          this.ungroupSelected();
+        } else {
+          this.groupSelected();
+        }
+        break;
       case 'Delete':
       case 'Backspace':
         this._deleteSelected();
@@ -180,67 +449,347 @@ export class SelectionSystem {
         break;
       case 'r':
       case 'R':
-        // Rotate 45 degrees
-        this.selectedObject.rotation.y += Math.PI / 4;
-        if (this.highlightHelper) this.highlightHelper.update();
+        // Doors/windows keep the orientation of their wall
+        if (this.selectedObject.userData.opening) break;
+        History.record(`Rotate ${describeObjects(this.selectedObjects)}`, () => {
+          if (this.selectedObjects.length > 1) {
+            this._rotateGroup(event);
+          } else {
+            this._rotateSelected(event);
+          }
+        });
         break;
     }
   }
 
   /**
-   * Select an object
+   * Rotate the selected object to the next snap angle (small free step with
+   * Alt or snapping off), unless that turns it into other furniture
    */
-  select(object) {
-    // Deselect current if any
-    if (this.selectedObject && this.selectedObject !== object) {
-      this.deselect();
+  _rotateSelected(event) {
+    const object = this.selectedObject;
+    const wasClear = this._getCollisions(object).length === 0;
+    const rotation = object.rotation.y;
+    
+    object.rotation.y = nextRotation(rotation, event);
+    if (wasClear && getCollisionMode() !== 'warn' && this._getCollisions(object).length > 0) {
+      object.rotation.y = rotation;
+      console.log('⚠️ No room to turn here');
+      return;
+    }
+    
+    carryStacked(object, { ...getPose(object), rotation }, AppState.get('placedObjects') || []);
+    this._updateHighlight();
+    this._notifyTransformed(object);
+  }
+
+  /**
+   * Furniture an object overlaps on its level
+   */
+  _getCollisions(object) {
+    if (!this.room) return [];
+    return findCollisions(object, getObstacles(object, AppState.get('placedObjects') || [], this.room));
+  }
+
+  /**
+   * Selected objects that move by themselves: not standing on another
+   * selected object (those are carried along by it)
+   */
+  _getMovers() {
+    const placedObjects = AppState.get('placedObjects') || [];
+    return this.selectedObjects.filter(obj =>
+      !this.selectedObjects.some(other => other !== obj && getStacked(other, placedObjects).includes(obj))
+    );
+  }
+
+  /**
+   * Furniture the selection can run into: what every mover could run into,
+   * except the selection itself
+   */
+  _getGroupObstacles(movers) {
+    const placedObjects = AppState.get('placedObjects') || [];
+    return movers
+      .map(obj => getObstacles(obj, placedObjects, this.room))
+      .reduce((common, obstacles) => common.filter(obj => obstacles.includes(obj)))
+      .filter(obj => !this.selectedObjects.includes(obj));
+  }
+
+  /**
+   * (object, x, z) => whether an object's footprint stays inside the room
+   * with its pivot at (x, z); sizes are measured once, where the objects are now
+   */
+  _roomCheck(objects) {
+    const footprints = new Map(objects.map((obj) => {
+      const box = new THREE.Box3().setFromObject(obj);
+      const size = box.getSize(new THREE.Vector3());
+      const offset = box.getCenter(new THREE.Vector3()).sub(obj.getWorldPosition(new THREE.Vector3()));
+      return [obj, { size, offset }];
+    }));
+    
+    return (obj, x, z) => {
+      const { size, offset } = footprints.get(obj);
+      return this.room.containsFootprint(x + offset.x, z + offset.z, size.x / 2, size.z / 2, -WALL_TOLERANCE);
+    };
+  }
+
+  /**
+   * Move the selection together so the grabbed object heads for `target`,
+   * as far as the room and the collision mode allow
+   */
+  _moveGroup(target, event = null) {
+    if (!this.room || !this.dragObject) return;
+    
+    const placedObjects = AppState.get('placedObjects') || [];
+    const movers = this._getMovers();
+    // Lined up with the furniture and walls around the selection (unless Alt is held)
+    const delta = this.guides.snapOffset(movers, {
+      x: target.x - this.dragObject.position.x,
+      z: target.z - this.dragObject.position.z
+    }, event);
+    const { x, z } = resolveGroupMove(movers, delta, this._getGroupObstacles(movers), this._roomCheck(movers));
+    
+    movers.forEach((obj) => {
+      const from = getPose(obj);
+      obj.position.x += x;
+      obj.position.z += z;
+      carryStacked(obj, from, placedObjects);
+    });
+    this.guides.show(movers, event);
+  }
+
+  /**
+   * After the selection moved: objects that left the furniture they stood
+   * on (and that is not selected) go down to the floor
+   */
+  _settleGroup() {
+    const placedObjects = AppState.get('placedObjects') || [];
+    this._getMovers().filter(isStacked).forEach((obj) => {
+      const support = placedObjects.find(other => other.userData.id === obj.userData.supportId);
+      if (support && fitsOn(obj, support)) return;
+      
+      const from = getPose(obj);
+      delete obj.userData.supportId;
+      restOn(obj, 0);
+      carryStacked(obj, from, placedObjects);
+    });
+  }
+
+  /**
+   * Turn the selection about its centre by the rotation step of the object
+   * picked last, unless that takes something out of the room or (when it
+   * was clear) into other furniture
+   */
+  _rotateGroup(event) {
+    if (!this.room) return;
+    
+    const placedObjects = AppState.get('placedObjects') || [];
+    const movers = this._getMovers();
+    const obstacles = this._getGroupObstacles(movers);
+    const inRoom = this._roomCheck(movers);
+    const isClear = () => movers.every(obj => findCollisions(obj, obstacles).length === 0);
+    const wasClear = isClear();
+    
+    const angle = nextRotation(this.selectedObject.rotation.y, event) - this.selectedObject.rotation.y;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    
+    // Centre of the selection, in level coordinates
+    const box = new THREE.Box3();
+    movers.forEach(obj => box.expandByObject(obj));
+    const center = box.getCenter(new THREE.Vector3());
+    center.y -= this.level ? this.level.elevation : 0;
+    
+    const poses = movers.map(getPose);
+    movers.forEach((obj) => {
+      const dx = obj.position.x - center.x;
+      const dz = obj.position.z - center.z;
+      obj.position.x = center.x + dx * cos + dz * sin;
+      obj.position.z = center.z - dx * sin + dz * cos;
+      obj.rotation.y += angle;
+      obj.updateMatrixWorld(true);
+    });
+    
+    // Turned objects have new footprints: check them afresh
+    const fitsRoom = movers.every(obj => this._roomCheck([obj])(obj, obj.position.x, obj.position.z));
+    if (!fitsRoom || (wasClear && getCollisionMode() !== 'warn' && !isClear())) {
+      movers.forEach((obj, i) => {
+        obj.position.set(poses[i].x, poses[i].y, poses[i].z);
+        obj.rotation.y = poses[i].rotation;
+      });
+      console.log('⚠️ No room to turn here');
+      return;
     }
     
-    this.selectedObject = object;
-    object.userData.isSelected = true;
+    movers.forEach((obj, i) => {
+      carryStacked(obj, poses[i], placedObjects);
+      this._notifyTransformed(obj);
+    });
+    this._updateHighlight();
+  }
+
+  /**
+   * Start drawing a selection box at the mouse
+   */
+  _startMarquee(event) {
+    const element = document.createElement('div');
+    element.className = 'selection-marquee';
+    document.body.appendChild(element);
+    this.marquee = { x: event.clientX, y: event.clientY, element };
+    
+    // The camera stays put while the box is drawn
+    if (this.controlsManager) {
+      this.controlsManager.setEnabled(false);
+    }
+    this._updateMarquee(event);
+  }
+
+  _updateMarquee(event) {
+    const { x, y, element } = this.marquee;
+    element.style.left = `${Math.min(x, event.clientX)}px`;
+    element.style.top = `${Math.min(y, event.clientY)}px`;
+    element.style.width = `${Math.abs(event.clientX - x)}px`;
+    element.style.height = `${Math.abs(event.clientY - y)}px`;
+  }
+
+  /**
+   * Add the objects whose centres are inside the box to the selection
+   */
+  _endMarquee(event) {
+    const { x, y, element } = this.marquee;
+    element.remove();
+    this.marquee = null;
     
-    // Create highlight
-    this._createHighlight(object);
+    if (this.controlsManager) {
+      this.controlsManager.setEnabled(true);
+    }
     
-    // Apply emissive highlight to materials
-    this._applyHighlightMaterial(object);
+    // A click without dragging selects nothing
+    if (Math.abs(event.clientX - x) < CLICK_TOLERANCE && Math.abs(event.clientY - y) < CLICK_TOLERANCE) return;
     
-    // Update app state
-    AppState.set('selectedObject', object);
+    const found = this._getObjectsInRect(
+      Math.min(x, event.clientX), Math.min(y, event.clientY),
+      Math.max(x, event.clientX), Math.max(y, event.clientY)
+    );
+    if (found.length === 0) return;
     
-    console.log('🎯 Selected:', object.name);
+    // Doors/windows are only selected on their own
+    const kept = this.selectedObjects.filter(obj => !obj.userData.opening);
+    this._setSelection([...kept, ...found.filter(obj => !kept.includes(obj))]);
+    console.log(`🔲 Box selected ${found.length} object(s), ${this.selectedObjects.length} selected`);
   }
 
   /**
-   * Deselect current object
+   * Furniture of the active level whose centre shows inside a screen rectangle
+   * (doors/windows left out)
    */
-  deselect() {
-    if (!this.selectedObject) return;
+  _getObjectsInRect(left, top, right, bottom) {
+    const container = this.level?.container;
+    if (!container) return [];
     
-    // Remove highlight
-    this._removeHighlight();
+    const rect = this.domElement.getBoundingClientRect();
+    const placedObjects = AppState.get('placedObjects') || [];
     
-    // Restore original materials
-    this._restoreOriginalMaterials(this.selectedObject);
+    return container.children.filter((obj) => {
+      if (!placedObjects.includes(obj) || obj.userData.opening) return false;
+      
+      const center = new THREE.Box3().setFromObject(obj).getCenter(new THREE.Vector3()).project(this.camera);
+      if (center.z > 1) return false; // Behind the camera
+      
+      const sx = rect.left + (center.x + 1) / 2 * rect.width;
+      const sy = rect.top + (1 - center.y) / 2 * rect.height;
+      return sx >= left && sx <= right && sy >= top && sy <= bottom;
+    });
+  }
+
+  /**
+   * Select an object
+   */
+  select(object) {
+    this._setSelection([object]);
+    console.log('🎯 Selected:', object.name);
+  }
+
+  /**
+   * Add an object to the selection, or take it out if it is in already;
+   * doors/windows replace the selection (they are only selected alone)
+   */
+  toggleSelection(object) {
+    if (this.selectedObjects.includes(object)) {
+      // Grouped objects leave with their group
+      const group = getTopGroup(object);
+      const leaving = group ? getGroupMembers(group, AppState.get('placedObjects') || []) : [object];
+      this._setSelection(this.selectedObjects.filter(obj => !leaving.includes(obj)));
+      console.log('➖ Removed from selection:', object.name);
+      return;
+    }
     
-    this.selectedObject.userData.isSelected = false;
-    this.selectedObject = null;
+    if (object.userData.opening || this.selectedObjects.some(obj => obj.userData.opening)) {
+      this.select(object);
+      return;
+    }
     
-    // Update app state
-    AppState.set('selectedObject', null);
+    this._setSelection([...this.selectedObjects, object]);
+    console.log(`➕ Added to selection: ${object.name} (${this.selectedObjects.length} selected)`);
+  }
+
+  /**
+   * Deselect current object(s)
+   */
+  deselect() {
+    if (this.selectedObjects.length === 0) return;
     
+    this._setSelection([]);
     console.log('🚫 Deselected');
   }
 
+  /**
+   * Group the selected objects (and groups) under a new name
+   */
+  groupSelected(name = '') {
+    const group = History.record('Group', () => createGroup(this.selectedObjects, name));
+    if (!group) {
+      console.log('ℹ️ Select at least two objects or groups to group');
+      return;
+    }
+    console.log(`🔗 Grouped ${this.selectedObjects.length} objects as "${group.name}"`);
+  }
+
+  /**
+   * Dissolve the group that is selected; what it held stays selected
+   */
+  ungroupSelected() {
+    const group = getSelectedGroup(this.selectedObjects, AppState.get('placedObjects') || []);
+    if (!group) return;
+    
+    History.record(`Ungroup ${group.name}`, () => ungroup(group, AppState.get('placedObjects') || []));
+    console.log(`✂️ Ungrouped "${group.name}"`);
+  }
+
   /**
    * Start dragging
    */
-  _startDrag(event, intersectPoint) {
+  _startDrag(event, intersectPoint, object = this.selectedObject) {
     this.isDragging = true;
-    this.dragStartPosition.copy(this.selectedObject.position);
+    this.dragObject = object;
+    this.dragStartPosition.copy(object.position);
+    History.begin(`Move ${describeObjects(this.selectedObjects)}`); // Ended by _endDrag
     
-    // Calculate offset from object center to click point
-    this.dragOffset.copy(intersectPoint).sub(this.selectedObject.position);
+    // Doors/windows are dragged on the plane of their wall
+    if (object.userData.opening) {
+      const wallNormal = new THREE.Vector3(0, 0, 1).applyQuaternion(object.quaternion);
+      this.dragPlane.setFromNormalAndCoplanarPoint(wallNormal, object.position);
+    } else if (this.selectedObjects.length === 1 && getMountType(object.userData.furnitureData) === 'ceiling' && this.room) {
+      // Ceiling-mounted items are dragged across the ceiling
+      const ceilingY = (this.level ? this.level.elevation : 0) + this.room.getConfig().height;
+      this.dragPlane.set(new THREE.Vector3(0, 1, 0), -ceilingY);
+    }
+    
+    // Calculate offset from object center to click point, taken on the drag
+    // plane (floor or ceiling) the moves are read from, so nothing jumps
+    const planePoint = object.userData.opening
+      ? null
+      : this.raycaster.ray.intersectPlane(this.dragPlane, new THREE.Vector3());
+    this.dragOffset.copy(planePoint || intersectPoint).sub(object.position);
     this.dragOffset.y = 0; // Keep on floor plane
     
     // Disable OrbitControls during drag to prevent camera movement
@@ -259,58 +808,139 @@ export class SelectionSystem {
    */
   _endDrag() {
     this.isDragging = false;
+    this.guides.clear();
     this.domElement.style.cursor = 'auto';
+    this._resetDragPlane(); // Back to floor plane
     
     // Re-enable OrbitControls after drag
     if (this.controlsManager) {
       this.controlsManager.setEnabled(true);
     }
     
-    if (this.selectedObject) {
+    if (this.selectedObjects.length > 1) {
+      this._settleGroup();
+      this._getMovers().forEach(obj => this._notifyTransformed(obj));
+      console.log(`📍 Moved ${this.selectedObjects.length} objects`);
+    } else if (this.selectedObject) {
+      this._notifyTransformed(this.selectedObject);
       console.log('📍 Moved to:', 
         this.selectedObject.position.x.toFixed(2), 
         this.selectedObject.position.z.toFixed(2)
       );
     }
+    this.dragObject = null;
+    History.end();
+  }
+
+  /**
+   * Re-assign the room of the object (and of what stands on it) and tell
+   * listeners it moved
+   */
+  _notifyTransformed(object) {
+    if (this.room) {
+      this.room.assignZone(object);
+      getStacked(object, AppState.get('placedObjects') || []).forEach(obj => this.room.assignZone(obj));
+    }
+    AppState.set('transformedObject', object);
   }
 
   /**
-   * Constrain position to room bounds
+   * Constrain position to the room's floor plan.
+   * The object's footprint slides along walls instead of crossing them,
+   * so it cannot be dragged into a missing corner of an L/T-shaped room.
    */
-  _constrainToRoom(position) {
-    const margin = 0.3; // Small margin from walls
-    const halfWidth = (ROOM_CONFIG.width / 2) - margin;
-    const halfDepth = (ROOM_CONFIG.depth / 2) - margin;
+  _constrainToRoom(position, object = this.selectedObject) {
+    if (!this.room) return position.clone();
+    
+    const margin = ROOM_MARGIN; // Small margin from walls
     
     // Get object bounding box for size-aware constraints
     let objectHalfWidth = 0;
     let objectHalfDepth = 0;
+    const centerOffset = new THREE.Vector3();
     
-    if (this.selectedObject) {
-      const box = new THREE.Box3().setFromObject(this.selectedObject);
+    if (object) {
+      const box = new THREE.Box3().setFromObject(object);
       const size = box.getSize(new THREE.Vector3());
       objectHalfWidth = size.x / 2;
       objectHalfDepth = size.z / 2;
+      // Model pivot is not always at the footprint centre
+      box.getCenter(centerOffset).sub(object.position);
     }
     
-    return new THREE.Vector3(
-      Math.max(-halfWidth + objectHalfWidth, Math.min(halfWidth - objectHalfWidth, position.x)),
-      position.y,
-      Math.max(-halfDepth + objectHalfDepth, Math.min(halfDepth - objectHalfDepth, position.z))
+    const from = object
+      ? { x: object.position.x + centerOffset.x, z: object.position.z + centerOffset.z }
+      : null;
+    const target = { x: position.x + centerOffset.x, z: position.z + centerOffset.z };
+    
+    const { x, z } = this.room.constrainFootprint(
+      target, from, objectHalfWidth, objectHalfDepth, margin
     );
+    
+    return new THREE.Vector3(x - centerOffset.x, position.y, z - centerOffset.z);
   }
 
   /**
-   * Create visual highlight for selected object
+   * Move every placed object back inside the (possibly resized) room
    */
-  _createHighlight(object) {
+  _reclampAll() {
+    if (!this.room) return;
+    
+    const placedObjects = AppState.get('placedObjects') || [];
+    placedObjects.forEach((obj) => {
+      // Doors/windows are kept on their wall by the Room; other levels have
+      // their own room; stacked items move with their support
+      if (obj.userData.opening || !this.room.isOnLevel(obj) || isStacked(obj)) return;
+      
+      const from = getPose(obj);
+      
+      // Furniture standing against a wall stays against it
+      if (!snapToWall(obj, this.room, obj.position.x, obj.position.z)) {
+        const constrainedPos = this._constrainToRoom(obj.position, obj);
+        obj.position.x = constrainedPos.x;
+        obj.position.z = constrainedPos.z;
+        // Keep ceiling-mounted items at the (possibly new) ceiling height
+        if (getMountType(obj.userData.furnitureData) === 'ceiling') hangFromCeiling(obj, this.room);
+      }
+      
+      this.room.assignZone(obj);
+      carryStacked(obj, from, placedObjects).forEach(stacked => this.room.assignZone(stacked));
+    });
+    
+    // Room names may have changed
+    AppState.set('transformedObject', null);
+    
+    this._updateHighlight();
+  }
+
+  /**
+   * Create visual highlight around the selected object(s)
+   */
+  _createHighlight() {
     // Remove existing helper
     this._removeHighlight();
     
-    // Create box helper
-    this.highlightHelper = new THREE.BoxHelper(object, this.highlightColor);
+    // One box around the whole selection
+    this.highlightHelper = new THREE.Box3Helper(this.highlightBox, this.highlightColor);
     this.highlightHelper.name = 'SelectionHelper';
     this.scene.add(this.highlightHelper);
+    this._updateHighlight();
+  }
+
+  /**
+   * Fit the highlight to the selection again; red while anything in it
+   * overlaps other furniture
+   */
+  _updateHighlight() {
+    if (!this.highlightHelper || this.selectedObjects.length === 0) return;
+    
+    this.highlightBox.makeEmpty();
+    this.selectedObjects.forEach(obj => this.highlightBox.expandByObject(obj));
+    const colliding = this.selectedObjects.some(obj =>
+      !obj.userData.opening && this._getCollisions(obj).length > 0
+    );
+    this.highlightHelper.material.color.copy(colliding ? this.collisionColor : this.highlightColor);
+    this.dimensions.show(this.selectedObjects);
   }
 
   /**
@@ -322,6 +952,7 @@ export class SelectionSystem {
       this.highlightHelper.dispose();
       this.highlightHelper = null;
     }
+    this.dimensions.clear();
   }
 
   /**
@@ -359,10 +990,10 @@ export class SelectionSystem {
             child.material.emissive.copy(original.emissive);
             child.material.emissiveIntensity = original.emissiveIntensity || 0;
           }
+          this.originalMaterials.delete(child.uuid);
         }
       }
     });
-    this.originalMaterials.clear();
   }
 
   /**
@@ -371,8 +1002,8 @@ export class SelectionSystem {
   _raycastFurniture() {
     this.raycaster.setFromCamera(this.mouse, this.camera);
     
-    // Get furniture container
-    const container = this.scene.getObjectByName('FurnitureContainer');
+    // Get furniture container of the active level
+    const container = this.level?.container;
     if (!container || container.children.length === 0) return null;
     
     // Collect all meshes from furniture
@@ -394,7 +1025,7 @@ export class SelectionSystem {
    */
   _getFurnitureRoot(object) {
     let current = object;
-    const container = this.scene.getObjectByName('FurnitureContainer');
+    const container = this.level?.container;
     
     while (current && current.parent !== container) {
       current = current.parent;
@@ -424,34 +1055,27 @@ export class SelectionSystem {
   }
 
   /**
-   * Delete the selected object
+   * Delete the selected object(s)
    */
   _deleteSelected() {
-    if (!this.selectedObject) return;
+    if (this.selectedObjects.length === 0) return;
     
-    const objectToDelete = this.selectedObject;
+    const objectsToDelete = [...this.selectedObjects];
     this.deselect();
     
     // Get placement system to remove the object
-    const container = this.scene.getObjectByName('FurnitureContainer');
+    const container = this.level?.container;
     if (container) {
-      container.remove(objectToDelete);
-      
-      // Dispose resources
-      objectToDelete.traverse((child) => {
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(m => m.dispose());
-          } else {
-            child.material.dispose();
-          }
-        }
+      History.record(`Delete ${describeObjects(objectsToDelete)}`, () => {
+        objectsToDelete.forEach((objectToDelete) => {
+          // Kept for undo; History disposes it
+          container.remove(objectToDelete);
+          
+          // Update state
+          AppState.removePlacedObject(objectToDelete);
+          console.log('🗑️ Deleted:', objectToDelete.name);
+        });
       });
-      
-      // Update state
-      AppState.removePlacedObject(objectToDelete);
-      console.log('🗑️ Deleted:', objectToDelete.name);
     }
   }
 
@@ -462,16 +1086,25 @@ export class SelectionSystem {
     return this.selectedObject;
   }
 
+  /**
+   * Get every selected object
+   */
+  getSelection() {
+    return [...this.selectedObjects];
+  }
+
   /**
    * Dispose of the system
    */
   dispose() {
     this.domElement.removeEventListener('mousedown', this._onMouseDown);
     this.domElement.removeEventListener('mousemove', this._onMouseMove);
-    this.domElement.removeEventListener('mouseup', this._onMouseUp);
+    window.removeEventListener('mouseup', this._onMouseUp);
     window.removeEventListener('keydown', this._onKeyDown);
     
     this._removeHighlight();
     this.originalMaterials.clear();
+    this.guides.dispose();
+    this.dimensions.dispose();
   }
 }
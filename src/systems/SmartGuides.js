@@ -0,0 +1,179 @@
+/**
+ * SmartGuides - Alignment guides while dragging furniture
+ * The footprint edges and centre lines of what is being dragged are pulled
+ * onto those of the other furniture on the level, and its edges onto walls
+ * that run along X or Z (or `wallMargin` in front of them, where dragging
+ * keeps furniture off the walls), when they come within GUIDE_SNAP_DISTANCE. Lines
+ * are drawn along every guide the dragged furniture sits on. Alt (like for
+ * grid snapping) moves freely and hides them.
+ */
+
+import * as THREE from 'three';
+import { AppState } from '../state/AppState.js';
+import { getFootprintExtent } from './Collision.js';
+import { getStacked } from './Stacking.js';
+
+const GUIDE_SNAP_DISTANCE = 0.1; // m from a guide that pulls onto it
+const GUIDE_EPSILON = 0.001;     // m counted as sitting on a guide
+const GUIDE_OVERHANG = 0.3;      // m the lines reach past the objects they join
+const GUIDE_HEIGHT = 0.02;       // Above the floor, clear of the grid
+const AXES = { x: [1, 0], z: [0, 1] };
+
+export class SmartGuides {
+  constructor(scene) {
+    this.scene = scene;
+    this.lines = new THREE.LineSegments(
+      new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ color: 0xff00cc, depthTest: false, transparent: true })
+    );
+    this.lines.name = 'SmartGuides';
+    this.lines.renderOrder = 999; // Over the furniture
+    this.lines.visible = false;
+    this.scene.add(this.lines);
+  }
+
+  /**
+   * Offset ({x, z}) changed so the dragged objects, moved by it, line up
+   * with the nearest guide on each axis within reach
+   */
+  snapOffset(objects, offset, event = null, wallMargin = 0) {
+    if (event?.altKey) return { ...offset };
+
+    const result = { ...offset };
+    const guides = this._getGuides(objects, wallMargin);
+    Object.keys(AXES).forEach((axis) => {
+      const features = this._getFeatures(objects, axis).map(f => ({ ...f, at: f.at + offset[axis] }));
+      let best = null;
+      guides[axis].forEach((guide) => {
+        features.forEach((feature) => {
+          if (guide.wall && feature.kind === 'center') return;
+          const distance = guide.at - feature.at;
+          if (Math.abs(distance) <= GUIDE_SNAP_DISTANCE && (best === null || Math.abs(distance) < Math.abs(best))) {
+            best = distance;
+          }
+        });
+      });
+      if (best !== null) result[axis] += best;
+    });
+    return result;
+  }
+
+  /**
+   * Draw the guides the dragged objects sit on now
+   */
+  show(objects, event = null, wallMargin = 0) {
+    if (event?.altKey) {
+      this.clear();
+      return;
+    }
+
+    const elevation = (AppState.get('activeLevel')?.elevation || 0) + GUIDE_HEIGHT;
+    const guides = this._getGuides(objects, wallMargin);
+    const points = [];
+    Object.keys(AXES).forEach((axis) => {
+      const across = axis === 'x' ? 'z' : 'x';
+      const span = this._getSpan(objects, across);
+      const features = this._getFeatures(objects, axis);
+
+      guides[axis].forEach((guide) => {
+        const hit = features.some(f => Math.abs(f.at - guide.at) < GUIDE_EPSILON && !(guide.wall && f.kind === 'center'));
+        if (!hit) return;
+
+        // From the dragged objects to what they line up with
+        const from = Math.min(span.min, guide.min) - GUIDE_OVERHANG;
+        const to = Math.max(span.max, guide.max) + GUIDE_OVERHANG;
+        const point = (along) => (axis === 'x'
+          ? new THREE.Vector3(guide.at, elevation, along)
+          : new THREE.Vector3(along, elevation, guide.at));
+        points.push(point(from), point(to));
+      });
+    });
+
+    this.lines.geometry.setFromPoints(points);
+    this.lines.visible = points.length > 0;
+  }
+
+  clear() {
+    this.lines.visible = false;
+  }
+
+  dispose() {
+    this.scene.remove(this.lines);
+    this.lines.geometry.dispose();
+    this.lines.material.dispose();
+  }
+
+  /**
+   * Edges and centre line of the dragged objects along an axis
+   */
+  _getFeatures(objects, axis) {
+    const { min, max } = this._getSpan(objects, axis);
+    return [
+      { kind: 'edge', at: min },
+      { kind: 'center', at: (min + max) / 2 },
+      { kind: 'edge', at: max }
+    ];
+  }
+
+  /**
+   * Extent of the objects' footprints along an axis
+   */
+  _getSpan(objects, axis) {
+    const extents = objects.map(obj => getFootprintExtent(obj, AXES[axis]));
+    return {
+      min: Math.min(...extents.map(e => e.min)),
+      max: Math.max(...extents.map(e => e.max))
+    };
+  }
+
+  /**
+   * Lines to line up with, per axis: `at` is the coordinate on that axis,
+   * `min`/`max` how far the line reaches across it
+   */
+  _getGuides(objects, wallMargin) {
+    const level = AppState.get('activeLevel');
+    const guides = { x: [], z: [] };
+    if (!level) return guides;
+
+    // Furniture of the level, apart from what is dragged and what it carries
+    const placedObjects = AppState.get('placedObjects') || [];
+    const moving = new Set(objects.flatMap(obj => [obj, ...getStacked(obj, placedObjects)]));
+    placedObjects
+      .filter(obj => !moving.has(obj) && !obj.userData.opening && level.room.isOnLevel(obj))
+      .forEach((obj) => {
+        const spans = { x: getFootprintExtent(obj, AXES.x), z: getFootprintExtent(obj, AXES.z) };
+        Object.keys(AXES).forEach((axis) => {
+          const { min, max } = spans[axis];
+          const across = spans[axis === 'x' ? 'z' : 'x'];
+          [min, (min + max) / 2, max].forEach((at) => {
+            guides[axis].push({ at, min: across.min, max: across.max, wall: false });
+          });
+        });
+      });
+
+    // Walls running along Z give X guides and the other way round, moved
+    // into the room by the margin (on both sides of walls between rooms)
+    const { room } = level;
+    const sides = (x, z, dx, dz) => [1, -1].filter(side =>
+      room.containsPoint(x + side * dx * GUIDE_SNAP_DISTANCE, z + side * dz * GUIDE_SNAP_DISTANCE)
+    );
+    room.getRooms().forEach(({ outline }) => {
+      outline.forEach(([x1, z1], i) => {
+        const [x2, z2] = outline[(i + 1) % outline.length];
+        if (Math.abs(x1 - x2) < GUIDE_EPSILON) {
+          sides(x1, (z1 + z2) / 2, 1, 0).forEach((side) => {
+            guides.x.push({ at: x1 + side * wallMargin, min: Math.min(z1, z2), max: Math.max(z1, z2), wall: true });
+          });
+        } else if (Math.abs(z1 - z2) < GUIDE_EPSILON) {
+          sides((x1 + x2) / 2, z1, 0, 1).forEach((side) => {
+            guides.z.push({ at: z1 + side * wallMargin, min: Math.min(x1, x2), max: Math.max(x1, x2), wall: true });
+          });
+        }
+      });
+    });
+
+    return guides;
+  }
+}
+
+export default SmartGuides;
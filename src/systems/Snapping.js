@@ -0,0 +1,148 @@
+/**
+ * Snapping - Grid, angle and wall snapping for placing, dragging and rotating
+ * Settings live on AppState as `snap` ({ enabled, gridSize, angleStep });
+ * holding Alt during a mouse or key event turns snapping off for that event.
+ * Wall-mounted furniture (`mount: 'wall'` in params.json) is pulled flush
+ * against a nearby wall, facing into the room.
+ */
+
+import * as THREE from 'three';
+import { AppState } from '../state/AppState.js';
+import { getMountType, getFacingAngle } from '../core/Mounts.js';
+
+// Grid sizes (m) and angle steps (degrees) offered in the toolbar
+export const SNAP_GRID_SIZES = {
+  0.05: '5 cm',
+  0.1: '10 cm',
+  0.25: '25 cm'
+};
+
+export const SNAP_ANGLES = {
+  15: '15°',
+  45: '45°',
+  90: '90°'
+};
+
+const FREE_ROTATION_STEP = 5; // Degrees per R press while snapping is off
+const WALL_SNAP_DISTANCE = 0.4; // m between an object's back and a wall that pulls it flush
+const WALL_GAP = 0.01;          // Keeps the back from z-fighting with the wall
+
+/**
+ * Whether snapping applies to an input event (Alt held = temporarily off)
+ */
+export function isSnapActive(event = null) {
+  return Boolean(AppState.get('snap')?.enabled) && !event?.altKey;
+}
+
+/**
+ * Round a floor position (anything with x and z) to the snap grid, in place
+ */
+export function snapPosition(position, event = null) {
+  if (!isSnapActive(event)) return position;
+
+  const { gridSize } = AppState.get('snap');
+  position.x = Math.round(position.x / gridSize) * gridSize;
+  position.z = Math.round(position.z / gridSize) * gridSize;
+  return position;
+}
+
+/**
+ * Round a rotation (radians) to the snap angle
+ */
+export function snapAngle(angle, event = null) {
+  if (!isSnapActive(event)) return angle;
+
+  const step = AppState.get('snap').angleStep * Math.PI / 180;
+  return Math.round(angle / step) * step;
+}
+
+/**
+ * Rotation after one R press (or wheel step): the next multiple of the snap
+ * angle in `direction` (1 or -1), or a small free step while snapping is off
+ */
+export function nextRotation(angle, event = null, direction = 1) {
+  if (!isSnapActive(event)) return angle + direction * FREE_ROTATION_STEP * Math.PI / 180;
+
+  const step = AppState.get('snap').angleStep * Math.PI / 180;
+  return direction > 0
+    ? (Math.floor(angle / step + 1e-6) + 1) * step
+    : (Math.ceil(angle / step - 1e-6) - 1) * step;
+}
+
+/**
+ * Stand a wall-mounted object with its back flush against the wall nearest
+ * to (x, z) and its front (the model axis named by its catalog `facing`,
+ * +Z by default) facing into the room; it slides along the wall but never
+ * past the wall's ends.
+ * @returns {boolean} false (object untouched) when it is not wall-mounted,
+ *   no wall is close enough or Alt is held
+ */
+export function snapToWall(object, room, x, z, event = null) {
+  const furnitureData = object.userData?.furnitureData;
+  if (event?.altKey || getMountType(furnitureData) !== 'wall' || !room) return false;
+
+  // Front and right of the model, in its own axes
+  const facing = getFacingAngle(furnitureData);
+  const front = [Math.sin(facing), Math.cos(facing)];
+  const right = [front[1], -front[0]];
+
+  const footprint = localFootprint(object);
+  const back = Math.max(0, -getLocalExtent(footprint, front).min); // Pivot to back face
+  const wall = room.getWallFacing(x, z, back + WALL_SNAP_DISTANCE);
+  if (!wall) return false;
+
+  const { start, dir, inward, from, to } = wall;
+  const rotation = Math.atan2(inward[0], inward[1]) - facing;
+
+  // Model's right along the wall (+1 or -1), to keep the width between the wall's ends
+  const side = Math.sign(inward[1] * dir[0] - inward[0] * dir[1]) || 1;
+  const width = getLocalExtent(footprint, right);
+  const low = Math.min(side * width.min, side * width.max);
+  const high = Math.max(side * width.min, side * width.max);
+  const along = (x - start[0]) * dir[0] + (z - start[1]) * dir[1];
+  const offset = from - low <= to - high
+    ? Math.max(from - low, Math.min(to - high, along))
+    : (from + to - low - high) / 2;
+
+  const distance = back + WALL_GAP;
+  const px = start[0] + dir[0] * offset + inward[0] * distance;
+  const pz = start[1] + dir[1] * offset + inward[1] * distance;
+  if (!room.containsPoint(px, pz)) return false;
+
+  object.position.x = px;
+  object.position.z = pz;
+  object.rotation.y = rotation;
+  return true;
+}
+
+/**
+ * Extents of an object around its pivot, in its own (unrotated) axes
+ */
+export function localFootprint(object) {
+  const rotation = object.rotation.y;
+  object.rotation.y = 0;
+  object.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(object);
+  object.rotation.y = rotation;
+  object.updateMatrixWorld(true);
+
+  const origin = object.getWorldPosition(new THREE.Vector3());
+  return {
+    minX: box.min.x - origin.x,
+    maxX: box.max.x - origin.x,
+    minZ: box.min.z - origin.z,
+    maxZ: box.max.z - origin.z
+  };
+}
+
+/**
+ * Extent of a local footprint along a direction in the object's own axes
+ */
+function getLocalExtent({ minX, maxX, minZ, maxZ }, [dx, dz]) {
+  const xs = [dx * minX, dx * maxX];
+  const zs = [dz * minZ, dz * maxZ];
+  return {
+    min: Math.min(...xs) + Math.min(...zs),
+    max: Math.max(...xs) + Math.max(...zs)
+  };
+}
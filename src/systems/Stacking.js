@@ -0,0 +1,196 @@
+/**
+ * Stacking - Small items standing on top of other furniture
+ * Catalog items flagged `stackable` in params.json can be put on the top
+ * surface of items flagged `surface` (tables, cabinets, TV stands).
+ * A stacked object remembers its support in `userData.supportId`, rides
+ * along when the support moves and drops to the floor when it is removed.
+ * Heights are in level coordinates (0 = floor of the object's level).
+ */
+
+import * as THREE from 'three';
+
+const MIN_SURFACE_NORMAL = 0.7; // Faces steeper than this are sides, not tops
+
+export function isStackable(furnitureData) {
+  return Boolean(furnitureData?.stackable);
+}
+
+export function isSurface(furnitureData) {
+  return Boolean(furnitureData?.surface);
+}
+
+/**
+ * Whether an object stands on another one
+ */
+export function isStacked(object) {
+  return object.userData.supportId != null;
+}
+
+/**
+ * Objects standing on a support, directly or on top of each other
+ */
+export function getStacked(support, objects) {
+  if (support.userData.id == null) return [];
+
+  const stacked = [];
+  const ids = new Set([support.userData.id]);
+  let found = true;
+
+  while (found) {
+    found = false;
+    objects.forEach((obj) => {
+      if (obj === support || stacked.includes(obj) || !ids.has(obj.userData.supportId)) return;
+      stacked.push(obj);
+      ids.add(obj.userData.id);
+      found = true;
+    });
+  }
+
+  return stacked;
+}
+
+/**
+ * Surfaces of a room's level that `moving` (if any) could be put on:
+ * never itself or anything standing on it
+ */
+export function getSurfaces(objects, room, moving = null) {
+  const exclude = moving ? [moving, ...getStacked(moving, objects)] : [];
+  return objects.filter(obj =>
+    isSurface(obj.userData.furnitureData) &&
+    room.isOnLevel(obj) &&
+    !exclude.includes(obj)
+  );
+}
+
+/**
+ * Top surface of a support under a ray
+ * @returns {{support: THREE.Object3D, point: THREE.Vector3}|null} the point
+ *   hit, in level coordinates; null when the ray misses or hits a side
+ */
+export function findSurface(raycaster, supports, elevation = 0) {
+  const meshes = [];
+  supports.forEach(support => support.traverse((child) => {
+    if (child.isMesh) meshes.push(child);
+  }));
+
+  const hit = raycaster.intersectObjects(meshes, false)[0];
+  if (!hit || !hit.face) return null;
+
+  const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+  if (normal.y < MIN_SURFACE_NORMAL) return null;
+
+  let support = hit.object;
+  while (support && !supports.includes(support)) support = support.parent;
+  if (!support) return null;
+
+  const point = hit.point.clone();
+  point.y -= elevation;
+  return { support, point };
+}
+
+/**
+ * Whether the centre of an object's footprint is over a support
+ */
+export function fitsOn(object, support) {
+  const box = new THREE.Box3().setFromObject(object);
+  const center = box.getCenter(new THREE.Vector3());
+  const top = new THREE.Box3().setFromObject(support);
+  return center.x >= top.min.x && center.x <= top.max.x &&
+         center.z >= top.min.z && center.z <= top.max.z;
+}
+
+/**
+ * Raise or lower an object so its bottom is at `height` above the floor
+ * of its parent (the level container)
+ */
+export function restOn(object, height) {
+  object.updateMatrixWorld(true);
+  const box = new THREE.Box3().setFromObject(object);
+  const base = object.parent ? object.parent.getWorldPosition(new THREE.Vector3()).y : 0;
+  object.position.y += height - (box.min.y - base);
+}
+
+/**
+ * Where an object is, to move what stands on it afterwards (see carryStacked)
+ */
+export function getPose(object) {
+  const { x, y, z } = object.position;
+  return { x, y, z, rotation: object.rotation.y };
+}
+
+/**
+ * Move everything standing on a support along with it, as if glued on,
+ * after the support moved from `from` (see getPose)
+ * @returns {THREE.Object3D[]} the objects moved
+ */
+export function carryStacked(support, from, objects) {
+  const angle = support.rotation.y - from.rotation;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  const stacked = getStacked(support, objects);
+  stacked.forEach((obj) => {
+    const dx = obj.position.x - from.x;
+    const dz = obj.position.z - from.z;
+    obj.position.x = support.position.x + dx * cos + dz * sin;
+    obj.position.z = support.position.z - dx * sin + dz * cos;
+    obj.position.y += support.position.y - from.y;
+    obj.rotation.y += angle;
+  });
+
+  return stacked;
+}
+
+/**
+ * Put what stands directly on a support back on its top after the support
+ * changed size (with whatever stands on them); objects no longer over it
+ * drop to the floor
+ * @returns {THREE.Object3D[]} the objects moved
+ */
+export function settleStacked(support, objects) {
+  support.updateMatrixWorld(true);
+  const base = support.parent ? support.parent.getWorldPosition(new THREE.Vector3()).y : 0;
+  const top = new THREE.Box3().setFromObject(support).max.y - base;
+
+  const moved = [];
+  objects.filter(obj => obj !== support && obj.userData.supportId === support.userData.id).forEach((obj) => {
+    const from = getPose(obj);
+    if (fitsOn(obj, support)) {
+      restOn(obj, top);
+    } else {
+      delete obj.userData.supportId;
+      restOn(obj, 0);
+    }
+    moved.push(obj, ...carryStacked(obj, from, objects));
+  });
+
+  return moved;
+}
+
+/**
+ * Drop objects whose support is gone back to the floor
+ * (with whatever stands on them)
+ * @returns {THREE.Object3D[]} the objects dropped
+ */
+export function releaseOrphans(objects) {
+  const ids = new Set(objects.map(obj => obj.userData.id));
+  const orphans = objects.filter(obj => isStacked(obj) && !ids.has(obj.userData.supportId));
+
+  orphans.forEach((obj) => {
+    const from = getPose(obj);
+    delete obj.userData.supportId;
+    restOn(obj, 0);
+    carryStacked(obj, from, objects);
+  });
+
+  return orphans;
+}
+
+/**
+ * Objects ordered so that every support comes before what stands on it
+ */
+export function sortBySupport(objects) {
+  const ids = new Set(objects.map(obj => obj.userData.id));
+  const grounded = objects.filter(obj => !ids.has(obj.userData.supportId));
+  return grounded.flatMap(obj => [obj, ...getStacked(obj, objects)]);
+}
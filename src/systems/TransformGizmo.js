@@ -0,0 +1,375 @@
+/**
+ * TransformGizmo - On-object handles for the selected piece of furniture
+ * `transformMode` on AppState picks the handles:
+ * - 'translate': arrows and a plane to move it across the floor
+ * - 'rotate': a ring to turn it to any angle about Y
+ * - 'scale': the centre cube scales it evenly, the axis handles stretch its
+ *   width, height or depth, between SCALE_LIMITS times its catalog size
+ *   (custom items within the limits of their kind, rebuilt at the new size)
+ * Every change keeps to the room and the collision mode like dragging does,
+ * and whatever stands on the object comes along. Grid and angle snapping
+ * apply unless Alt is held. OrbitControls are off while a handle is held
+ * (`transforming` on AppState). Shown for a single selection, not for
+ * doors and windows. Each use of a handle is one step of the undo history.
+ */
+
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { AppState } from '../state/AppState.js';
+import { History, describeObjects } from '../state/History.js';
+import { isSnapActive, snapToWall, localFootprint } from './Snapping.js';
+import { getMountType, hangFromCeiling } from '../core/Mounts.js';
+import { getPose, carryStacked, fitsOn, restOn, settleStacked, getStacked } from './Stacking.js';
+import { getCollisionMode, getObstacles, findCollisions, resolveGroupMove } from './Collision.js';
+import { getDimensions } from '../loaders/FurnitureLoader.js';
+import { FURNITURE_KINDS, clampFurnitureSize, updateFurnitureModel } from '../core/ProceduralFurniture.js';
+
+export const TRANSFORM_MODES = {
+  translate: 'Move',
+  rotate: 'Rotate',
+  scale: 'Scale'
+};
+
+export const SCALE_LIMITS = { min: 0.5, max: 2 }; // Times the catalog size
+
+const WALL_TOLERANCE = 0.02; // m furniture flush against a wall may seem to cut into it
+const SIZE_KEYS = ['width', 'height', 'depth']; // Model X, Y, Z
+
+export class TransformGizmo {
+  constructor(scene, camera, domElement, controlsManager = null) {
+    this.scene = scene;
+    this.domElement = domElement;
+    this.controlsManager = controlsManager; // OrbitControls are off while a handle is held
+    this.room = null;
+    this.object = null;
+
+    // Object as it was when the handle was grabbed, and after the last accepted change
+    this.start = null;
+    this.last = null;
+
+    this.controls = new TransformControls(camera, domElement);
+    this.controls.setSize(0.8);
+    this.scene.add(this.controls);
+
+    this._onPointerMove = this._onPointerMove.bind(this);
+
+    this._init();
+  }
+
+  _init() {
+    // Snapping follows Alt, checked before every handle move
+    this.domElement.addEventListener('pointermove', this._onPointerMove);
+
+    this.controls.addEventListener('dragging-changed', (event) => {
+      if (this.controlsManager) this.controlsManager.setEnabled(!event.value);
+      AppState.set('transforming', event.value);
+    });
+    this.controls.addEventListener('mouseDown', () => this._begin());
+    this.controls.addEventListener('objectChange', () => this._onObjectChange());
+    this.controls.addEventListener('mouseUp', () => this._end());
+
+    AppState.subscribe('selectedObjects', () => this._attach());
+    AppState.subscribe('transformMode', () => this._attach());
+
+    this._useLevel(AppState.get('activeLevel'));
+    AppState.subscribe('activeLevel', (level) => this._useLevel(level));
+
+    console.log('✅ TransformGizmo initialized');
+  }
+
+  _useLevel(level) {
+    if (level) this.room = level.room;
+  }
+
+  /**
+   * Whether the gizmo is shown (a single piece of furniture is selected)
+   */
+  isAttached() {
+    return this.object !== null;
+  }
+
+  /**
+   * Show the handles of the current mode on the selected object, or hide them
+   */
+  _attach() {
+    const selection = AppState.get('selectedObjects') || [];
+    const object = selection.length === 1 && !selection[0].userData.opening ? selection[0] : null;
+    const mode = AppState.get('transformMode');
+
+    this.object = object;
+    if (!object) {
+      this.controls.detach();
+      return;
+    }
+
+    this.controls.setMode(mode);
+    // Along the floor, and only about the vertical axis
+    this.controls.showX = mode !== 'rotate';
+    this.controls.showZ = mode !== 'rotate';
+    // Staircases keep the rise of their level
+    this.controls.showY = mode === 'rotate' || (mode === 'scale' && !object.userData.stairs);
+    this.controls.attach(object);
+  }
+
+  /**
+   * Grid and angle snapping, unless Alt is held
+   */
+  _onPointerMove(event) {
+    const snap = AppState.get('snap');
+    const active = isSnapActive(event);
+    this.controls.setTranslationSnap(active ? snap.gridSize : null);
+    this.controls.setRotationSnap(active ? THREE.MathUtils.degToRad(snap.angleStep) : null);
+  }
+
+  /**
+   * A handle was grabbed: remember where the object started
+   */
+  _begin() {
+    const object = this.object;
+    if (!object) return;
+
+    this.start = {
+      scale: object.scale.clone(),
+      ...this._getSizeRange(object),
+      wasClear: this._getCollisions(object).length === 0
+    };
+    this.last = this._getState(object);
+    History.begin(`${TRANSFORM_MODES[this.controls.mode]} ${describeObjects([object])}`); // Ended by _end
+  }
+
+  /**
+   * The handle moved: apply the change the way the room allows, or go back
+   * to the last accepted state
+   */
+  _onObjectChange() {
+    const object = this.object;
+    if (!object || !this.start || !this.room) return;
+
+    const target = object.position.clone();
+    const angle = 2 * Math.atan2(object.quaternion.y, object.quaternion.w);
+    const ratio = object.scale.clone().divide(this.start.scale);
+    this._restore(object, this.last);
+
+    const placedObjects = AppState.get('placedObjects') || [];
+    const from = getPose(object);
+
+    let changed = false;
+    switch (this.controls.mode) {
+      case 'translate':
+        changed = this._translate(object, target, placedObjects);
+        break;
+      case 'rotate':
+        object.rotation.set(0, angle, 0);
+        changed = this._isValid(object, placedObjects);
+        break;
+      case 'scale':
+        changed = this._scale(object, ratio, placedObjects);
+        break;
+    }
+
+    if (!changed) {
+      this._restore(object, this.last);
+      return;
+    }
+
+    carryStacked(object, from, placedObjects);
+    if (this.controls.mode === 'scale') settleStacked(object, placedObjects);
+    this.last = this._getState(object);
+    AppState.set('transformedObject', object);
+  }
+
+  /**
+   * The handle was let go
+   */
+  _end() {
+    const object = this.object;
+    if (!this.start) return;
+
+    this.start = null;
+    this.last = null;
+
+    // Selection may have changed while the handle was held
+    if (object) {
+      if (this.room) {
+        this.room.assignZone(object);
+        getStacked(object, AppState.get('placedObjects') || []).forEach(obj => this.room.assignZone(obj));
+      }
+      AppState.set('transformedObject', object);
+      console.log(`🎛️ ${TRANSFORM_MODES[this.controls.mode]}:`, object.name);
+    }
+    History.end();
+  }
+
+  /**
+   * Move towards `target`: wall units slide along their wall, items on
+   * furniture stay on it while it is under them and otherwise step down to
+   * the floor, and furniture on the floor is stopped by (or slides along)
+   * other furniture and the walls
+   */
+  _translate(object, target, placedObjects) {
+    if (snapToWall(object, this.room, target.x, target.z)) {
+      return this._isValid(object, placedObjects);
+    }
+
+    const support = this._getSupport(object, placedObjects);
+    if (support) {
+      const { x, z } = object.position;
+      object.position.x = target.x;
+      object.position.z = target.z;
+      if (fitsOn(object, support)) return this._isValid(object, placedObjects);
+
+      object.position.x = x;
+      object.position.z = z;
+      delete object.userData.supportId;
+      restOn(object, 0);
+    }
+
+    const delta = { x: target.x - object.position.x, z: target.z - object.position.z };
+    const { x, z } = resolveGroupMove([object], delta, getObstacles(object, placedObjects, this.room), (obj, px, pz) => {
+      const { size, offset } = this._measure(obj);
+      return this.room.containsFootprint(px + offset.x, pz + offset.z, size.x / 2, size.z / 2, -WALL_TOLERANCE);
+    });
+    object.position.x += x;
+    object.position.z += z;
+    return true;
+  }
+
+  /**
+   * Scale by `ratio` of the size at the start, each axis kept within its
+   * range; custom items are rebuilt at the new size instead of stretched.
+   * The object then stands on its support (or the floor), hangs from the
+   * ceiling or stays flush against its wall
+   */
+  _scale(object, ratio, placedObjects) {
+    const { scale, size, min, max } = this.start;
+    const next = size.clone().multiply(ratio).clamp(min, max);
+
+    const params = object.userData.procedural;
+    if (params) {
+      next.toArray().forEach((value, i) => { params[SIZE_KEYS[i]] = value; });
+      clampFurnitureSize(params);
+      updateFurnitureModel(object, params);
+    } else {
+      object.scale.copy(scale).multiply(next.divide(size));
+    }
+
+    const support = this._getSupport(object, placedObjects);
+    if (getMountType(object.userData.furnitureData) === 'ceiling') {
+      hangFromCeiling(object, this.room);
+    } else if (support) {
+      settleStacked(support, [object]);
+    } else {
+      restOn(object, 0);
+    }
+    snapToWall(object, this.room, object.position.x, object.position.z);
+
+    return this._isValid(object, placedObjects);
+  }
+
+  /**
+   * Size of the object (width, height, depth in meters) and the range it
+   * can be scaled within
+   */
+  _getSizeRange(object) {
+    const params = object.userData.procedural;
+    if (params) {
+      const { limits } = FURNITURE_KINDS[params.kind] || FURNITURE_KINDS.box;
+      return {
+        size: new THREE.Vector3(params.width, params.height, params.depth),
+        min: new THREE.Vector3(...SIZE_KEYS.map(key => limits[key][0])),
+        max: new THREE.Vector3(...SIZE_KEYS.map(key => limits[key][1]))
+      };
+    }
+
+    const { minX, maxX, minZ, maxZ } = localFootprint(object);
+    const height = new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3()).y;
+    const size = new THREE.Vector3(maxX - minX, height, maxZ - minZ);
+
+    // Items without a catalog size are measured against where they are now
+    const dimensions = getDimensions(object.userData.furnitureData);
+    const base = dimensions
+      ? new THREE.Vector3(dimensions.width, dimensions.height, dimensions.depth)
+      : size.clone();
+    return {
+      size,
+      min: base.clone().multiplyScalar(SCALE_LIMITS.min).min(size),
+      max: base.clone().multiplyScalar(SCALE_LIMITS.max).max(size)
+    };
+  }
+
+  /**
+   * Inside the room, still on its support and (when it started clear and
+   * overlaps are not just warned about) clear of other furniture
+   */
+  _isValid(object, placedObjects) {
+    const { size, offset } = this._measure(object);
+    const { x, z } = object.position;
+    if (!this.room.containsFootprint(x + offset.x, z + offset.z, size.x / 2, size.z / 2, -WALL_TOLERANCE)) return false;
+
+    const support = this._getSupport(object, placedObjects);
+    if (support && !fitsOn(object, support)) return false;
+
+    return !this.start.wasClear || getCollisionMode() === 'warn' || this._getCollisions(object).length === 0;
+  }
+
+  /**
+   * Size of the object's box and its centre relative to the pivot
+   */
+  _measure(object) {
+    object.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(object);
+    return {
+      size: box.getSize(new THREE.Vector3()),
+      offset: box.getCenter(new THREE.Vector3()).sub(object.getWorldPosition(new THREE.Vector3()))
+    };
+  }
+
+  _getSupport(object, placedObjects) {
+    const id = object.userData.supportId;
+    return id != null ? placedObjects.find(obj => obj.userData.id === id) || null : null;
+  }
+
+  _getCollisions(object) {
+    if (!this.room) return [];
+    return findCollisions(object, getObstacles(object, AppState.get('placedObjects') || [], this.room));
+  }
+
+  _getState(object) {
+    const params = object.userData.procedural;
+    return {
+      position: object.position.clone(),
+      rotation: object.rotation.y,
+      scale: object.scale.clone(),
+      supportId: object.userData.supportId,
+      procedural: params ? { ...params } : null
+    };
+  }
+
+  _restore(object, state) {
+    object.position.copy(state.position);
+    object.rotation.set(0, state.rotation, 0);
+    object.scale.copy(state.scale);
+
+    if (state.supportId != null) {
+      object.userData.supportId = state.supportId;
+    } else {
+      delete object.userData.supportId;
+    }
+
+    const params = object.userData.procedural;
+    if (params && state.procedural && SIZE_KEYS.some(key => params[key] !== state.procedural[key])) {
+      Object.assign(params, state.procedural);
+      updateFurnitureModel(object, params);
+    }
+    object.updateMatrixWorld(true);
+  }
+
+  dispose() {
+    this.domElement.removeEventListener('pointermove', this._onPointerMove);
+    this.controls.detach();
+    this.scene.remove(this.controls);
+    this.controls.dispose();
+  }
+}
+
+export default TransformGizmo;
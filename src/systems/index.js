@@ -4,3 +4,6 @@
 
 export { PlacementSystem } from './PlacementSystem.js';
 export { SelectionSystem } from './SelectionSystem.js';
+export { ArrayTool, ARRAY_PATTERNS } from './ArrayTool.js';
+export { TransformGizmo, TRANSFORM_MODES } from './TransformGizmo.js';
+export { SNAP_GRID_SIZES, SNAP_ANGLES, snapPosition, snapAngle } from './Snapping.js';
@@ -1,9 +1,15 @@
 /**
- * ActionButtons - Controls for delete, reset, save, load
+ * ActionButtons - Controls for delete, reset, wall mode, alignment, snapping, collisions, units, save, load
  * Step 5 & 7: App actions + persistence
  */
 
 import { AppState } from '../state/AppState.js';
+import { History, describeObjects } from '../state/History.js';
+import { WALL_MODES } from '../core/Room.js';
+import { SNAP_GRID_SIZES, SNAP_ANGLES } from '../systems/Snapping.js';
+import { COLLISION_MODES } from '../systems/Collision.js';
+import { ALIGN_COMMANDS, canAlign, alignObjects } from '../systems/Alignment.js';
+import { UNIT_SYSTEMS } from '../core/Units.js';
 
 export class ActionButtons {
   constructor(scene, storageManager = null) {
@@ -33,6 +39,51 @@ export class ActionButtons {
       resetBtn.addEventListener('click', () => this._resetLayout());
     }
 
+    // Wall mode button - cycles walls up / cutaway / walls down
+    const wallsBtn = document.getElementById('walls-btn');
+    if (wallsBtn) {
+      wallsBtn.addEventListener('click', () => this._cycleWallMode());
+      AppState.subscribe('wallMode', () => this._updateWallsButton());
+      this._updateWallsButton();
+    }
+
+    // Align / distribute the selection, against a wall, in the middle of the room
+    const alignSelect = document.getElementById('align-select');
+    if (alignSelect) {
+      alignSelect.addEventListener('change', () => {
+        this._align(alignSelect.value);
+        alignSelect.value = '';
+      });
+      AppState.subscribe('selectedObjects', () => this._updateAlignSelect());
+      AppState.subscribe('groups', () => this._updateAlignSelect());
+      this._updateAlignSelect();
+    }
+
+    // Snapping toggle, grid size and rotation step
+    this._initSnapControls();
+
+    // Block / slide / warn when furniture runs into furniture
+    const collisionSelect = document.getElementById('collision-select');
+    if (collisionSelect) {
+      collisionSelect.innerHTML = Object.entries(COLLISION_MODES)
+        .map(([value, label]) => `<option value="${value}">💥 ${label}</option>`)
+        .join('');
+      collisionSelect.value = AppState.get('collisionMode');
+      collisionSelect.addEventListener('change', () => AppState.set('collisionMode', collisionSelect.value));
+      AppState.subscribe('collisionMode', (mode) => { collisionSelect.value = mode; });
+    }
+
+    // Metric / imperial lengths
+    const unitsSelect = document.getElementById('units-select');
+    if (unitsSelect) {
+      unitsSelect.innerHTML = Object.entries(UNIT_SYSTEMS)
+        .map(([value, label]) => `<option value="${value}">📏 ${label}</option>`)
+        .join('');
+      unitsSelect.value = AppState.get('units');
+      unitsSelect.addEventListener('change', () => AppState.set('units', unitsSelect.value));
+      AppState.subscribe('units', (units) => { unitsSelect.value = units; });
+    }
+
     // Save button
     const saveBtn = document.getElementById('save-btn');
     if (saveBtn) {
@@ -57,6 +108,91 @@ export class ActionButtons {
     console.log('✅ ActionButtons initialized');
   }
 
+  /**
+   * Switch to the next wall display mode
+   */
+  _cycleWallMode() {
+    const modes = Object.keys(WALL_MODES);
+    const index = modes.indexOf(AppState.get('wallMode'));
+    AppState.set('wallMode', modes[(index + 1) % modes.length]);
+  }
+
+  _updateWallsButton() {
+    const wallsBtn = document.getElementById('walls-btn');
+    if (wallsBtn) {
+      wallsBtn.textContent = `🧱 ${WALL_MODES[AppState.get('wallMode')]}`;
+    }
+  }
+
+  /**
+   * Offer the alignment commands the selection allows
+   */
+  _updateAlignSelect() {
+    const alignSelect = document.getElementById('align-select');
+    if (!alignSelect) return;
+
+    const selected = AppState.get('selectedObjects') || [];
+    const options = Object.entries(ALIGN_COMMANDS)
+      .map(([value, label]) => `<option value="${value}" ${canAlign(value, selected) ? '' : 'disabled'}>${label}</option>`)
+      .join('');
+    alignSelect.innerHTML = `<option value="" disabled selected hidden>📏 Align</option>${options}`;
+    alignSelect.disabled = !canAlign('room', selected);
+  }
+
+  _align(command) {
+    const room = AppState.get('activeLevel')?.room;
+    const { moved, reason } = History.record(ALIGN_COMMANDS[command], () => {
+      const result = alignObjects(command, AppState.get('selectedObjects') || [], room);
+      result.moved.forEach((obj) => {
+        room.assignZone(obj);
+        AppState.set('transformedObject', obj);
+      });
+      return result;
+    });
+    if (reason) {
+      this._showNotification(`⚠️ ${reason}`);
+      return;
+    }
+
+    console.log(`📏 ${ALIGN_COMMANDS[command]}: ${moved.length} object(s)`);
+  }
+
+  _initSnapControls() {
+    const snapBtn = document.getElementById('snap-btn');
+    const gridSelect = document.getElementById('snap-grid-select');
+    const angleSelect = document.getElementById('snap-angle-select');
+    if (!snapBtn || !gridSelect || !angleSelect) return;
+
+    const options = (labels) => Object.entries(labels)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+    gridSelect.innerHTML = options(SNAP_GRID_SIZES);
+    angleSelect.innerHTML = options(SNAP_ANGLES);
+
+    const update = (changes) => AppState.set('snap', { ...AppState.get('snap'), ...changes });
+    snapBtn.addEventListener('click', () => update({ enabled: !AppState.get('snap').enabled }));
+    gridSelect.addEventListener('change', () => update({ gridSize: parseFloat(gridSelect.value) }));
+    angleSelect.addEventListener('change', () => update({ angleStep: parseFloat(angleSelect.value) }));
+
+    AppState.subscribe('snap', () => this._updateSnapControls());
+    this._updateSnapControls();
+  }
+
+  _updateSnapControls() {
+    const { enabled, gridSize, angleStep } = AppState.get('snap');
+    document.getElementById('snap-btn')?.classList.toggle('active', enabled);
+    const gridSelect = document.getElementById('snap-grid-select');
+    const angleSelect = document.getElementById('snap-angle-select');
+    if (gridSelect) {
+      gridSelect.value = String(gridSize);
+      gridSelect.disabled = !enabled;
+    }
+    if (angleSelect) {
+      angleSelect.value = String(angleStep);
+      angleSelect.disabled = !enabled;
+    }
+  }
+
   /**
    * Update load button based on saved data
    */
@@ -158,51 +294,42 @@ export class ActionButtons {
   }
 
   /**
-   * Delete selected object
+   * Delete selected object(s)
    */
   _deleteSelected() {
-    const selected = AppState.get('selectedObject');
-    if (!selected) {
+    const selected = [...(AppState.get('selectedObjects') || [])];
+    if (selected.length === 0) {
       this._showNotification('⚠️ No object selected');
       return;
     }
 
-    // Get furniture container
-    const container = this.scene.getObjectByName('FurnitureContainer');
+    // Get furniture container of the active level
+    const container = AppState.get('activeLevel')?.container;
     if (container) {
       // Deselect first
       AppState.set('selectedObject', null);
       
-      // Remove from scene
-      container.remove(selected);
-      
-      // Dispose resources
-      selected.traverse((child) => {
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(m => m.dispose());
-          } else {
-            child.material.dispose();
-          }
-        }
+      History.record(`Delete ${describeObjects(selected)}`, () => {
+        selected.forEach((object) => {
+          // Remove from scene (kept for undo; History disposes it)
+          container.remove(object);
+          
+          // Remove from state
+          AppState.removePlacedObject(object);
+          console.log('🗑️ Deleted:', object.name);
+        });
       });
-      
-      // Remove from state
-      AppState.removePlacedObject(selected);
-      console.log('🗑️ Deleted:', selected.name);
     }
   }
 
   /**
-   * Reset entire layout (clear all furniture)
+   * Reset entire layout (clear all furniture on every level)
    */
   _resetLayout() {
-    const container = this.scene.getObjectByName('FurnitureContainer');
-    if (!container) return;
+    const placedObjects = [...(AppState.get('placedObjects') || [])];
 
     // Confirmation
-    if (container.children.length === 0) {
+    if (placedObjects.length === 0) {
       console.log('ℹ️ Nothing to reset');
       return;
     }
@@ -210,26 +337,15 @@ export class ActionButtons {
     // Deselect first
     AppState.set('selectedObject', null);
 
-    // Remove all furniture
-    while (container.children.length > 0) {
-      const obj = container.children[0];
-      container.remove(obj);
-      
-      // Dispose resources
-      obj.traverse((child) => {
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(m => m.dispose());
-          } else {
-            child.material.dispose();
-          }
-        }
+    // Remove all furniture, as one step that can be undone
+    History.record('Reset layout', () => {
+      placedObjects.forEach((obj) => {
+        if (obj.parent) obj.parent.remove(obj);
       });
-    }
 
-    // Clear state
-    AppState.clearPlacedObjects();
+      // Clear state
+      AppState.clearPlacedObjects();
+    });
     console.log('🔄 Layout reset');
   }
 }
@@ -0,0 +1,193 @@
+/**
+ * ArrayPanel - Lay out copies of the selected object in a row, grid or circle
+ * Ghosts of the copies follow every change of the fields until they are created
+ */
+
+import { AppState } from '../state/AppState.js';
+import { History, describeObjects } from '../state/History.js';
+import { ARRAY_PATTERNS, ARRAY_DEFAULTS } from '../systems/ArrayTool.js';
+
+const FIELDS = {
+  count: { label: 'Items per Row', min: 2, max: 20, step: 1, patterns: ['linear', 'grid', 'circular'] },
+  rows: { label: 'Rows', min: 1, max: 10, step: 1, patterns: ['grid'] },
+  gap: { label: 'Gap (m)', min: 0, max: 3, step: 0.05, patterns: ['linear', 'grid'] },
+  radius: { label: 'Radius (m)', min: 0.3, max: 5, step: 0.1, patterns: ['circular'] }
+};
+
+export class ArrayPanel {
+  constructor(containerId, arrayTool) {
+    this.container = document.getElementById(containerId);
+    this.toggleBtn = document.getElementById('array-btn');
+    this.arrayTool = arrayTool;
+    this.params = { ...ARRAY_DEFAULTS };
+
+    this._init();
+  }
+
+  _init() {
+    if (!this.container) {
+      console.warn('ArrayPanel container not found');
+      return;
+    }
+
+    // Toolbar button opens/closes the panel
+    if (this.toggleBtn) {
+      this.toggleBtn.addEventListener('click', () => this.toggle());
+    }
+
+    // Follow the selection, and the selected object when it moves
+    AppState.subscribe('selectedObject', () => this._refresh());
+    AppState.subscribe('selectedObjects', () => this._refresh());
+    AppState.subscribe('transformedObject', () => this._refresh());
+    AppState.subscribe('collisionMode', () => this._refresh());
+
+    console.log('✅ ArrayPanel initialized');
+  }
+
+  isOpen() {
+    return this.container.classList.contains('visible');
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    this.container.classList.add('visible');
+    this.toggleBtn?.classList.add('active');
+    this._render();
+  }
+
+  close() {
+    this.container.classList.remove('visible');
+    this.toggleBtn?.classList.remove('active');
+    this.arrayTool.clearPreview();
+  }
+
+  _refresh() {
+    if (this.isOpen()) this._render();
+  }
+
+  /**
+   * Selected object that copies can be made of (alone, not doors/windows or stairs)
+   */
+  _getSource() {
+    const object = AppState.get('selectedObject');
+    if ((AppState.get('selectedObjects') || []).length > 1) return null;
+    return object && !object.userData.opening && !object.userData.stairs ? object : null;
+  }
+
+  _render() {
+    const source = this._getSource();
+    const { pattern } = this.params;
+
+    const patternOptions = Object.entries(ARRAY_PATTERNS)
+      .map(([key, label]) => `<option value="${key}" ${key === pattern ? 'selected' : ''}>${label}</option>`)
+      .join('');
+
+    this.container.innerHTML = `
+      <div class="props-header">
+        <h3>Array</h3>
+        <span class="props-close" id="array-close">×</span>
+      </div>
+
+      <div class="props-content">
+        ${source ? `
+        <div class="props-section">
+          <label class="props-label">Pattern</label>
+          <select id="array-pattern-select" class="props-select">${patternOptions}</select>
+        </div>
+
+        ${Object.keys(FIELDS).map(key => this._numberField(key)).join('')}
+
+        <div class="props-section">
+          <div class="props-value" id="array-summary"></div>
+        </div>
+
+        <div class="props-divider"></div>
+
+        <div class="props-actions">
+          <button class="props-btn" id="array-apply-btn">✔️ Create Copies</button>
+        </div>
+        ` : `
+        <div class="props-section">
+          <div class="props-value">Select a single piece of furniture to copy</div>
+        </div>
+        `}
+      </div>
+    `;
+
+    this._bindEvents();
+    this._preview();
+  }
+
+  _numberField(key) {
+    const { label, min, max, step, patterns } = FIELDS[key];
+    const pattern = this.params.pattern;
+    // Circles count all the items around them
+    const text = key === 'count' && pattern === 'circular' ? 'Items Around' : label;
+    return `
+        <div class="props-section" style="display: ${patterns.includes(pattern) ? 'block' : 'none'}">
+          <label class="props-label">${text}</label>
+          <input type="number" id="array-${key}-input" class="props-input" data-array-key="${key}"
+                 min="${min}" max="${max}" step="${step}" value="${this.params[key]}">
+        </div>
+    `;
+  }
+
+  _bindEvents() {
+    document.getElementById('array-close')?.addEventListener('click', () => this.close());
+
+    document.getElementById('array-pattern-select')?.addEventListener('change', (e) => {
+      this.params.pattern = e.target.value;
+      this._render();
+    });
+
+    // Preview follows every change
+    this.container.querySelectorAll('[data-array-key]').forEach((input) => {
+      input.addEventListener('input', () => {
+        const { min, max } = FIELDS[input.dataset.arrayKey];
+        const value = parseFloat(input.value);
+        if (Number.isNaN(value)) return;
+        this.params[input.dataset.arrayKey] = Math.min(max, Math.max(min, value));
+        this._preview();
+      });
+    });
+
+    document.getElementById('array-apply-btn')?.addEventListener('click', () => this._apply());
+  }
+
+  /**
+   * Show the copies and how many of them fit
+   */
+  _preview() {
+    const source = this._getSource();
+    if (!source) {
+      this.arrayTool.clearPreview();
+      return;
+    }
+
+    const total = this.arrayTool.getLayout(source, this.params).length;
+    const valid = this.arrayTool.preview(source, this.params);
+    const summary = document.getElementById('array-summary');
+    if (summary) {
+      summary.textContent = valid === total
+        ? `${total} copies`
+        : `${valid} of ${total} copies fit (red ones are left out)`;
+    }
+  }
+
+  _apply() {
+    const source = this._getSource();
+    if (!source) return;
+
+    History.record(`Array ${describeObjects([source])}`, () => this.arrayTool.apply(source, this.params));
+    this.close();
+  }
+}
+
+export default ArrayPanel;
@@ -0,0 +1,148 @@
+/**
+ * HistoryPanel - Undo, redo and the list of steps taken
+ * Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; clicking a step in the list
+ * goes back or forward to just after it. The number of steps kept is picked
+ * at the bottom of the panel.
+ */
+
+import { AppState } from '../state/AppState.js';
+import { History, HISTORY_LIMITS } from '../state/History.js';
+import { escapeHTML } from './Html.js';
+
+export class HistoryPanel {
+  constructor(containerId) {
+    this.container = document.getElementById(containerId);
+    this.toggleBtn = document.getElementById('history-btn');
+    this.undoBtn = document.getElementById('undo-btn');
+    this.redoBtn = document.getElementById('redo-btn');
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+
+    this._init();
+  }
+
+  _init() {
+    if (!this.container) {
+      console.warn('HistoryPanel container not found');
+      return;
+    }
+
+    // Toolbar buttons
+    this.toggleBtn?.addEventListener('click', () => this.toggle());
+    this.undoBtn?.addEventListener('click', () => History.undo());
+    this.redoBtn?.addEventListener('click', () => History.redo());
+
+    window.addEventListener('keydown', this._onKeyDown);
+
+    AppState.subscribe('history', () => this._refresh());
+    this._refresh();
+
+    console.log('✅ HistoryPanel initialized');
+  }
+
+  isOpen() {
+    return this.container.classList.contains('visible');
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    this.container.classList.add('visible');
+    this.toggleBtn?.classList.add('active');
+    this._render();
+  }
+
+  close() {
+    this.container.classList.remove('visible');
+    this.toggleBtn?.classList.remove('active');
+  }
+
+  _onKeyDown(event) {
+    // Fields keep their own undo
+    if (event.target.closest?.('input, select, textarea')) return;
+    if (!event.ctrlKey && !event.metaKey) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault();
+      History.undo();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault();
+      History.redo();
+    }
+  }
+
+  _refresh() {
+    const { steps, index } = History;
+    if (this.undoBtn) {
+      this.undoBtn.disabled = !History.canUndo();
+      this.undoBtn.title = History.canUndo() ? `Undo ${steps[index - 1].label} (Ctrl+Z)` : 'Nothing to Undo';
+    }
+    if (this.redoBtn) {
+      this.redoBtn.disabled = !History.canRedo();
+      this.redoBtn.title = History.canRedo() ? `Redo ${steps[index].label} (Ctrl+Shift+Z)` : 'Nothing to Redo';
+    }
+    if (this.isOpen()) this._render();
+  }
+
+  _render() {
+    const { steps, index, limit } = History;
+
+    // Newest first; steps after the current one can still be redone
+    const items = [{ label: 'Start' }, ...steps]
+      .map((step, i) => `
+          <button class="history-step ${i === index ? 'current' : ''} ${i > index ? 'undone' : ''}" data-index="${i}">
+            ${escapeHTML(step.label)}
+          </button>`)
+      .reverse()
+      .join('');
+    const limitOptions = Object.entries(HISTORY_LIMITS)
+      .map(([value, label]) => `<option value="${value}" ${Number(value) === limit ? 'selected' : ''}>${label}</option>`)
+      .join('');
+
+    this.container.innerHTML = `
+      <div class="props-header">
+        <h3>History</h3>
+        <span class="props-close" id="history-close">×</span>
+      </div>
+
+      <div class="props-content">
+        <div class="history-list">${items}
+        </div>
+
+        <div class="props-divider"></div>
+
+        <div class="props-section">
+          <label class="props-label">Keep</label>
+          <select id="history-limit-select" class="props-select">${limitOptions}</select>
+        </div>
+      </div>
+    `;
+
+    this._bindEvents();
+  }
+
+  _bindEvents() {
+    document.getElementById('history-close')?.addEventListener('click', () => this.close());
+
+    this.container.querySelectorAll('[data-index]').forEach((btn) => {
+      btn.addEventListener('click', () => History.jumpTo(parseInt(btn.dataset.index, 10)));
+    });
+
+    document.getElementById('history-limit-select')?.addEventListener('change', (e) => {
+      History.setLimit(parseInt(e.target.value, 10));
+    });
+  }
+
+  dispose() {
+    window.removeEventListener('keydown', this._onKeyDown);
+  }
+}
+
+export default HistoryPanel;
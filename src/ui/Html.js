@@ -0,0 +1,18 @@
+/**
+ * Html - Helpers for the panels built from HTML strings
+ */
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Text (a user-given name) made safe to put in markup or an attribute value
+ */
+export function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, char => ENTITIES[char]);
+}
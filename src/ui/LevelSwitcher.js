@@ -0,0 +1,102 @@
+/**
+ * LevelSwitcher - Pick the building level to edit
+ * Lists levels top to bottom, adds/removes the top level and
+ * toggles how the other levels are shown (ghost / isolate)
+ */
+
+import { AppState } from '../state/AppState.js';
+import { LEVEL_VIEWS } from '../core/Building.js';
+import { escapeHTML } from './Html.js';
+
+export class LevelSwitcher {
+  constructor(containerId, building) {
+    this.container = document.getElementById(containerId);
+    this.building = building;
+
+    this._init();
+  }
+
+  _init() {
+    if (!this.container) {
+      console.warn('LevelSwitcher container not found');
+      return;
+    }
+
+    // Level list or active level changed
+    AppState.subscribe('activeLevel', () => this._render());
+    AppState.subscribe('levelView', () => this._render());
+
+    this._render();
+
+    console.log('✅ LevelSwitcher initialized');
+  }
+
+  _render() {
+    const levels = this.building.getLevels();
+    const active = AppState.get('activeLevel');
+    const view = AppState.get('levelView');
+
+    // Top level first, like floors in a lift
+    const levelButtons = [...levels].reverse()
+      .map(level => `
+        <button class="level-btn ${level === active ? 'active' : ''}" data-level="${level.index}">
+          ${escapeHTML(level.name)}
+        </button>
+      `)
+      .join('');
+
+    this.container.innerHTML = `
+      <div class="level-list">${levelButtons}</div>
+      <div class="level-actions">
+        <button class="level-btn" id="level-add-btn" title="Add a level on top">➕</button>
+        <button class="level-btn" id="level-remove-btn" title="Remove the top level"
+                ${levels.length <= 1 ? 'disabled' : ''}>➖</button>
+        <button class="level-btn" id="level-view-btn" title="How other levels are shown">
+          ${view === 'ghost' ? '👻' : '🔲'} ${LEVEL_VIEWS[view]}
+        </button>
+      </div>
+    `;
+
+    this._bindEvents();
+  }
+
+  _bindEvents() {
+    this.container.querySelectorAll('[data-level]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        this.building.setActiveLevel(parseInt(btn.dataset.level, 10));
+      });
+    });
+
+    document.getElementById('level-add-btn')?.addEventListener('click', () => {
+      const level = this.building.addLevel();
+      this.building.setActiveLevel(level.index);
+    });
+
+    document.getElementById('level-remove-btn')?.addEventListener('click', () => this._removeTopLevel());
+
+    document.getElementById('level-view-btn')?.addEventListener('click', () => {
+      const views = Object.keys(LEVEL_VIEWS);
+      const index = views.indexOf(AppState.get('levelView'));
+      AppState.set('levelView', views[(index + 1) % views.length]);
+    });
+  }
+
+  /**
+   * Remove the top level, asking first if furniture would be lost
+   */
+  _removeTopLevel() {
+    const levels = this.building.getLevels();
+    const top = levels[levels.length - 1];
+    const objectCount = (AppState.get('placedObjects') || [])
+      .filter(obj => top.room.isOnLevel(obj)).length;
+
+    if (objectCount > 0 &&
+        !window.confirm(`Remove ${top.name} and the ${objectCount} object(s) on it?`)) {
+      return;
+    }
+
+    this.building.removeTopLevel();
+  }
+}
+
+export default LevelSwitcher;
@@ -1,6 +1,7 @@
 /**
  * MenuPanel - Expandable furniture selection menu
- * Shows items within a selected category
+ * Shows items within a selected category; click an item to place it with
+ * clicks, or drag it straight onto the floor
  */
 
 import { AppState } from '../state/AppState.js';
@@ -95,6 +96,7 @@ export class MenuPanel {
       const img = document.createElement('img');
       img.src = `/assets/images/furniture/${item.path}.jpg`;
       img.alt = item.name;
+      img.draggable = false; // The whole item is dragged, not its picture
       img.onerror = () => {
         // Create a colored placeholder
         img.style.backgroundColor = this._getPlaceholderColor(item.id);
@@ -114,6 +116,17 @@ export class MenuPanel {
         this._selectItem(item);
       });
 
+      // Drag onto the canvas - PlacementSystem previews and drops it
+      itemEl.draggable = true;
+      itemEl.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', item.name);
+        e.dataTransfer.effectAllowed = 'copy';
+        AppState.set('draggedFurniture', item);
+      });
+      itemEl.addEventListener('dragend', () => {
+        AppState.set('draggedFurniture', null);
+      });
+
       this.contentsEl.appendChild(itemEl);
     });
   }
@@ -0,0 +1,482 @@
+/**
+ * PlanEditor - Top-down 2D editor for the walls of the active level
+ * Click to draw walls on the floor grid, drag wall ends to adjust them,
+ * split and delete walls. Every area closed by walls becomes a room and
+ * the 3D Room is rebuilt live from the drawn plan. Points follow the snap
+ * grid (hold Alt to place them freely).
+ */
+
+import { AppState } from '../state/AppState.js';
+import { WallGraph, measureWall } from '../core/WallGraph.js';
+import { outlineBounds } from '../core/FloorPlan.js';
+import { isSnapActive, snapPosition } from '../systems/Snapping.js';
+import { formatLength } from '../core/Units.js';
+
+export const PLAN_TOOLS = {
+  draw: '✏️ Draw',
+  edit: '✋ Edit',
+  split: '✂️ Split',
+  erase: '🗑️ Delete'
+};
+
+const TOOL_HINTS = {
+  draw: 'Click to place wall corners · click a corner, right-click or Esc to finish',
+  edit: 'Drag wall ends to move them · click a wall and press Del to delete it',
+  split: 'Click a wall to split it in two',
+  erase: 'Click a wall to delete it'
+};
+
+const CANVAS_SIZE = 440;  // px
+const PICK_RADIUS = 10;   // px around nodes and walls that snap the cursor
+const MIN_SCALE = 10;     // px per meter
+const MAX_SCALE = 200;
+
+export class PlanEditor {
+  constructor(containerId, room) {
+    this.container = document.getElementById(containerId);
+    this.toggleBtn = document.getElementById('plan-btn');
+    this.room = room;
+
+    this.graph = null;
+    this.tool = 'draw';
+    this.chainNode = null;    // Last corner of the wall being drawn
+    this.cursor = null;       // Snapped cursor { point, node, wall }
+    this.selectedWall = null;
+    this.dragNode = null;
+    this.dragFrame = null;
+    this.view = { x: 0, z: 0, scale: 50 }; // Plan point at the canvas centre, px per meter
+    this.applying = false;
+
+    this._onKeyDown = (e) => this._handleKey(e);
+
+    this._init();
+  }
+
+  _init() {
+    if (!this.container) {
+      console.warn('PlanEditor container not found');
+      return;
+    }
+
+    if (this.toggleBtn) {
+      this.toggleBtn.addEventListener('click', () => this.toggle());
+    }
+
+    // Edit the plan of the active level
+    AppState.subscribe('activeLevel', (level) => {
+      if (!level) return;
+      this.room = level.room;
+      if (this.isOpen()) this._loadPlan();
+    });
+
+    // Plan changed elsewhere (room settings, loading a layout)
+    AppState.subscribe('roomConfig', () => {
+      if (this.isOpen() && !this.applying) this._loadPlan();
+    });
+
+    // Grid lines follow the snap grid
+    AppState.subscribe('snap', () => {
+      if (this.isOpen()) this._draw();
+    });
+    AppState.subscribe('units', () => {
+      if (this.isOpen()) this._draw();
+    });
+
+    console.log('✅ PlanEditor initialized');
+  }
+
+  isOpen() {
+    return this.container.classList.contains('visible');
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    // Keys like Del belong to the plan while it is edited
+    if (AppState.get('selectedObject')) AppState.set('selectedObject', null);
+
+    this._render();
+    this.container.classList.add('visible');
+    this.toggleBtn?.classList.add('active');
+    window.addEventListener('keydown', this._onKeyDown);
+    AppState.set('planEditing', true);
+    this._loadPlan();
+  }
+
+  close() {
+    this._finishChain();
+    this.dragNode = null;
+    this.container.classList.remove('visible');
+    this.toggleBtn?.classList.remove('active');
+    window.removeEventListener('keydown', this._onKeyDown);
+    AppState.set('planEditing', false);
+  }
+
+  setTool(tool) {
+    if (!PLAN_TOOLS[tool]) return;
+    this._finishChain();
+    this.tool = tool;
+    this.selectedWall = null;
+
+    this.container.querySelectorAll('[data-tool]').forEach((btn) => {
+      btn.classList.toggle('active', btn.dataset.tool === tool);
+    });
+    this._draw();
+  }
+
+  _render() {
+    const toolButtons = Object.entries(PLAN_TOOLS)
+      .map(([key, label]) => `
+        <button class="level-btn ${key === this.tool ? 'active' : ''}" data-tool="${key}">${label}</button>
+      `)
+      .join('');
+
+    this.container.innerHTML = `
+      <div class="props-header">
+        <h3>Floor Plan Editor</h3>
+        <span class="props-close" id="plan-editor-close">×</span>
+      </div>
+      <div class="plan-tools">${toolButtons}</div>
+      <canvas id="plan-canvas" width="${CANVAS_SIZE}" height="${CANVAS_SIZE}"></canvas>
+      <div class="plan-hint" id="plan-hint"></div>
+    `;
+
+    this.canvas = document.getElementById('plan-canvas');
+    this.ctx = this.canvas.getContext('2d');
+    this.hint = document.getElementById('plan-hint');
+
+    this._bindEvents();
+  }
+
+  _bindEvents() {
+    document.getElementById('plan-editor-close')?.addEventListener('click', () => this.close());
+
+    this.container.querySelectorAll('[data-tool]').forEach((btn) => {
+      btn.addEventListener('click', () => this.setTool(btn.dataset.tool));
+    });
+
+    this.canvas.addEventListener('mousedown', (e) => this._onMouseDown(e));
+    this.canvas.addEventListener('mousemove', (e) => this._onMouseMove(e));
+    this.canvas.addEventListener('mouseup', () => this._endDrag());
+    this.canvas.addEventListener('mouseleave', () => {
+      this._endDrag();
+      this.cursor = null;
+      this._draw();
+    });
+    this.canvas.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      this._finishChain();
+      this._draw();
+    });
+    this.canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+      this.view.scale = Math.max(MIN_SCALE, Math.min(MAX_SCALE, this.view.scale * factor));
+      this._draw();
+    }, { passive: false });
+  }
+
+  /**
+   * Start editing the plan of the current room
+   */
+  _loadPlan() {
+    this.graph = WallGraph.fromRooms(this.room.getRooms());
+    this.chainNode = null;
+    this.selectedWall = null;
+    this.dragNode = null;
+    this._fitView();
+    this._draw();
+  }
+
+  /**
+   * Centre the plan in the canvas with a margin around it
+   */
+  _fitView() {
+    const { minX, maxX, minZ, maxZ } = outlineBounds(this.room.getRooms().flatMap(room => room.outline));
+    const extent = Math.max(maxX - minX, maxZ - minZ) + 2;
+    this.view = {
+      x: (minX + maxX) / 2,
+      z: (minZ + maxZ) / 2,
+      scale: Math.max(MIN_SCALE, Math.min(MAX_SCALE, CANVAS_SIZE / extent))
+    };
+  }
+
+  _toCanvas([x, z]) {
+    return [
+      CANVAS_SIZE / 2 + (x - this.view.x) * this.view.scale,
+      CANVAS_SIZE / 2 + (z - this.view.z) * this.view.scale
+    ];
+  }
+
+  _toPlan(px, py) {
+    return [
+      this.view.x + (px - CANVAS_SIZE / 2) / this.view.scale,
+      this.view.z + (py - CANVAS_SIZE / 2) / this.view.scale
+    ];
+  }
+
+  /**
+   * Point under the mouse, snapped to a node, then a wall, then the snap grid.
+   * The node being dragged (and its walls) never snap to themselves.
+   */
+  _snap(e) {
+    const [x, z] = this._toPlan(e.offsetX, e.offsetY);
+    const radius = PICK_RADIUS / this.view.scale;
+
+    const node = this.graph.nearestNode(x, z, radius, this.dragNode);
+    if (node) return { point: [node.x, node.z], node, wall: null };
+
+    const hit = this.graph.nearestWall(x, z, radius, this.dragNode);
+    if (hit) return { point: [hit.x, hit.z], node: null, wall: hit.wall };
+
+    const point = snapPosition({ x, z }, e);
+    return { point: [point.x, point.z], node: null, wall: null };
+  }
+
+  _onMouseDown(e) {
+    if (e.button !== 0) return;
+    const hit = this._snap(e);
+
+    switch (this.tool) {
+      case 'draw':
+        this._drawTo(hit);
+        break;
+      case 'edit':
+        this.selectedWall = hit.node ? null : hit.wall?.id ?? null;
+        this.dragNode = hit.node?.id ?? null;
+        break;
+      case 'split':
+        if (hit.wall) {
+          this.graph.splitWall(hit.wall.id, ...hit.point);
+          this._applyPlan();
+        }
+        break;
+      case 'erase':
+        if (hit.wall) {
+          this.graph.removeWall(hit.wall.id);
+          this._applyPlan();
+        }
+        break;
+    }
+
+    this._draw();
+  }
+
+  _onMouseMove(e) {
+    this.cursor = this._snap(e);
+
+    if (this.dragNode !== null) {
+      this.graph.moveNode(this.dragNode, ...this.cursor.point);
+
+      // Rebuild the 3D room at most once per frame while dragging
+      if (!this.dragFrame) {
+        this.dragFrame = requestAnimationFrame(() => {
+          this.dragFrame = null;
+          this._applyPlan();
+        });
+      }
+    }
+
+    this._draw();
+  }
+
+  _endDrag() {
+    if (this.dragNode === null) return;
+
+    // Dropped on another corner or wall: join them
+    this.graph.settleNode(this.dragNode);
+    this.dragNode = null;
+    this._applyPlan();
+  }
+
+  /**
+   * Draw tool click: start a wall, or end the current one at the point.
+   * Ending on an existing corner or wall finishes the chain.
+   */
+  _drawTo(hit) {
+    const id = hit.node?.id ??
+      (hit.wall ? this.graph.splitWall(hit.wall.id, ...hit.point) : this.graph.addNode(...hit.point));
+
+    if (this.chainNode === null) {
+      this.chainNode = id;
+      return;
+    }
+
+    this.graph.addWall(this.chainNode, id);
+    this.chainNode = hit.node || hit.wall ? null : id;
+    this._applyPlan();
+  }
+
+  _finishChain() {
+    this.chainNode = null;
+    this.graph?.removeUnusedNodes();
+  }
+
+  _handleKey(e) {
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+    if (e.key === 'Escape' || e.key === 'Enter') {
+      this._finishChain();
+      this.selectedWall = null;
+      this._draw();
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedWall !== null) {
+      e.preventDefault();
+      this.graph.removeWall(this.selectedWall);
+      this.selectedWall = null;
+      this._applyPlan();
+    }
+  }
+
+  /**
+   * Rebuild the 3D room from the closed areas of the drawn plan.
+   * Until walls close an area the room keeps its last shape.
+   */
+  _applyPlan() {
+    const rooms = this.graph.toRooms(this.room.getRooms());
+    if (rooms.length > 0) {
+      this.applying = true;
+      this.room.setDimensions({ shape: 'custom', rooms });
+      this.applying = false;
+    }
+    this._draw();
+  }
+
+  _draw() {
+    if (!this.ctx || !this.graph) return;
+    const ctx = this.ctx;
+
+    ctx.fillStyle = 'rgb(30, 38, 64)';
+    ctx.fillRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
+    this._drawGrid();
+
+    // Closed areas, labelled with their room names
+    const rooms = this.graph.toRooms(this.room.getRooms());
+    rooms.forEach(({ name, outline }) => {
+      ctx.beginPath();
+      outline.forEach((p, i) => {
+        const [px, py] = this._toCanvas(p);
+        if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+      });
+      ctx.closePath();
+      ctx.fillStyle = 'rgba(88, 36, 172, 0.3)';
+      ctx.fill();
+
+      const { minX, maxX, minZ, maxZ } = outlineBounds(outline);
+      const [cx, cy] = this._toCanvas([(minX + maxX) / 2, (minZ + maxZ) / 2]);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText(name, cx, cy);
+    });
+
+    // Walls with their lengths
+    const hoverWall = this.tool !== 'draw' ? this.cursor?.wall?.id : null;
+    this.graph.walls.forEach((wall) => {
+      const a = this.graph.nodes.get(wall.a);
+      const b = this.graph.nodes.get(wall.b);
+      const [ax, ay] = this._toCanvas([a.x, a.z]);
+      const [bx, by] = this._toCanvas([b.x, b.z]);
+
+      ctx.beginPath();
+      ctx.moveTo(ax, ay);
+      ctx.lineTo(bx, by);
+      ctx.lineWidth = 4;
+      ctx.strokeStyle = wall.id === this.selectedWall ? '#FF9800'
+        : wall.id === hoverWall ? '#4CAF50' : '#F5F5DC';
+      ctx.stroke();
+
+      const { length } = measureWall([a.x, a.z], [b.x, b.z]);
+      this._label(formatLength(length), (ax + bx) / 2, (ay + by) / 2 - 6);
+    });
+
+    // Wall ends
+    this.graph.nodes.forEach((node) => {
+      const [px, py] = this._toCanvas([node.x, node.z]);
+      const hovered = node.id === this.cursor?.node?.id || node.id === this.dragNode;
+      ctx.beginPath();
+      ctx.arc(px, py, hovered ? 6 : 3, 0, Math.PI * 2);
+      ctx.fillStyle = hovered ? '#4CAF50' : 'white';
+      ctx.fill();
+    });
+
+    // Wall being drawn, with length and angle readout
+    if (this.tool === 'draw' && this.cursor) {
+      const [px, py] = this._toCanvas(this.cursor.point);
+      const start = this.graph.nodes.get(this.chainNode);
+
+      if (start) {
+        const [sx, sy] = this._toCanvas([start.x, start.z]);
+        ctx.beginPath();
+        ctx.moveTo(sx, sy);
+        ctx.lineTo(px, py);
+        ctx.setLineDash([6, 4]);
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#4CAF50';
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        const { length, angle } = measureWall([start.x, start.z], this.cursor.point);
+        this._label(`${formatLength(length)} · ${angle.toFixed(0)}°`, px + 12, py - 12, 'left');
+      }
+
+      ctx.beginPath();
+      ctx.arc(px, py, 4, 0, Math.PI * 2);
+      ctx.strokeStyle = '#4CAF50';
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+
+    if (this.hint) {
+      const status = rooms.length > 0
+        ? `${rooms.length} room(s)`
+        : 'No closed room yet - the 3D room keeps its last shape';
+      this.hint.textContent = `${TOOL_HINTS[this.tool]} · ${status}`;
+    }
+  }
+
+  /**
+   * Faint lines on the snap grid (every 0.5 m if that is too dense
+   * or snapping is off), stronger every meter
+   */
+  _drawGrid() {
+    const ctx = this.ctx;
+    const [minX, minZ] = this._toPlan(0, 0);
+    const [maxX, maxZ] = this._toPlan(CANVAS_SIZE, CANVAS_SIZE);
+    const { gridSize } = AppState.get('snap');
+    const step = isSnapActive() && gridSize * this.view.scale >= 8 ? gridSize : 0.5;
+
+    ctx.lineWidth = 1;
+    for (let x = Math.floor(minX / step) * step; x <= maxX; x += step) {
+      const [px] = this._toCanvas([x, 0]);
+      ctx.strokeStyle = Math.abs(x - Math.round(x)) < 0.01 ? 'rgba(255, 255, 255, 0.15)' : 'rgba(255, 255, 255, 0.06)';
+      ctx.beginPath();
+      ctx.moveTo(px, 0);
+      ctx.lineTo(px, CANVAS_SIZE);
+      ctx.stroke();
+    }
+    for (let z = Math.floor(minZ / step) * step; z <= maxZ; z += step) {
+      const [, py] = this._toCanvas([0, z]);
+      ctx.strokeStyle = Math.abs(z - Math.round(z)) < 0.01 ? 'rgba(255, 255, 255, 0.15)' : 'rgba(255, 255, 255, 0.06)';
+      ctx.beginPath();
+      ctx.moveTo(0, py);
+      ctx.lineTo(CANVAS_SIZE, py);
+      ctx.stroke();
+    }
+  }
+
+  _label(text, x, y, align = 'center') {
+    const ctx = this.ctx;
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = align;
+    ctx.fillStyle = 'white';
+    ctx.fillText(text, x, y);
+  }
+}
+
+export default PlanEditor;
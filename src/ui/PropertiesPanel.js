@@ -1,15 +1,32 @@
 /**
  * PropertiesPanel - Shows properties and controls for selected object
  * Step 6: Material/color change
+ * With several objects selected, colors, materials and duplicating apply to
+ * all of them, and they can be grouped under a name (or a selected group
+ * renamed and ungrouped). Also edits the finish of a picked floor, wall or
+ * ceiling. Changes to objects are steps of the undo history.
  */
 
 import * as THREE from 'three';
 import { AppState } from '../state/AppState.js';
+import { History, describeObjects } from '../state/History.js';
+import { OPENING_TYPES, updateOpeningModel } from '../core/WallOpenings.js';
+import { SURFACE_TEXTURES } from '../core/SurfaceTextures.js';
+import { FURNITURE_KINDS, clampFurnitureSize, updateFurnitureModel } from '../core/ProceduralFurniture.js';
+import { getCollisionMode, getObstacles, findFreeOffset } from '../systems/Collision.js';
+import { fitsOn, restOn, getPose, carryStacked, settleStacked } from '../systems/Stacking.js';
+import { localFootprint, snapToWall } from '../systems/Snapping.js';
+import { getSelectedGroup, createGroup, ungroup, renameGroup, copyGroups } from '../systems/Grouping.js';
+import { formatLength } from '../core/Units.js';
+import { escapeHTML } from './Html.js';
 
 export class PropertiesPanel {
-  constructor(containerId) {
+  constructor(containerId, room = null) {
     this.container = document.getElementById(containerId);
+    this.room = room; // Owner of floor/wall/ceiling finishes
     this.selectedObject = null;
+    this.selectedObjects = [];
+    this.selectedSurface = null;
     this.originalColors = new Map(); // Store original colors for reset
     
     this._init();
@@ -26,6 +43,32 @@ export class PropertiesPanel {
       this.selectedObject = obj;
       this._update();
     });
+    AppState.subscribe('selectedObjects', (objects) => {
+      this.selectedObjects = objects || [];
+      this._update();
+    });
+    // Size and values of the selected object changed (once a gizmo handle is let go)
+    AppState.subscribe('transformedObject', (obj) => {
+      if (obj && obj === this.selectedObject && !AppState.get('transforming')) this._update();
+    });
+    AppState.subscribe('transforming', (active) => {
+      if (!active && this.selectedObject) this._update();
+    });
+    AppState.subscribe('groups', () => {
+      if (this.selectedObjects.length > 1) this._update();
+    });
+    AppState.subscribe('units', () => {
+      if (this.selectedObject) this._update();
+    });
+    AppState.subscribe('selectedSurface', (key) => {
+      this.selectedSurface = key;
+      this._update();
+    });
+    
+    // Surfaces belong to the active level's room
+    AppState.subscribe('activeLevel', (level) => {
+      if (level) this.room = level.room;
+    });
 
     // Initial state - hidden
     this._update();
@@ -37,19 +80,46 @@ export class PropertiesPanel {
     if (!this.container) return;
 
     if (!this.selectedObject) {
-      this.container.classList.remove('visible');
+      if (this.selectedSurface && this.room) {
+        this._updateSurface();
+      } else {
+        this.container.classList.remove('visible');
+      }
       return;
     }
 
     // Show panel
     this.container.classList.add('visible');
 
+    if (this.selectedObjects.length > 1) {
+      this._updateGroup();
+      return;
+    }
+
     // Get object info
     const name = this.selectedObject.userData?.name || this.selectedObject.name || 'Object';
     const type = this.selectedObject.userData?.furnitureType || 'furniture';
     
     // Get current color (from first mesh found)
     const currentColor = this._getCurrentColor();
+    
+    // Doors/windows get size controls
+    const opening = this.selectedObject.userData?.opening;
+    const openingSection = opening ? this._getOpeningSection(opening) : '';
+    
+    // Custom items get size controls, other objects show the size they stand at
+    const procedural = this.selectedObject.userData?.procedural;
+    let sizeSection = '';
+    if (procedural) {
+      sizeSection = this._getProceduralSection(procedural);
+    } else if (!opening) {
+      sizeSection = `
+        <div class="props-section">
+          <label class="props-label">Size (W × D × H)</label>
+          <div class="props-value">${this._getSize()}</div>
+        </div>
+      `;
+    }
 
     this.container.innerHTML = `
       <div class="props-header">
@@ -60,7 +130,7 @@ export class PropertiesPanel {
       <div class="props-content">
         <div class="props-section">
           <label class="props-label">Name</label>
-          <div class="props-value">${name}</div>
+          <div class="props-value">${escapeHTML(name)}</div>
         </div>
         
         <div class="props-section">
@@ -68,6 +138,73 @@ export class PropertiesPanel {
           <div class="props-value">${type}</div>
         </div>
         
+        ${sizeSection}
+        ${openingSection}
+        
+        ${this._getAppearanceSection(currentColor)}
+      </div>
+    `;
+
+    // Bind events
+    this._bindEvents();
+  }
+
+  /**
+   * Render the controls shared by all the selected objects
+   */
+  _updateGroup() {
+    const currentColor = this._getCurrentColor();
+    
+    this.container.innerHTML = `
+      <div class="props-header">
+        <h3>Properties</h3>
+        <span class="props-close" id="props-close">×</span>
+      </div>
+      
+      <div class="props-content">
+        <div class="props-section">
+          <label class="props-label">Selection</label>
+          <div class="props-value">${this.selectedObjects.length} objects</div>
+        </div>
+        
+        ${this._getGroupingSection()}
+        ${this._getAppearanceSection(currentColor)}
+      </div>
+    `;
+
+    this._bindEvents();
+  }
+
+  /**
+   * Name of the selected group with an ungroup button, or a name field and a
+   * group button for a loose selection
+   */
+  _getGroupingSection() {
+    const group = getSelectedGroup(this.selectedObjects, AppState.get('placedObjects') || []);
+    const name = group ? escapeHTML(group.name) : '';
+    
+    return `
+        <div class="props-divider"></div>
+        
+        <div class="props-section">
+          <label class="props-label">Group Name</label>
+          <input type="text" class="props-input" id="group-name-input" value="${name}"
+                 placeholder="e.g. Dining set">
+        </div>
+        
+        <div class="props-actions">
+          ${group
+            ? '<button class="props-btn" id="ungroup-btn">✂️ Ungroup</button>'
+            : '<button class="props-btn" id="group-btn">🔗 Group</button>'}
+        </div>
+    `;
+  }
+
+  /**
+   * Color, material and opacity controls with the reset and duplicate buttons
+   */
+  _getAppearanceSection(currentColor) {
+    return `
         <div class="props-divider"></div>
         
         <div class="props-section">
@@ -115,11 +252,16 @@ export class PropertiesPanel {
           <button class="props-btn" id="reset-color-btn">🔄 Reset Color</button>
           <button class="props-btn danger" id="duplicate-btn">📋 Duplicate</button>
         </div>
-      </div>
     `;
+  }
 
-    // Bind events
-    this._bindEvents();
+  /**
+   * Real size of the selected object along its own axes, e.g. "0.80 m × 0.45 m × 0.90 m"
+   */
+  _getSize() {
+    const { minX, maxX, minZ, maxZ } = localFootprint(this.selectedObject);
+    const height = new THREE.Box3().setFromObject(this.selectedObject).getSize(new THREE.Vector3()).y;
+    return [maxX - minX, maxZ - minZ, height].map(value => formatLength(value)).join(' × ');
   }
 
   _bindEvents() {
@@ -135,7 +277,8 @@ export class PropertiesPanel {
     const colorPicker = document.getElementById('color-picker');
     if (colorPicker) {
       colorPicker.addEventListener('input', (e) => {
-        this._applyColor(e.target.value);
+        // One step while the color is being picked
+        History.record(`Color ${describeObjects(this._getTargets())}`, () => this._applyColor(e.target.value), 'color');
       });
     }
 
@@ -144,7 +287,7 @@ export class PropertiesPanel {
     presetBtns.forEach(btn => {
       btn.addEventListener('click', () => {
         const color = btn.dataset.color;
-        this._applyColor(color);
+        History.record(`Color ${describeObjects(this._getTargets())}`, () => this._applyColor(color));
         // Update color picker
         const picker = document.getElementById('color-picker');
         if (picker) picker.value = color;
@@ -155,7 +298,7 @@ export class PropertiesPanel {
     const materialSelect = document.getElementById('material-select');
     if (materialSelect) {
       materialSelect.addEventListener('change', (e) => {
-        this._applyMaterial(e.target.value);
+        History.record(`Material ${describeObjects(this._getTargets())}`, () => this._applyMaterial(e.target.value));
       });
     }
 
@@ -163,7 +306,8 @@ export class PropertiesPanel {
     const opacitySlider = document.getElementById('opacity-slider');
     if (opacitySlider) {
       opacitySlider.addEventListener('input', (e) => {
-        this._applyOpacity(parseFloat(e.target.value));
+        // One step while the slider is being dragged
+        History.record(`Opacity ${describeObjects(this._getTargets())}`, () => this._applyOpacity(parseFloat(e.target.value)), 'opacity');
       });
     }
 
@@ -171,7 +315,7 @@ export class PropertiesPanel {
     const resetColorBtn = document.getElementById('reset-color-btn');
     if (resetColorBtn) {
       resetColorBtn.addEventListener('click', () => {
-        this._resetColor();
+        History.record(`Reset color ${describeObjects(this._getTargets())}`, () => this._resetColor());
       });
     }
 
@@ -179,9 +323,206 @@ export class PropertiesPanel {
     const duplicateBtn = document.getElementById('duplicate-btn');
     if (duplicateBtn) {
       duplicateBtn.addEventListener('click', () => {
-        this._duplicateObject();
+        History.record(`Duplicate ${describeObjects(this._getTargets())}`, () => this._duplicateObject());
       });
     }
+
+    // Group, rename and ungroup
+    const groupNameInput = document.getElementById('group-name-input');
+    const placedObjects = AppState.get('placedObjects') || [];
+    document.getElementById('group-btn')?.addEventListener('click', () => {
+      const group = History.record('Group', () => createGroup(this.selectedObjects, groupNameInput.value));
+      if (group) console.log(`🔗 Grouped ${this.selectedObjects.length} objects as "${group.name}"`);
+    });
+    document.getElementById('ungroup-btn')?.addEventListener('click', () => {
+      const group = getSelectedGroup(this.selectedObjects, placedObjects);
+      if (group) History.record(`Ungroup ${group.name}`, () => ungroup(group, placedObjects));
+    });
+    groupNameInput?.addEventListener('change', () => {
+      const group = getSelectedGroup(this.selectedObjects, placedObjects);
+      if (group) History.record(`Rename ${group.name}`, () => renameGroup(group, groupNameInput.value));
+    });
+
+    // Door/window size inputs
+    const openingInputs = this.container.querySelectorAll('[data-opening-key]');
+    openingInputs.forEach(input => {
+      input.addEventListener('change', (e) => {
+        History.record(`Resize ${describeObjects(this._getTargets())}`, () => {
+          this._resizeOpening(e.target.dataset.openingKey, parseFloat(e.target.value));
+        });
+      });
+    });
+
+    // Custom item size inputs
+    const sizeInputs = this.container.querySelectorAll('[data-size-key]');
+    sizeInputs.forEach(input => {
+      input.addEventListener('change', (e) => {
+        History.record(`Resize ${describeObjects(this._getTargets())}`, () => {
+          this._resizeProcedural(e.target.dataset.sizeKey, parseFloat(e.target.value));
+        });
+      });
+    });
+  }
+
+  /**
+   * Render the finish editor for the selected floor/wall/ceiling
+   */
+  _updateSurface() {
+    const key = this.selectedSurface;
+    const finish = this.room.getFinish(key);
+    
+    const textureOptions = Object.entries(SURFACE_TEXTURES)
+      .map(([value, label]) => `<option value="${value}" ${value === finish.texture ? 'selected' : ''}>${label}</option>`)
+      .join('');
+    
+    this.container.classList.add('visible');
+    this.container.innerHTML = `
+      <div class="props-header">
+        <h3>Surface</h3>
+        <span class="props-close" id="props-close">×</span>
+      </div>
+      
+      <div class="props-content">
+        <div class="props-section">
+          <label class="props-label">Name</label>
+          <div class="props-value">${escapeHTML(this.room.getSurfaceLabel(key))}</div>
+        </div>
+        
+        <div class="props-divider"></div>
+        
+        <div class="props-section">
+          <label class="props-label">Color</label>
+          <div class="color-picker-container">
+            <input type="color" id="surface-color-picker" value="${finish.color}" class="color-picker">
+            <span class="color-value">${finish.color}</span>
+          </div>
+        </div>
+        
+        <div class="props-section">
+          <label class="props-label">Texture</label>
+          <select id="surface-texture-select" class="props-select">${textureOptions}</select>
+        </div>
+        
+        <div class="props-section">
+          <label class="props-label">Tiling Scale (<span id="surface-scale-value">${finish.scale}</span> m)</label>
+          <input type="range" id="surface-scale-slider" min="0.25" max="4" step="0.25" value="${finish.scale}" class="props-slider">
+        </div>
+        
+        <div class="props-divider"></div>
+        
+        <div class="props-actions">
+          <button class="props-btn" id="surface-reset-btn">🔄 Reset Finish</button>
+        </div>
+      </div>
+    `;
+    
+    document.getElementById('props-close').addEventListener('click', () => {
+      AppState.set('selectedSurface', null);
+    });
+    
+    document.getElementById('surface-color-picker').addEventListener('input', (e) => {
+      this.room.setFinish(key, { color: e.target.value });
+      this.container.querySelector('.color-value').textContent = e.target.value;
+    });
+    
+    document.getElementById('surface-texture-select').addEventListener('change', (e) => {
+      // Textures carry their own colours - start from an untinted white
+      const finish = { texture: e.target.value };
+      if (e.target.value !== 'none') finish.color = '#ffffff';
+      this.room.setFinish(key, finish);
+      this._updateSurface();
+      console.log('🧱 Applied texture:', e.target.value);
+    });
+    
+    document.getElementById('surface-scale-slider').addEventListener('input', (e) => {
+      const scale = parseFloat(e.target.value);
+      this.room.setFinish(key, { scale });
+      document.getElementById('surface-scale-value').textContent = scale;
+    });
+    
+    document.getElementById('surface-reset-btn').addEventListener('click', () => {
+      this.room.resetFinish(key);
+      this._updateSurface();
+    });
+  }
+
+  /**
+   * Width/height/sill inputs for a door or window
+   */
+  _getOpeningSection(opening) {
+    const { limits } = OPENING_TYPES[opening.kind] || OPENING_TYPES.door;
+    const field = (key, label) => `
+        <div class="props-section">
+          <label class="props-label">${label}</label>
+          <input type="number" class="props-input" data-opening-key="${key}"
+                 min="${limits[key][0]}" max="${limits[key][1]}" step="0.05"
+                 value="${opening[key].toFixed(2)}">
+        </div>`;
+    
+    return `
+        <div class="props-divider"></div>
+        ${field('width', 'Width (m)')}
+        ${field('height', 'Height (m)')}
+        ${opening.kind === 'window' ? field('sill', 'Sill Height (m)') : ''}
+    `;
+  }
+
+  /**
+   * Resize the selected door/window; the Room re-fits it and re-cuts the wall
+   */
+  _resizeOpening(key, value) {
+    const opening = this.selectedObject?.userData?.opening;
+    if (!opening || !Number.isFinite(value)) return;
+    
+    opening[key] = value;
+    updateOpeningModel(this.selectedObject, opening);
+    AppState.set('transformedObject', this.selectedObject); // Shows the clamped values
+    
+    console.log(`📏 Resized ${opening.kind}:`, opening.width, 'x', opening.height);
+  }
+
+  /**
+   * Width/depth/height inputs for a custom item
+   */
+  _getProceduralSection(params) {
+    const { limits } = FURNITURE_KINDS[params.kind] || FURNITURE_KINDS.box;
+    const field = (key, label) => `
+        <div class="props-section">
+          <label class="props-label">${label}</label>
+          <input type="number" class="props-input" data-size-key="${key}"
+                 min="${limits[key][0]}" max="${limits[key][1]}" step="0.05"
+                 value="${params[key].toFixed(2)}">
+        </div>`;
+    
+    return `
+        <div class="props-divider"></div>
+        ${field('width', 'Width (m)')}
+        ${field('depth', 'Depth (m)')}
+        ${field('height', 'Height (m)')}
+    `;
+  }
+
+  /**
+   * Rebuild the selected custom item at a new size; wall units stay against
+   * their wall and what stands on it follows its top
+   */
+  _resizeProcedural(key, value) {
+    const object = this.selectedObject;
+    const params = object?.userData?.procedural;
+    if (!params || !Number.isFinite(value)) return;
+    
+    params[key] = value;
+    clampFurnitureSize(params);
+    updateFurnitureModel(object, params);
+    if (!object.userData.supportId) {
+      snapToWall(object, this.room, object.position.x, object.position.z);
+    }
+    
+    const placedObjects = AppState.get('placedObjects') || [];
+    settleStacked(object, placedObjects).forEach(obj => AppState.set('transformedObject', obj));
+    AppState.set('transformedObject', object); // Shows the clamped values
+    
+    console.log(`📏 Resized ${params.kind}:`, params.width, 'x', params.depth, 'x', params.height);
   }
 
   /**
@@ -200,17 +541,23 @@ export class PropertiesPanel {
     return color;
   }
 
+  /**
+   * Objects the appearance controls apply to: the whole selection
+   */
+  _getTargets() {
+    if (this.selectedObjects.length > 1) return this.selectedObjects;
+    return this.selectedObject ? [this.selectedObject] : [];
+  }
+
   /**
    * Store original colors before modification
    */
-  _storeOriginalColors() {
-    if (!this.selectedObject) return;
-    
-    const objId = this.selectedObject.uuid;
+  _storeOriginalColors(object) {
+    const objId = object.uuid;
     if (this.originalColors.has(objId)) return; // Already stored
     
     const colors = [];
-    this.selectedObject.traverse((child) => {
+    object.traverse((child) => {
       if (child.isMesh && child.material) {
         colors.push({
           uuid: child.uuid,
@@ -225,28 +572,28 @@ export class PropertiesPanel {
   }
 
   /**
-   * Apply color to selected object
+   * Apply color to selected object(s)
    */
   _applyColor(hexColor) {
-    if (!this.selectedObject) return;
-    
-    // Store original first
-    this._storeOriginalColors();
-    
     const color = new THREE.Color(hexColor);
     
-    this.selectedObject.traverse((child) => {
-      if (child.isMesh && child.material) {
-        // Clone material if shared
-        if (!child.material._isCloned) {
-          child.material = child.material.clone();
-          child.material._isCloned = true;
-        }
-        
-        if (child.material.color) {
-          child.material.color.copy(color);
+    this._getTargets().forEach((object) => {
+      // Store original first
+      this._storeOriginalColors(object);
+      
+      object.traverse((child) => {
+        if (child.isMesh && child.material) {
+          // Clone material if shared
+          if (!child.material._isCloned) {
+            child.material = child.material.clone();
+            child.material._isCloned = true;
+          }
+          
+          if (child.material.color) {
+            child.material.color.copy(color);
+          }
         }
-      }
+      });
     });
 
     // Update color value display
@@ -260,11 +607,6 @@ export class PropertiesPanel {
    * Apply material preset
    */
   _applyMaterial(preset) {
-    if (!this.selectedObject) return;
-    
-    // Store original first
-    this._storeOriginalColors();
-    
     const settings = {
       standard: { metalness: 0.1, roughness: 0.8 },
       glossy: { metalness: 0.3, roughness: 0.2 },
@@ -274,45 +616,50 @@ export class PropertiesPanel {
     
     const { metalness, roughness } = settings[preset] || settings.standard;
     
-    this.selectedObject.traverse((child) => {
-      if (child.isMesh && child.material) {
-        // Clone material if shared
-        if (!child.material._isCloned) {
-          child.material = child.material.clone();
-          child.material._isCloned = true;
-        }
-        
-        if (child.material.metalness !== undefined) {
-          child.material.metalness = metalness;
-        }
-        if (child.material.roughness !== undefined) {
-          child.material.roughness = roughness;
+    this._getTargets().forEach((object) => {
+      // Store original first
+      this._storeOriginalColors(object);
+      
+      object.traverse((child) => {
+        if (child.isMesh && child.material) {
+          // Clone material if shared
+          if (!child.material._isCloned) {
+            child.material = child.material.clone();
+            child.material._isCloned = true;
+          }
+          
+          if (child.material.metalness !== undefined) {
+            child.material.metalness = metalness;
+          }
+          if (child.material.roughness !== undefined) {
+            child.material.roughness = roughness;
+          }
+          child.material.needsUpdate = true;
         }
-        child.material.needsUpdate = true;
-      }
+      });
     });
 
     console.log('✨ Applied material:', preset);
   }
 
   /**
-   * Apply opacity to selected object
+   * Apply opacity to selected object(s)
    */
   _applyOpacity(opacity) {
-    if (!this.selectedObject) return;
-    
-    this.selectedObject.traverse((child) => {
-      if (child.isMesh && child.material) {
-        // Clone material if shared
-        if (!child.material._isCloned) {
-          child.material = child.material.clone();
-          child.material._isCloned = true;
+    this._getTargets().forEach((object) => {
+      object.traverse((child) => {
+        if (child.isMesh && child.material) {
+          // Clone material if shared
+          if (!child.material._isCloned) {
+            child.material = child.material.clone();
+            child.material._isCloned = true;
+          }
+          
+          child.material.transparent = opacity < 1;
+          child.material.opacity = opacity;
+          child.material.needsUpdate = true;
         }
-        
-        child.material.transparent = opacity < 1;
-        child.material.opacity = opacity;
-        child.material.needsUpdate = true;
-      }
+      });
     });
 
     console.log('👁️ Applied opacity:', opacity);
@@ -322,36 +669,36 @@ export class PropertiesPanel {
    * Reset to original colors
    */
   _resetColor() {
-    if (!this.selectedObject) return;
+    const stored = this._getTargets().filter(object => this.originalColors.has(object.uuid));
     
-    const objId = this.selectedObject.uuid;
-    const originalData = this.originalColors.get(objId);
-    
-    if (!originalData) {
+    if (stored.length === 0) {
       console.log('ℹ️ No original color stored');
       return;
     }
     
-    this.selectedObject.traverse((child) => {
-      if (child.isMesh && child.material) {
-        const orig = originalData.find(o => o.uuid === child.uuid);
-        if (orig) {
-          if (orig.color && child.material.color) {
-            child.material.color.copy(orig.color);
-          }
-          if (orig.metalness !== undefined) {
-            child.material.metalness = orig.metalness;
+    stored.forEach((object) => {
+      const originalData = this.originalColors.get(object.uuid);
+      object.traverse((child) => {
+        if (child.isMesh && child.material) {
+          const orig = originalData.find(o => o.uuid === child.uuid);
+          if (orig) {
+            if (orig.color && child.material.color) {
+              child.material.color.copy(orig.color);
+            }
+            if (orig.metalness !== undefined) {
+              child.material.metalness = orig.metalness;
+            }
+            if (orig.roughness !== undefined) {
+              child.material.roughness = orig.roughness;
+            }
+            if (orig.opacity !== undefined) {
+              child.material.opacity = orig.opacity;
+              child.material.transparent = orig.opacity < 1;
+            }
+            child.material.needsUpdate = true;
           }
-          if (orig.roughness !== undefined) {
-            child.material.roughness = orig.roughness;
-          }
-          if (orig.opacity !== undefined) {
-            child.material.opacity = orig.opacity;
-            child.material.transparent = orig.opacity < 1;
-          }
-          child.material.needsUpdate = true;
         }
-      }
+      });
     });
 
     // Update UI
@@ -360,27 +707,34 @@ export class PropertiesPanel {
   }
 
   /**
-   * Duplicate selected object
+   * Duplicate selected object(s)
    */
   _duplicateObject() {
+    if (this.selectedObjects.length > 1) {
+      this._duplicateGroup();
+      return;
+    }
     if (!this.selectedObject) return;
     
-    // Clone the object
-    const clone = this.selectedObject.clone();
+    const clone = this._cloneObject(this.selectedObject);
     
-    // Offset position
-    clone.position.x += 0.5;
-    clone.position.z += 0.5;
-    
-    // Generate new name
-    clone.name = this.selectedObject.name + '_copy';
-    clone.userData = { ...this.selectedObject.userData };
-    clone.userData.name = clone.name;
+    // Doors/windows get their own anchor, next along the same wall
+    const opening = this.selectedObject.userData.opening;
+    if (opening) {
+      clone.userData.opening = { ...opening, offset: opening.offset + opening.width + 0.2 };
+    }
     
     // Add to scene
     const container = this.selectedObject.parent;
     if (container) {
       container.add(clone);
+      
+      // Clear of other furniture, nearby (unless overlaps are only warned about)
+      if (!opening && this.room && getCollisionMode() !== 'warn' && !this._moveToFreeSpot([clone])) {
+        container.remove(clone);
+        console.log('⚠️ No free space to duplicate into');
+        return;
+      }
       AppState.addPlacedObject(clone);
       
       // Select the new clone
@@ -390,6 +744,123 @@ export class PropertiesPanel {
     }
   }
 
+  /**
+   * Duplicate every selected object, keeping their arrangement and groups;
+   * copies of items standing on copied furniture stand on the copy
+   */
+  _duplicateGroup() {
+    const originals = this.selectedObjects;
+    const container = originals[0].parent;
+    if (!container) return;
+    
+    const clones = originals.map(original => this._cloneObject(original));
+    const ids = new Map(originals.map((original, i) => [original.userData.id, clones[i].userData.id]));
+    clones.forEach((clone) => {
+      if (ids.has(clone.userData.supportId)) clone.userData.supportId = ids.get(clone.userData.supportId);
+      container.add(clone);
+    });
+    
+    // Clear of other furniture, nearby (unless overlaps are only warned about)
+    if (this.room && getCollisionMode() !== 'warn' && !this._moveToFreeSpot(clones)) {
+      clones.forEach(clone => container.remove(clone));
+      console.log('⚠️ No free space to duplicate into');
+      return;
+    }
+    clones.forEach(clone => AppState.addPlacedObject(clone));
+    copyGroups(originals, clones);
+    
+    // Select the new clones
+    AppState.set('selectedObjects', clones);
+    
+    console.log(`📋 Duplicated ${clones.length} objects`);
+  }
+
+  /**
+   * Copy of a placed object with its own id, a little to the side
+   */
+  _cloneObject(original) {
+    const clone = original.clone();
+    
+    // Offset position
+    clone.position.x += 0.5;
+    clone.position.z += 0.5;
+    
+    // Generate new name
+    clone.name = original.name + '_copy';
+    clone.userData = { ...original.userData };
+    clone.userData.id = Date.now() + Math.random();
+    clone.userData.name = clone.name;
+    clone.userData.isSelected = false;
+    delete clone.userData.groupId; // Copies get groups of their own (see _duplicateGroup)
+    
+    // Materials of its own, so recoloring the copy leaves the original alone;
+    // a recolored original's copy keeps its colors when saved
+    clone.traverse((child) => {
+      if (!child.isMesh || !child.material) return;
+      const copyMaterial = (material) => {
+        const copy = material.clone();
+        if (material._isCloned) copy._isCloned = true;
+        return copy;
+      };
+      child.material = Array.isArray(child.material)
+        ? child.material.map(copyMaterial)
+        : copyMaterial(child.material);
+    });
+    
+    if (original.userData.stairs) {
+      clone.userData.stairs = { ...original.userData.stairs };
+    }
+    if (original.userData.procedural) {
+      clone.userData.procedural = { ...original.userData.procedural };
+    }
+    return clone;
+  }
+
+  /**
+   * Move new copies together to the nearest spot inside the room that no
+   * other furniture covers; copies that slid off their support stand on
+   * the floor
+   * @returns {boolean} false when there is no such spot nearby
+   */
+  _moveToFreeSpot(objects) {
+    const placedObjects = AppState.get('placedObjects') || [];
+    
+    // Copies standing on other copies are carried along
+    const grounded = objects.filter(obj => !objects.some(other => other.userData.id === obj.userData.supportId));
+    const obstacles = grounded
+      .map(obj => getObstacles(obj, placedObjects, this.room))
+      .reduce((common, list) => common.filter(obj => list.includes(obj)));
+    
+    const footprints = new Map(grounded.map((obj) => {
+      const box = new THREE.Box3().setFromObject(obj);
+      const size = box.getSize(new THREE.Vector3());
+      const offset = box.getCenter(new THREE.Vector3()).sub(obj.getWorldPosition(new THREE.Vector3()));
+      return [obj, { size, offset }];
+    }));
+    
+    const shift = findFreeOffset(grounded, obstacles, (obj, x, z) => {
+      const { size, offset } = footprints.get(obj);
+      return this.room.containsFootprint(x + offset.x, z + offset.z, size.x / 2, size.z / 2);
+    });
+    if (!shift) return false;
+    
+    grounded.forEach((obj) => {
+      const from = getPose(obj);
+      obj.position.x += shift.x;
+      obj.position.z += shift.z;
+      carryStacked(obj, from, objects);
+      
+      const support = placedObjects.find(other => other.userData.id === obj.userData.supportId);
+      if (support && !fitsOn(obj, support)) {
+        const at = getPose(obj);
+        delete obj.userData.supportId;
+        restOn(obj, 0);
+        carryStacked(obj, at, objects);
+      }
+    });
+    return true;
+  }
+
   /**
    * Dispose panel
    */
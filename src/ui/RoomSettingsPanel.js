@@ -0,0 +1,171 @@
+/**
+ * RoomSettingsPanel - Edit room size and floor-plan shape at runtime
+ * Rebuilds the Room and lets systems re-clamp furniture via AppState
+ */
+
+import { AppState } from '../state/AppState.js';
+import { ROOM_LIMITS } from '../core/Room.js';
+import { FLOOR_PLAN_SHAPES, parseRooms, formatRooms } from '../core/FloorPlan.js';
+
+export class RoomSettingsPanel {
+  constructor(containerId, room) {
+    this.container = document.getElementById(containerId);
+    this.toggleBtn = document.getElementById('room-btn');
+    this.room = room;
+    
+    this._init();
+  }
+
+  _init() {
+    if (!this.container) {
+      console.warn('RoomSettingsPanel container not found');
+      return;
+    }
+
+    // Toolbar button opens/closes the panel
+    if (this.toggleBtn) {
+      this.toggleBtn.addEventListener('click', () => this.toggle());
+    }
+
+    // Edit the room of the active level
+    AppState.subscribe('activeLevel', (level) => {
+      if (level) this.room = level.room;
+    });
+
+    // Refresh inputs when room changes (e.g. after loading a layout or switching level)
+    AppState.subscribe('roomConfig', () => {
+      if (this.container.classList.contains('visible')) {
+        this._render();
+      }
+    });
+    
+    console.log('✅ RoomSettingsPanel initialized');
+  }
+
+  toggle() {
+    if (this.container.classList.contains('visible')) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  open() {
+    this._render();
+    this.container.classList.add('visible');
+  }
+
+  close() {
+    this.container.classList.remove('visible');
+  }
+
+  _render() {
+    const { width, depth, height, shape } = this.room.getConfig();
+    const isCustom = shape === 'custom';
+    
+    const shapeOptions = Object.entries(FLOOR_PLAN_SHAPES)
+      .map(([key, label]) => `<option value="${key}" ${key === shape ? 'selected' : ''}>${label}</option>`)
+      .join('');
+
+    this.container.innerHTML = `
+      <div class="props-header">
+        <h3>Room Settings</h3>
+        <span class="props-close" id="room-settings-close">×</span>
+      </div>
+      
+      <div class="props-content">
+        <div class="props-section">
+          <label class="props-label">Floor Plan</label>
+          <select id="room-shape-select" class="props-select">${shapeOptions}</select>
+        </div>
+        
+        <div id="room-size-fields" style="display: ${isCustom ? 'none' : 'block'}">
+          ${this._numberField('width', 'Width (m)', width)}
+          ${this._numberField('depth', 'Depth (m)', depth)}
+        </div>
+        
+        <div class="props-section" id="room-outline-field" style="display: ${isCustom ? 'block' : 'none'}">
+          <label class="props-label">One room per line (Name: x,z; x,z; ...)</label>
+          <textarea id="room-outline-input" class="props-input" rows="5">${formatRooms(this.room.getRooms())}</textarea>
+        </div>
+        
+        ${this._numberField('height', 'Height (m)', height)}
+        
+        <div class="props-divider"></div>
+        
+        <div class="props-actions">
+          <button class="props-btn" id="room-apply-btn">✔️ Apply</button>
+        </div>
+      </div>
+    `;
+
+    this._bindEvents();
+  }
+
+  _numberField(key, label, value) {
+    const { min, max } = ROOM_LIMITS[key];
+    return `
+        <div class="props-section">
+          <label class="props-label">${label}</label>
+          <input type="number" id="room-${key}-input" class="props-input"
+                 min="${min}" max="${max}" step="0.1" value="${value}">
+        </div>
+    `;
+  }
+
+  _bindEvents() {
+    const closeBtn = document.getElementById('room-settings-close');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.close());
+    }
+
+    // Custom shape swaps width/depth for a vertex list
+    const shapeSelect = document.getElementById('room-shape-select');
+    if (shapeSelect) {
+      shapeSelect.addEventListener('change', (e) => {
+        const isCustom = e.target.value === 'custom';
+        document.getElementById('room-size-fields').style.display = isCustom ? 'none' : 'block';
+        document.getElementById('room-outline-field').style.display = isCustom ? 'block' : 'none';
+      });
+    }
+
+    const applyBtn = document.getElementById('room-apply-btn');
+    if (applyBtn) {
+      applyBtn.addEventListener('click', () => this._apply());
+    }
+
+    // Enter in any number field applies
+    this.container.querySelectorAll('input.props-input').forEach((input) => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this._apply();
+      });
+    });
+  }
+
+  /**
+   * Read inputs and resize/reshape the room
+   */
+  _apply() {
+    const read = (key) => document.getElementById(`room-${key}-input`)?.value;
+    const shape = document.getElementById('room-shape-select')?.value || 'rectangle';
+    
+    let rooms = null;
+    if (shape === 'custom') {
+      rooms = parseRooms(read('outline'));
+      if (!rooms) {
+        console.warn('⚠️ Invalid plan - each room needs at least 3 "x,z" vertices');
+        return;
+      }
+    }
+    
+    this.room.setDimensions({
+      shape,
+      rooms,
+      width: read('width'),
+      depth: read('depth'),
+      height: read('height')
+    });
+  }
+}
+
+export default RoomSettingsPanel;
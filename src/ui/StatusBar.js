@@ -1,13 +1,16 @@
 /**
  * StatusBar - Shows current app state
- * Displays selected object and active furniture type
+ * Displays selected object (or group), its room, the active level and furniture type
  */
 
 import { AppState } from '../state/AppState.js';
+import { getSelectedGroup } from '../systems/Grouping.js';
+import { escapeHTML } from './Html.js';
 
 export class StatusBar {
-  constructor(containerId) {
+  constructor(containerId, room = null) {
     this.container = document.getElementById(containerId);
+    this.room = room; // For the names of the rooms in the plan
     this._init();
   }
 
@@ -16,8 +19,16 @@ export class StatusBar {
 
     // Subscribe to state changes
     AppState.subscribe('selectedObject', () => this._update());
+    AppState.subscribe('selectedObjects', () => this._update());
     AppState.subscribe('activeFurnitureType', () => this._update());
     AppState.subscribe('placedObjects', () => this._update());
+    AppState.subscribe('groups', () => this._update());
+    AppState.subscribe('transformedObject', () => this._update());
+    AppState.subscribe('roomConfig', () => this._update());
+    AppState.subscribe('activeLevel', (level) => {
+      if (level) this.room = level.room;
+      this._update();
+    });
 
     // Initial update
     this._update();
@@ -27,14 +38,32 @@ export class StatusBar {
     if (!this.container) return;
 
     const selectedObject = AppState.get('selectedObject');
+    const selectedObjects = AppState.get('selectedObjects') || [];
+    const multiple = selectedObjects.length > 1;
     const activeFurniture = AppState.get('activeFurnitureType');
     const placedObjects = AppState.get('placedObjects') || [];
+    const activeLevel = AppState.get('activeLevel');
+    const group = multiple ? getSelectedGroup(selectedObjects, placedObjects) : null;
+
+    // Selected object's room, or every room of the plan
+    let roomLabel = '';
+    if (multiple) {
+      roomLabel = [...new Set(selectedObjects.map(obj => obj.userData?.roomName || '—'))].join(' · ');
+    } else if (selectedObject) {
+      roomLabel = selectedObject.userData?.roomName || '—';
+    } else if (this.room) {
+      roomLabel = this.room.getRooms().map(r => r.name).join(' · ');
+    }
 
     let hint = '';
-    if (selectedObject) {
-      hint = 'Drag to move | R: Rotate | Del: Delete';
+    if (group) {
+      hint = 'Drag to move together | R: Rotate | Ctrl+Shift+G: Ungroup | Del: Delete';
+    } else if (multiple) {
+      hint = 'Drag to move together | R: Rotate | Ctrl+G: Group | Shift-click: Add/Remove | Del: Delete';
+    } else if (selectedObject) {
+      hint = 'Drag to move | R: Rotate | Alt: No snap | Shift-click: Add | Del: Delete';
     } else if (activeFurniture) {
-      hint = 'Double-click floor to place';
+      hint = 'Click to place | Wheel/R: Rotate | Esc: Done';
     } else {
       hint = 'Select category → item';
     }
@@ -42,7 +71,15 @@ export class StatusBar {
     this.container.innerHTML = `
       <div class="status-item">
         <span class="status-label">Selected:</span>
-        <span class="status-value">${selectedObject ? (selectedObject.userData?.name || 'Object') : 'None'}</span>
+        <span class="status-value">${group ? `${escapeHTML(group.name)} (${selectedObjects.length})` : multiple ? `${selectedObjects.length} objects` : selectedObject ? (selectedObject.userData?.name || 'Object') : 'None'}</span>
+      </div>
+      <div class="status-item">
+        <span class="status-label">${selectedObject ? 'Room:' : 'Rooms:'}</span>
+        <span class="status-value">${escapeHTML(roomLabel)}</span>
+      </div>
+      <div class="status-item">
+        <span class="status-label">Level:</span>
+        <span class="status-value">${activeLevel ? escapeHTML(activeLevel.name) : '—'}</span>
       </div>
       <div class="status-item">
         <span class="status-label">Active Type:</span>
@@ -0,0 +1,54 @@
+/**
+ * TransformToolbar - Pick the handles of the transform gizmo
+ * Shown while the gizmo is on a selected object: move, rotate or scale
+ */
+
+import { AppState } from '../state/AppState.js';
+import { TRANSFORM_MODES } from '../systems/TransformGizmo.js';
+
+export class TransformToolbar {
+  constructor(containerId, gizmo) {
+    this.container = document.getElementById(containerId);
+    this.gizmo = gizmo;
+
+    this._init();
+  }
+
+  _init() {
+    if (!this.container) {
+      console.warn('TransformToolbar container not found');
+      return;
+    }
+
+    // The gizmo follows the selection first (it subscribed earlier)
+    AppState.subscribe('selectedObjects', () => this._render());
+    AppState.subscribe('transformMode', () => this._render());
+
+    this._render();
+
+    console.log('✅ TransformToolbar initialized');
+  }
+
+  _render() {
+    if (!this.gizmo.isAttached()) {
+      this.container.classList.remove('visible');
+      return;
+    }
+
+    const mode = AppState.get('transformMode');
+    this.container.innerHTML = Object.entries(TRANSFORM_MODES)
+      .map(([key, label]) => `
+        <button class="transform-btn ${key === mode ? 'active' : ''}" data-mode="${key}" title="${label}">
+          <img src="/assets/ui/${key}.svg" alt="${label}">
+        </button>
+      `)
+      .join('');
+    this.container.classList.add('visible');
+
+    this.container.querySelectorAll('[data-mode]').forEach((btn) => {
+      btn.addEventListener('click', () => AppState.set('transformMode', btn.dataset.mode));
+    });
+  }
+}
+
+export default TransformToolbar;
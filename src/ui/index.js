@@ -1,5 +1,5 @@
 /**
- * UI modules - Palette, Menu, Status, Actions, Properties
+ * UI modules - Palette, Menu, Status, Actions, Properties, Room Settings, Levels, Plan Editor, Array, Transform, History
  */
 
 export { PaletteUI } from './PaletteUI.js';
@@ -7,3 +7,9 @@ export { MenuPanel } from './MenuPanel.js';
 export { StatusBar } from './StatusBar.js';
 export { ActionButtons } from './ActionButtons.js';
 export { PropertiesPanel } from './PropertiesPanel.js';
+export { RoomSettingsPanel } from './RoomSettingsPanel.js';
+export { LevelSwitcher } from './LevelSwitcher.js';
+export { PlanEditor } from './PlanEditor.js';
+export { ArrayPanel } from './ArrayPanel.js';
+export { TransformToolbar } from './TransformToolbar.js';
+export { HistoryPanel } from './HistoryPanel.js';